@@ -1,29 +1,118 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { createBillboardGroup } from './billboard.js';
-import { GifExporter } from './exporter.js';
+import { FRAME_RELIEF, SURFACE_FINISHES, createBillboardGroup, createOverlayGroup } from './billboard.js';
+import {
+    DEFAULT_CONSTRUCTION,
+    SLAT_PROFILES,
+    formatSlatAngle,
+    getFaceCount,
+    getSlatLengths,
+    getSlatSegments
+} from './slatProfile.js';
+import {
+    DEFAULT_GIF_SETTINGS,
+    EXPORT_FORMATS,
+    GIF_DIRECTIONS,
+    GIF_DITHERS,
+    GifExporter,
+    downloadBlob,
+    getSafeZoneCrop,
+    isAbortError
+} from './exporter.js';
+import {
+    EASINGS,
+    PATH_TEMPLATES,
+    DEFAULT_DISTANCE,
+    applyCameraState,
+    createSweepPath,
+    getCameraState,
+    getPathDuration,
+    getSweepDuration,
+    sampleCameraPath,
+    sortKeyframes,
+    turnPath
+} from './cameraPath.js';
+import { PrintExporter, getPrintLayout } from './printExport.js';
+import { TRAVEL_MODES, analyzeWalkBy, getWalkByDuration, getWalkByPosition } from './walkBy.js';
+import {
+    MAX_CAMPAIGN_BOARDS,
+    analyzeCampaignWalk,
+    createCampaignBoard,
+    getBoardPose,
+    getCampaignWalkDuration,
+    getCampaignWalkPosition,
+    toBoardFrame
+} from './campaign.js';
+import { computeVisibilityCurve, findVisibilityZones, getBestViewAngle, getTransitionAngle } from './visibility.js';
+import { drawVisibilityChart } from './visibilityChart.js';
+import { PROOF_RISKS, analyzeArtwork } from './legibility.js';
+import {
+    PROOF_WIDTH,
+    createProofOverlayCanvas,
+    createProofSheet,
+    drawBoardArtwork,
+    turnArtwork,
+    turnRegionBack
+} from './proofSheet.js';
+import { DEFAULT_CROP, FIT_MODES, clampCrop, drawCropPreview, getCropRect } from './imageCrop.js';
+import {
+    CORNER_LABELS,
+    applySiteCameraState,
+    applySiteView,
+    encodeSitePhoto,
+    getDefaultCorners,
+    solveCameraPose
+} from './sitePhoto.js';
+import { MODEL_FORMATS, MODEL_UNITS, ModelExporter } from './modelExport.js';
+import { MAX_PANES, createDefaultVariants, formatVariantLabel, getPaneLayout } from './compare.js';
+import { formatMotionTime, isMotionFile, loadMotionSource } from './motionSource.js';
+import { EditHistory } from './history.js';
+import { parseIccProfile } from './iccProfile.js';
+import {
+    DEFAULT_SOFT_PROOF,
+    ICC_PROFILE,
+    PRINT_PROFILES,
+    createPrintModel,
+    createProofLut,
+    proofPixels
+} from './softProof.js';
+import { DEFAULT_SURFACE, SURFACES, getSurfaceArc, getSurfaceFootprint } from './surface.js';
+import { MAX_STILL_WIDTH, STILL_FORMATS, StillExporter } from './stillExport.js';
+import {
+    FLOOD_PLACEMENTS,
+    LIGHTING_MODES,
+    aimShadowLight,
+    createFloodLights,
+    formatBearing,
+    getFaceSunlight,
+    getSiteDate,
+    getSunDirection,
+    getSunPosition
+} from './lighting.js';
+import { PresetLibrary, formatPresetLabel } from './presets.js';
+import { decodeShareState, encodeShareState } from './shareUrl.js';
+import {
+    createProjectFile,
+    readProjectFile,
+    listRecentProjects,
+    saveRecentProject,
+    loadRecentProject
+} from './project.js';
+
+// Work redone from scratch on edits (the artwork proof, the analysis) waits
+// this long for drags and typing to settle
+const SETTLE_DELAY = 200; // ms
 
 class LenticularViewer {
     constructor() {
-        // Board presets from spec sheets
-        this.presets = {
-            '20136': {
-                name: '20136 - Sunset Blvd',
-                width: 36,      // 36 feet
-                height: 6,      // 6 feet
-                slats: 27,      // 54 triangles / 2 faces per slat
-                angle: 45,      // Default, can be refined
-                location: 'LA - 6409 Sunset Blvd'
-            },
-            'M-74': {
-                name: 'M-74 - Grand St',
-                width: 13.17,   // 13'2" = 13.17 feet
-                height: 5.5,    // 5'6" = 5.5 feet
-                slats: 40,      // Estimate for hand-painted
-                angle: 45,
-                location: 'NYC - Grand St & Thompson St, SoHo'
-            }
-        };
+        // Board, view and images named in the page URL (shared links). Embeds
+        // are read-only: nothing is loaded from or saved to this browser.
+        this.shareState = decodeShareState(window.location.search);
+        this.readOnly = this.shareState.embed;
+        document.body.classList.toggle('embed', this.readOnly);
+
+        // User-managed board presets, persisted separately from viewer settings
+        this.presetLibrary = new PresetLibrary();
 
         this.currentPreset = null;
         this.presetOriginalSettings = null;
@@ -32,39 +121,404 @@ class LenticularViewer {
             width: 3,
             height: 1.5,
             slats: 50,
-            angle: 45
+            angle: 45,
+            // The last face's own angle on asymmetric boards; null for the same as angle
+            rightAngle: null,
+            profile: 'zigzag',
+            orientation: 'vertical'
         };
 
         this.textureA = null;
         this.textureB = null;
+        this.textureC = null;
         this.imageAspectA = null;
         this.imageAspectB = null;
+        this.imageAspectC = null;
+
+        // Original image files, kept so projects can embed them
+        this.imageFileA = null;
+        this.imageFileB = null;
+        this.imageFileC = null;
+
+        // URLs the images were fetched from, so share links can name them
+        this.imageSourceA = null;
+        this.imageSourceB = null;
+        this.imageSourceC = null;
+
+        // Video and animated GIF faces; their textures are textureA/B/C
+        this.motionA = null;
+        this.motionB = null;
+        this.motionC = null;
+
+        // How each image is fitted into the board's shape (fit mode, pan, zoom)
+        this.imageCrops = {
+            A: { ...DEFAULT_CROP },
+            B: { ...DEFAULT_CROP },
+            C: { ...DEFAULT_CROP }
+        };
+        this.cropKey = 'A';
+
+        // How the slats are actually built (lands, gaps, frame, finish), in
+        // inches; applies to every board on screen and in exports
+        this.construction = { ...DEFAULT_CONSTRUCTION };
+
+        // What the board is mounted on (see surface.js); like construction,
+        // every board on screen and in exports follows it
+        this.surface = { ...DEFAULT_SURFACE };
 
         this.isAnimating = false;
         this.animationSpeed = 2;
         this.sweepAngle = 110;
 
-        this.loadFromLocalStorage();
+        // Camera path for preview and export: 'sweep' follows the sweep/speed
+        // sliders, 'custom' plays the keyframes edited on the timeline
+        this.cameraPath = {
+            mode: 'sweep',
+            keyframes: PATH_TEMPLATES.sweep.create(this.sweepAngle, DEFAULT_DISTANCE)
+        };
+
+        // Named orbit views to come back to, in degrees like keyframes:
+        // [{ name, azimuth, elevation, distance }]
+        this.cameraBookmarks = [];
+
+        // Site mockup: a location photo (data URL) as the backdrop, with the
+        // board's corners pinned on it. Stored with presets, not in settings.
+        this.site = {
+            image: null,
+            corners: null,
+            enabled: true
+        };
+        this.siteTexture = null;
+        this.sitePose = null;
+        this.siteViewActive = false;
+        this.sitePinning = false;
+
+        // Lighting: 'studio' is the original even light, 'sun' places the sun
+        // for a date, local time and site, 'night' switches to flood lights.
+        // The site and facing default from the preset when it has them.
+        this.lighting = {
+            mode: 'studio',
+            date: new Date().toISOString().slice(0, 10),
+            time: '15:00',
+            utcOffset: -5,
+            latitude: 40.722,
+            longitude: -74.003,
+            facing: 180,
+            floods: {
+                placement: 'below',
+                count: 2,
+                brightness: 1.5,
+                armLength: 3,
+                color: '#ffe6c0'
+            }
+        };
+
+        // Visibility chart: viewing distance (0 = far away) and an optional
+        // second slat count/angle drawn dashed on the same chart
+        this.analysis = {
+            distance: 0,
+            compare: false,
+            compareSlats: 40,
+            compareAngle: 55
+        };
+        this.analysisTimeout = null;
+
+        // Artwork proof: flag detail the slat seams cut through and strokes
+        // too thin to read from `distance` feet
+        this.proof = {
+            enabled: false,
+            distance: 100
+        };
+        this.proofResults = [];
+        this.proofOverlay = null;
+        this.proofTimeout = null;
+
+        // Print soft proof: faces and upload previews seen through a print
+        // profile (see softProof.js). A loaded ICC profile ({ name, profile })
+        // is kept for the session only. The faces share one set of uniforms,
+        // so a new table or the gamut warning shows without a rebuild. Tables
+        // take a good part of a second to build, so each one made is kept per
+        // profile (WeakMap, so replaced ICC profiles go with their tables).
+        this.softProof = { ...DEFAULT_SOFT_PROOF };
+        this.iccProfile = null;
+        this.softProofLuts = new WeakMap();
+        this.softProofShown = false;
+        this.softProofPreviews = {};
+        this.softProofUniforms = {
+            softProofLut: { value: null },
+            softProofSize: { value: 1 },
+            softProofWarning: { value: true }
+        };
+
+        // Split-view comparison: the main board in the first pane and these
+        // variants in the others, all seen through the one camera. Variant
+        // images are kept for the session only; faces without one show the
+        // main board's image.
+        this.compare = {
+            enabled: false,
+            panes: 2,
+            variants: createDefaultVariants(this.settings)
+        };
+        this.compareVariant = 0;
+        this.variantImages = Array.from({ length: MAX_PANES - 1 }, () => [null, null, null]);
+        this.compareBillboards = [];
+
+        // Walk-by / drive-by simulation, in feet and mph
+        this.walkBy = {
+            mode: 'walking',
+            speed: TRAVEL_MODES.walking.speed,
+            eyeHeight: TRAVEL_MODES.walking.eyeHeight,
+            boardElevation: 12,     // ground to bottom edge of the board
+            setback: 40,            // viewer path to board face
+            pathLength: 200,
+            direction: 'leftToRight'
+        };
+
+        // Campaign scene: more boards along the street, passed in the one
+        // walk-by. The selected board stays at the origin and in all the
+        // controls; the others are placed around it. Images for boards that
+        // aren't selected are kept for the session (and in projects) as
+        // [{ file, source }] per face, like compare variants' images.
+        this.campaign = {
+            enabled: false,
+            active: 0,
+            spacing: 60,
+            boards: [createCampaignBoard(0, 0)]
+        };
+        this.campaignImages = [];
+        this.campaignTextures = new Map();
+
+        // Animation export format and video encoding options
+        this.exportSettings = {
+            format: 'gif',
+            fps: 30,
+            bitrate: 8      // Mbps, video only
+        };
+
+        // GIF encoding, plus an optional file size (MB) to fit under
+        this.gifSettings = {
+            ...DEFAULT_GIF_SETTINGS,
+            fitToSize: false,
+            targetSize: 4
+        };
+
+        // Aborts the running animation export or size estimate
+        this.exportController = null;
+
+        // Print production slice export
+        this.printSettings = {
+            dpi: 150,
+            bleed: 0.5,     // inches, each side
+            marks: true,
+            format: 'png'   // 'png' strips in a zip, or one 'pdf' per face set
+        };
+
+        // 3D model export
+        this.modelSettings = {
+            format: 'glb',
+            units: 'metres'
+        };
+
+        // High-resolution still: output width in pixels and the exact view
+        // (degrees, feet)
+        this.stillSettings = {
+            width: 6000,
+            format: 'png',
+            quality: 0.92,
+            azimuth: 0,
+            elevation: 0,
+            distance: DEFAULT_DISTANCE
+        };
+
+        // Undo/redo: every saved edit and image change is a step
+        this.history = new EditHistory();
+        this.restoringHistory = false;
+
+        if (!this.readOnly) {
+            this.loadFromLocalStorage();
+        }
         this.initScene();
         this.initControls();
         this.initUploadZones();
+        this.initCropEditor();
         this.initSettingsControls();
+        this.initConstructionControls();
+        this.initSurfaceControls();
+        this.initSiteControls();
+        this.initLightingControls();
+        this.initCompareControls();
         this.initAnimationControls();
+        this.initCameraPathControls();
+        this.initCameraBookmarkControls();
+        this.initAnalysisControls();
+        this.initProofControls();
+        this.initSoftProofControls();
+        this.initWalkByControls();
+        this.initCampaignControls();
+        this.initPrintControls();
+        this.initModelControls();
+        this.initStillControls();
+        this.initProjectControls();
+        this.initShareControls();
+        this.initPresetManager();
+        this.initHistoryControls();
         this.animate();
+
+        this.applyShareState(this.shareState);
+        this.history.reset(this.getHistorySnapshot(), 'Start');
+        this.renderHistory();
     }
 
-    saveToLocalStorage() {
-        const data = {
+    // The editable state that persists between sessions and makes up each
+    // undo step
+    getStoredState() {
+        return {
             settings: this.settings,
+            construction: this.construction,
+            surface: this.surface,
+            imageCrops: this.imageCrops,
             animationSpeed: this.animationSpeed,
             sweepAngle: this.sweepAngle,
+            cameraPath: this.cameraPath,
+            cameraBookmarks: this.cameraBookmarks,
+            lighting: this.lighting,
+            analysis: this.analysis,
+            proof: this.proof,
+            softProof: this.softProof,
+            compare: this.compare,
+            walkBy: this.walkBy,
+            campaign: this.campaign,
+            exportSettings: this.exportSettings,
+            gifSettings: this.gifSettings,
+            printSettings: this.printSettings,
+            modelSettings: this.modelSettings,
+            stillSettings: this.stillSettings,
             currentPreset: this.currentPreset
         };
+    }
+
+    saveToLocalStorage() {
+        if (this.readOnly) return;
+
         try {
-            localStorage.setItem('lenticularViewer', JSON.stringify(data));
+            localStorage.setItem('lenticularViewer', JSON.stringify(this.getStoredState()));
         } catch (e) {
             console.warn('Failed to save to localStorage:', e);
         }
+        // Every saved edit is also an undo step
+        this.recordHistory();
+    }
+
+    getHistorySnapshot() {
+        const images = {};
+        for (const key of ['A', 'B', 'C']) {
+            images[key] = { file: this[`imageFile${key}`], source: this[`imageSource${key}`] };
+        }
+        // Copied, as boards are added and removed in place
+        const boardImages = this.campaignImages.map((faces) => faces && faces.map((image) => image && { ...image }));
+        return { state: this.getStoredState(), images, boardImages };
+    }
+
+    // Adds an undo step if anything changed since the last one. Give a label
+    // for whole actions (presets, image loads); plain edits are described
+    // from the fields they touch and merged while a drag goes on.
+    recordHistory(label = null) {
+        if (this.readOnly || this.restoringHistory || this.history.index < 0) return;
+        if (this.history.record(this.getHistorySnapshot(), label)) {
+            this.renderHistory();
+        }
+    }
+
+    initHistoryControls() {
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            // Text fields keep their own undo
+            if (e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    undo() {
+        this.restoreHistory(this.history.undo());
+    }
+
+    redo() {
+        this.restoreHistory(this.history.redo());
+    }
+
+    // History panel: oldest first, the current step highlighted and undone
+    // steps dimmed until something new replaces them
+    renderHistory() {
+        const list = document.getElementById('historyList');
+        list.replaceChildren();
+        this.history.entries.forEach((entry, i) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'history-entry';
+            button.classList.toggle('current', i === this.history.index);
+            button.classList.toggle('undone', i > this.history.index);
+            button.textContent = entry.label;
+            if (entry.time) {
+                button.title = new Date(entry.time).toLocaleTimeString();
+            }
+            button.addEventListener('click', () => this.restoreHistory(this.history.jumpTo(i)));
+            item.append(button);
+            list.append(item);
+        });
+        // Keep the newest step in view as edits come in
+        if (!this.history.canRedo) {
+            list.scrollTop = list.scrollHeight;
+        }
+
+        document.getElementById('undoBtn').disabled = !this.history.canUndo;
+        document.getElementById('redoBtn').disabled = !this.history.canRedo;
+    }
+
+    restoreHistory(snapshot) {
+        if (!snapshot) return;
+        this.restoringHistory = true;
+        try {
+            const previousPreset = this.currentPreset;
+            this.applyStoredState(snapshot.state);
+            this.campaignImages = snapshot.boardImages.map((faces) => faces && faces.map((image) => image && { ...image }));
+            document.getElementById('presetWarning').hidden = true;
+            // The site photo follows the preset, as when applying one
+            if (this.currentPreset !== previousPreset && this.currentPreset) {
+                this.setSite(this.presetLibrary.get(this.currentPreset).site);
+            }
+            this.syncStoredControls();
+
+            // Only faces whose image differs are reloaded
+            for (const key of ['A', 'B', 'C']) {
+                const { file, source } = snapshot.images[key];
+                if (this[`imageFile${key}`] !== file) {
+                    this.clearImage(key);
+                    if (file) {
+                        const zone = document.getElementById(`upload${key}`);
+                        this.loadImage(file, `texture${key}`, zone.querySelector('.upload-preview'), zone);
+                    }
+                }
+                this[`imageSource${key}`] = source;
+            }
+
+            this.updateFaceZones();
+            this.updateBillboard();
+            this.saveToLocalStorage();
+        } finally {
+            this.restoringHistory = false;
+        }
+        this.renderHistory();
     }
 
     loadFromLocalStorage() {
@@ -75,16 +529,68 @@ class LenticularViewer {
                 if (data.settings) {
                     this.settings = { ...this.settings, ...data.settings };
                 }
+                if (data.construction) {
+                    this.construction = { ...this.construction, ...data.construction };
+                }
+                if (data.surface) {
+                    this.surface = { ...this.surface, ...data.surface };
+                }
+                if (data.imageCrops) {
+                    this.imageCrops = { ...this.imageCrops, ...data.imageCrops };
+                }
                 if (data.animationSpeed) {
                     this.animationSpeed = data.animationSpeed;
                 }
                 if (data.sweepAngle) {
                     this.sweepAngle = data.sweepAngle;
                 }
+                if (data.cameraPath) {
+                    this.cameraPath = { ...this.cameraPath, ...data.cameraPath };
+                }
+                if (data.cameraBookmarks) {
+                    this.cameraBookmarks = data.cameraBookmarks.map((bookmark) => ({ ...bookmark }));
+                }
+                if (data.lighting) {
+                    this.lighting = { ...this.lighting, ...data.lighting };
+                }
+                if (data.analysis) {
+                    this.analysis = { ...this.analysis, ...data.analysis };
+                }
+                if (data.proof) {
+                    this.proof = { ...this.proof, ...data.proof };
+                }
+                if (data.softProof) {
+                    this.softProof = { ...this.softProof, ...data.softProof };
+                }
+                if (data.compare) {
+                    this.compare = { ...this.compare, ...data.compare };
+                }
+                if (data.walkBy) {
+                    this.walkBy = { ...this.walkBy, ...data.walkBy };
+                }
+                if (data.campaign) {
+                    this.campaign = this.mergeCampaign(data.campaign);
+                }
+                if (data.exportSettings) {
+                    this.exportSettings = { ...this.exportSettings, ...data.exportSettings };
+                }
+                if (data.gifSettings) {
+                    this.gifSettings = { ...this.gifSettings, ...data.gifSettings };
+                }
+                if (data.printSettings) {
+                    this.printSettings = { ...this.printSettings, ...data.printSettings };
+                }
+                if (data.modelSettings) {
+                    this.modelSettings = { ...this.modelSettings, ...data.modelSettings };
+                }
+                if (data.stillSettings) {
+                    this.stillSettings = { ...this.stillSettings, ...data.stillSettings };
+                }
                 if (data.currentPreset) {
                     this.currentPreset = data.currentPreset;
-                    if (this.presets[data.currentPreset]) {
-                        this.presetOriginalSettings = { ...this.presets[data.currentPreset] };
+                    if (this.presetLibrary.get(data.currentPreset)) {
+                        this.presetOriginalSettings = { ...this.presetLibrary.get(data.currentPreset) };
+                        this.site = { ...this.site, ...this.presetLibrary.get(data.currentPreset).site };
                     }
                 }
             }
@@ -116,15 +622,32 @@ class LenticularViewer {
         });
         this.renderer.setSize(viewport.clientWidth, viewport.clientHeight);
         this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         viewport.appendChild(this.renderer.domElement);
 
         // Lighting
-        const ambient = new THREE.AmbientLight(0xffffff, 0.6);
-        this.scene.add(ambient);
+        this.ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+        this.scene.add(this.ambientLight);
+
+        this.studioLight = new THREE.DirectionalLight(0xffffff, 0.4);
+        this.studioLight.position.set(5, 5, 5);
+        this.scene.add(this.studioLight);
+
+        // Sun, sky and flood lights for the lighting simulation (see updateLighting)
+        this.sunLight = new THREE.DirectionalLight(0xfff4e5, 0);
+        this.sunLight.castShadow = true;
+        this.sunLight.shadow.mapSize.set(2048, 2048);
+        this.sunLight.shadow.bias = -0.0005;
+        this.sunLight.visible = false;
+        this.scene.add(this.sunLight, this.sunLight.target);
+
+        this.skyLight = new THREE.HemisphereLight(0xbdd7ff, 0x5a5040, 0);
+        this.skyLight.visible = false;
+        this.scene.add(this.skyLight);
 
-        const directional = new THREE.DirectionalLight(0xffffff, 0.4);
-        directional.position.set(5, 5, 5);
-        this.scene.add(directional);
+        this.floodLights = new THREE.Group();
+        this.scene.add(this.floodLights);
 
         // Grid helper for spatial reference
         this.grid = new THREE.GridHelper(10, 10, 0x333333, 0x333333);
@@ -137,9 +660,23 @@ class LenticularViewer {
             this.settings.width,
             this.settings.height,
             this.settings.slats,
-            this.settings.angle
+            this.settings.angle,
+            [],
+            {
+                profile: this.settings.profile,
+                orientation: this.settings.orientation,
+                rightAngle: this.settings.rightAngle,
+                height: this.settings.height,
+                construction: this.construction,
+                surface: this.surface
+            }
         );
         this.scene.add(this.billboard);
+        this.placeGrid();
+
+        // The campaign's other boards
+        this.campaignGroup = new THREE.Group();
+        this.scene.add(this.campaignGroup);
 
         // Handle resize
         window.addEventListener('resize', () => this.onResize());
@@ -160,6 +697,17 @@ class LenticularViewer {
             const zone = document.getElementById(zoneId);
             const fileInput = document.getElementById(fileInputId);
             const preview = zone.querySelector('.upload-preview');
+            const key = imageKey.replace('texture', '');
+
+            // A new image starts from the default fit, and opens in the crop editor
+            const load = (file) => {
+                this[`imageSource${key}`] = null;
+                this.imageCrops[key] = { ...DEFAULT_CROP };
+                this.cropKey = key;
+                this.loadImage(file, imageKey, preview, zone);
+                this.recordHistory(`Image ${key}: ${file.name}`);
+                this.saveToLocalStorage();
+            };
 
             zone.addEventListener('click', () => fileInput.click());
 
@@ -176,21 +724,23 @@ class LenticularViewer {
                 e.preventDefault();
                 zone.classList.remove('dragover');
                 const file = e.dataTransfer.files[0];
-                if (file && file.type.startsWith('image/')) {
-                    this.loadImage(file, imageKey, preview, zone);
+                if (file && (file.type.startsWith('image/') || isMotionFile(file))) {
+                    load(file);
                 }
             });
 
             fileInput.addEventListener('change', (e) => {
                 const file = e.target.files[0];
                 if (file) {
-                    this.loadImage(file, imageKey, preview, zone);
+                    load(file);
                 }
             });
         };
 
         setupZone('uploadA', 'fileA', 'textureA');
         setupZone('uploadB', 'fileB', 'textureB');
+        setupZone('uploadC', 'fileC', 'textureC');
+        this.updateFaceZones();
 
         // Swap images button
         document.getElementById('swapBtn').addEventListener('click', () => {
@@ -199,25 +749,235 @@ class LenticularViewer {
     }
 
     swapImages() {
+        // Two faces swap A <-> B; three faces rotate A -> B -> C -> A
+        const keys = ['A', 'B', 'C'].slice(0, getFaceCount(this.settings.profile));
+        const rotate = (values) => [values[values.length - 1], ...values.slice(0, -1)];
+
         // Swap textures
-        const tempTexture = this.textureA;
-        this.textureA = this.textureB;
-        this.textureB = tempTexture;
-
-        // Swap aspect ratios
-        const tempAspect = this.imageAspectA;
-        this.imageAspectA = this.imageAspectB;
-        this.imageAspectB = tempAspect;
-
-        // Swap preview images
-        const previewA = document.querySelector('#uploadA .upload-preview');
-        const previewB = document.querySelector('#uploadB .upload-preview');
-        const tempSrc = previewA.src;
-        previewA.src = previewB.src;
-        previewB.src = tempSrc;
+        const textures = rotate(keys.map((key) => this[`texture${key}`]));
+        keys.forEach((key, i) => { this[`texture${key}`] = textures[i]; });
+
+        // Swap aspect ratios, source files, URLs and video/GIF sources
+        for (const prefix of ['imageAspect', 'imageFile', 'imageSource', 'motion']) {
+            const values = rotate(keys.map((key) => this[`${prefix}${key}`]));
+            keys.forEach((key, i) => { this[`${prefix}${key}`] = values[i]; });
+        }
+
+        // Crops travel with their images
+        const crops = rotate(keys.map((key) => this.imageCrops[key]));
+        keys.forEach((key, i) => { this.imageCrops[key] = crops[i]; });
+
+        // Swap preview images, keeping each zone's has-image state with its image
+        const zones = keys.map((key) => document.getElementById(`upload${key}`));
+        const previews = zones.map((zone) => zone.querySelector('.upload-preview'));
+        const srcs = rotate(previews.map((preview) => preview.getAttribute('src')));
+        const hasImage = rotate(zones.map((zone) => zone.classList.contains('has-image')));
+        previews.forEach((preview, i) => {
+            if (srcs[i]) {
+                preview.src = srcs[i];
+            } else {
+                preview.removeAttribute('src');
+            }
+            zones[i].classList.toggle('has-image', hasImage[i]);
+        });
 
         // Update billboard
         this.updateBillboard();
+        this.syncMotionControls();
+        this.recordHistory(keys.length === 3 ? 'Rotate images' : 'Swap images');
+        this.saveToLocalStorage();
+    }
+
+    // Play/pause and loop for each video or GIF face
+    syncMotionControls() {
+        const container = document.getElementById('motionControls');
+        const keys = ['A', 'B', 'C'].slice(0, getFaceCount(this.settings.profile)).filter((key) => this[`motion${key}`]);
+
+        container.replaceChildren();
+        container.hidden = keys.length === 0;
+        for (const key of keys) {
+            const source = this[`motion${key}`];
+            const row = document.createElement('div');
+            row.className = 'motion-row';
+
+            const label = document.createElement('span');
+            label.className = 'motion-label';
+            label.textContent = `Image ${key} · ${source.kind === 'gif' ? 'GIF' : 'Video'} ${formatMotionTime(source.duration)}`;
+
+            const playBtn = document.createElement('button');
+            playBtn.className = 'btn btn-small';
+            playBtn.dataset.face = key;
+            playBtn.addEventListener('click', () => {
+                if (source.playing) {
+                    source.pause();
+                } else {
+                    source.play();
+                }
+                this.updateMotionButtons();
+            });
+
+            const loopLabel = document.createElement('label');
+            loopLabel.className = 'checkbox-control';
+            const loopInput = document.createElement('input');
+            loopInput.type = 'checkbox';
+            loopInput.checked = source.loop;
+            loopInput.addEventListener('change', () => {
+                source.loop = loopInput.checked;
+            });
+            const loopText = document.createElement('span');
+            loopText.textContent = 'Loop';
+            loopLabel.append(loopInput, loopText);
+
+            row.append(label, playBtn, loopLabel);
+            container.append(row);
+        }
+        this.updateMotionButtons();
+    }
+
+    updateMotionButtons() {
+        document.querySelectorAll('#motionControls button[data-face]').forEach((button) => {
+            button.textContent = this[`motion${button.dataset.face}`].playing ? 'Pause' : 'Play';
+        });
+        this.motionPlayingState = this.getMotionPlayingState();
+    }
+
+    getMotionSources() {
+        return ['A', 'B', 'C'].map((key) => this[`motion${key}`]).filter(Boolean);
+    }
+
+    // e.g. "10", so a video ending by itself can be noticed cheaply
+    getMotionPlayingState() {
+        return this.getMotionSources().map((source) => (source.playing ? 1 : 0)).join('');
+    }
+
+    // GIFs advance on the animation frame clock (video plays by itself)
+    updateMotion() {
+        this.getMotionSources().forEach((source) => source.update());
+        if (this.motionPlayingState !== this.getMotionPlayingState()) {
+            this.updateMotionButtons();
+        }
+    }
+
+    // Pause every video/GIF for an export that steps them itself; returns a
+    // function that resumes the ones that were playing
+    holdMotion() {
+        const sources = this.getMotionSources();
+        const playing = sources.filter((source) => source.playing);
+        sources.forEach((source) => source.pause());
+        return () => {
+            playing.forEach((source) => source.play());
+            this.updateMotionButtons();
+        };
+    }
+
+    updateFaceZones() {
+        // The third upload zone only applies to three-face (tri-vision) profiles
+        const triVision = getFaceCount(this.settings.profile) === 3;
+        document.getElementById('uploadC').hidden = !triVision;
+        document.getElementById('swapBtn').textContent = triVision ? 'Rotate A → B → C' : 'Swap A ↔ B';
+        document.querySelector('#embedToolbar [data-face="2"]').hidden = !triVision;
+        this.checkAspectRatios();
+        this.syncMotionControls();
+    }
+
+    initCropEditor() {
+        const imageSelect = document.getElementById('cropImageSelect');
+        const fitSelect = document.getElementById('cropFitSelect');
+        const canvas = document.getElementById('cropCanvas');
+        const zoomSlider = document.getElementById('cropZoomSlider');
+
+        for (const [key, mode] of Object.entries(FIT_MODES)) {
+            fitSelect.add(new Option(mode.label, key));
+        }
+
+        const updateCrop = (changes) => {
+            this.imageCrops[this.cropKey] = clampCrop({ ...this.imageCrops[this.cropKey], ...changes });
+            this.rebuildBillboard();
+            this.syncCropEditor();
+            this.saveToLocalStorage();
+        };
+
+        imageSelect.addEventListener('change', (e) => {
+            this.cropKey = e.target.value;
+            this.syncCropEditor();
+        });
+
+        fitSelect.addEventListener('change', (e) => updateCrop({ fit: e.target.value }));
+        zoomSlider.addEventListener('input', (e) => updateCrop({ zoom: parseFloat(e.target.value) }));
+        document.getElementById('cropResetBtn').addEventListener('click', () => updateCrop({ ...DEFAULT_CROP }));
+
+        // Drag to pan: the image moves under the fixed frame
+        let drag = null;
+        canvas.addEventListener('pointerdown', (e) => {
+            canvas.setPointerCapture(e.pointerId);
+            drag = { x: e.clientX, y: e.clientY };
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (!drag || !this.cropFrame) return;
+            const { frame, rect } = this.cropFrame;
+            const crop = this.imageCrops[this.cropKey];
+            updateCrop({
+                offsetX: crop.offsetX - ((e.clientX - drag.x) * rect.width) / frame.width,
+                offsetY: crop.offsetY - ((e.clientY - drag.y) * rect.height) / frame.height
+            });
+            drag = { x: e.clientX, y: e.clientY };
+        });
+        canvas.addEventListener('pointerup', () => {
+            drag = null;
+        });
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            updateCrop({ zoom: this.imageCrops[this.cropKey].zoom * Math.exp(-e.deltaY * 0.002) });
+        }, { passive: false });
+
+        this.syncCropEditor();
+    }
+
+    syncCropEditor() {
+        const editor = document.getElementById('cropEditor');
+        const imageSelect = document.getElementById('cropImageSelect');
+        const keys = ['A', 'B', 'C']
+            .slice(0, getFaceCount(this.settings.profile))
+            .filter((key) => this[`texture${key}`]);
+
+        this.checkAspectRatios();
+        editor.hidden = keys.length === 0;
+        this.cropFrame = null;
+        if (!keys.length) return;
+
+        if (!keys.includes(this.cropKey)) {
+            this.cropKey = keys[0];
+        }
+        imageSelect.replaceChildren(...keys.map((key) => new Option(`Image ${key}`, key)));
+        imageSelect.value = this.cropKey;
+
+        const crop = this.imageCrops[this.cropKey];
+        document.getElementById('cropFitSelect').value = crop.fit;
+        document.getElementById('cropZoomSlider').value = crop.zoom;
+        document.getElementById('cropZoomValue').textContent = `${crop.zoom.toFixed(2)}×`;
+
+        const rect = this.getCropRects()[['A', 'B', 'C'].indexOf(this.cropKey)];
+        const proof = this.proofResults.find((result) => result.key === this.cropKey);
+        const frame = drawCropPreview(
+            document.getElementById('cropCanvas'),
+            this[`texture${this.cropKey}`].image,
+            rect,
+            this.settings.width / this.settings.height,
+            this.getSeamPositions(),
+            { regions: proof ? proof.regions : [], horizontal: this.settings.orientation === 'horizontal' }
+        );
+        this.cropFrame = { frame, rect };
+    }
+
+    // Each face's crop rect in image coordinates, for the billboard UVs and
+    // print slices (null until the image has loaded)
+    getCropRects() {
+        const boardAspect = this.settings.width / this.settings.height;
+        return ['A', 'B', 'C'].map((key) => {
+            const imageAspect = this[`imageAspect${key}`];
+            return imageAspect ? getCropRect(this.imageCrops[key], imageAspect, boardAspect) : null;
+        });
     }
 
     initSettingsControls() {
@@ -227,27 +987,21 @@ class LenticularViewer {
         const slatsValue = document.getElementById('slatsValue');
         const angleSlider = document.getElementById('angleSlider');
         const angleValue = document.getElementById('angleValue');
+        const asymmetricCheckbox = document.getElementById('asymmetricAngle');
+        const rightAngleSlider = document.getElementById('rightAngleSlider');
+        const profileSelect = document.getElementById('profileSelect');
+        const orientationSelect = document.getElementById('orientationSelect');
         const widthInput = document.getElementById('widthInput');
         const heightInput = document.getElementById('heightInput');
         const lockAspect = document.getElementById('lockAspect');
 
         // Set initial values from loaded settings
-        slatsSlider.value = this.settings.slats;
-        slatsValue.textContent = this.settings.slats;
-        angleSlider.value = this.settings.angle;
-        angleValue.textContent = this.settings.angle + '°';
-        widthInput.value = this.settings.width;
-        heightInput.value = this.settings.height;
-
-        // Restore preset selection if saved
-        if (this.currentPreset && this.presets[this.currentPreset]) {
-            presetSelect.value = this.currentPreset;
-        }
+        this.syncSettingsControls();
 
         // Preset selection handler
         presetSelect.addEventListener('change', (e) => {
             const presetId = e.target.value;
-            if (presetId && this.presets[presetId]) {
+            if (presetId && this.presetLibrary.get(presetId)) {
                 this.applyPreset(presetId);
             } else {
                 this.currentPreset = null;
@@ -256,24 +1010,12 @@ class LenticularViewer {
             }
         });
 
-        // Check for preset modifications
-        const checkPresetModified = () => {
-            if (this.currentPreset && this.presetOriginalSettings) {
-                const modified =
-                    this.settings.width !== this.presetOriginalSettings.width ||
-                    this.settings.height !== this.presetOriginalSettings.height ||
-                    this.settings.slats !== this.presetOriginalSettings.slats ||
-                    this.settings.angle !== this.presetOriginalSettings.angle;
-                presetWarning.hidden = !modified;
-            }
-        };
-
         slatsSlider.addEventListener('input', (e) => {
             this.settings.slats = parseInt(e.target.value);
             slatsValue.textContent = this.settings.slats;
             this.updateBillboard();
             this.saveToLocalStorage();
-            checkPresetModified();
+            this.checkPresetModified();
         });
 
         angleSlider.addEventListener('input', (e) => {
@@ -281,7 +1023,44 @@ class LenticularViewer {
             angleValue.textContent = this.settings.angle + '°';
             this.updateBillboard();
             this.saveToLocalStorage();
-            checkPresetModified();
+            this.checkPresetModified();
+        });
+
+        // Asymmetric boards start from the current angle on both faces
+        asymmetricCheckbox.addEventListener('change', (e) => {
+            this.settings.rightAngle = e.target.checked ? this.settings.angle : null;
+            this.syncSettingsControls();
+            this.updateBillboard();
+            this.saveToLocalStorage();
+            this.checkPresetModified();
+        });
+
+        rightAngleSlider.addEventListener('input', (e) => {
+            this.settings.rightAngle = parseInt(e.target.value);
+            document.getElementById('rightAngleValue').textContent = this.settings.rightAngle + '°';
+            this.updateBillboard();
+            this.saveToLocalStorage();
+            this.checkPresetModified();
+        });
+
+        profileSelect.addEventListener('change', (e) => {
+            this.settings.profile = e.target.value;
+            this.updateFaceZones();
+            this.updateBillboard();
+            this.saveToLocalStorage();
+            this.checkPresetModified();
+        });
+
+        // Turning the slats turns the orbit too, so start again from the front
+        orientationSelect.addEventListener('change', (e) => {
+            this.settings.orientation = e.target.value;
+            this.updateOrbitLimits();
+            if (!this.isSiteViewActive()) {
+                applyCameraState(this.camera, { azimuth: 0, elevation: 0, distance: this.camera.position.length() });
+            }
+            this.updateBillboard();
+            this.saveToLocalStorage();
+            this.checkPresetModified();
         });
 
         widthInput.addEventListener('input', (e) => {
@@ -294,7 +1073,7 @@ class LenticularViewer {
             this.settings.width = newWidth;
             this.updateBillboard();
             this.saveToLocalStorage();
-            checkPresetModified();
+            this.checkPresetModified();
         });
 
         heightInput.addEventListener('input', (e) => {
@@ -306,92 +1085,1052 @@ class LenticularViewer {
             }
             this.settings.height = newHeight;
             this.updateBillboard();
-            checkPresetModified();
+            this.checkPresetModified();
             this.saveToLocalStorage();
         });
 
         const showGrid = document.getElementById('showGrid');
         showGrid.addEventListener('change', (e) => {
-            this.grid.visible = e.target.checked;
+            this.grid.visible = e.target.checked && !this.siteViewActive;
         });
 
     }
 
-    applyPreset(presetId) {
-        const preset = this.presets[presetId];
-        if (!preset) return;
+    initConstructionControls() {
+        const finishSelect = document.getElementById('finishSelect');
+        for (const [key, finish] of Object.entries(SURFACE_FINISHES)) {
+            finishSelect.add(new Option(finish.label, key));
+        }
 
-        this.currentPreset = presetId;
-        this.settings.width = preset.width;
-        this.settings.height = preset.height;
-        this.settings.slats = preset.slats;
-        this.settings.angle = preset.angle;
+        const inputs = {
+            peakFlat: document.getElementById('peakFlatInput'),
+            valleyFlat: document.getElementById('valleyFlatInput'),
+            gap: document.getElementById('slatGapInput'),
+            thickness: document.getElementById('slatThicknessInput'),
+            frameWidth: document.getElementById('frameWidthInput')
+        };
 
-        // Store original settings for modification detection
-        this.presetOriginalSettings = { ...this.settings };
+        const onChange = () => {
+            const construction = {
+                frameColor: document.getElementById('frameColorInput').value,
+                finish: finishSelect.value
+            };
+            for (const [key, input] of Object.entries(inputs)) {
+                construction[key] = Math.max(0, parseFloat(input.value) || 0);
+            }
+            this.construction = construction;
+            this.updateBillboard();
+            this.saveToLocalStorage();
+        };
 
-        // Update UI
-        document.getElementById('widthInput').value = preset.width;
-        document.getElementById('heightInput').value = preset.height;
-        document.getElementById('slatsSlider').value = preset.slats;
-        document.getElementById('slatsValue').textContent = preset.slats;
-        document.getElementById('angleSlider').value = preset.angle;
-        document.getElementById('angleValue').textContent = preset.angle + '°';
-        document.getElementById('presetWarning').hidden = true;
+        Object.values(inputs).forEach((input) => input.addEventListener('change', onChange));
+        document.getElementById('frameColorInput').addEventListener('change', onChange);
+        finishSelect.addEventListener('change', onChange);
 
-        this.updateBillboard();
-        this.saveToLocalStorage();
+        this.syncConstructionControls();
     }
 
-    initAnimationControls() {
-        const sweepSlider = document.getElementById('sweepSlider');
-        const sweepValue = document.getElementById('sweepValue');
-        const speedSlider = document.getElementById('speedSlider');
-        const speedValue = document.getElementById('speedValue');
-        const previewBtn = document.getElementById('previewBtn');
-        const exportBtn = document.getElementById('exportBtn');
+    syncConstructionControls() {
+        const { construction } = this;
+        document.getElementById('peakFlatInput').value = construction.peakFlat;
+        document.getElementById('valleyFlatInput').value = construction.valleyFlat;
+        document.getElementById('slatGapInput').value = construction.gap;
+        document.getElementById('slatThicknessInput').value = construction.thickness;
+        document.getElementById('frameWidthInput').value = construction.frameWidth;
+        document.getElementById('frameColorInput').value = construction.frameColor;
+        document.getElementById('finishSelect').value = construction.finish;
 
-        // Set initial values from loaded settings
-        sweepSlider.value = this.sweepAngle;
-        sweepValue.textContent = this.sweepAngle + '°';
-        speedSlider.value = this.animationSpeed;
-        speedValue.textContent = this.animationSpeed;
+        // How much of each image survives the lands, gaps and frame
+        const board = this.getVisibilityBoard();
+        const faces = board.segments.filter((segment) => segment.face >= 0);
+        const sliceShare = faces.reduce((sum, segment) => sum + segment.u1 - segment.u0, 0) / faces.length;
+        const innerArea = (this.settings.width - 2 * board.frameWidth) * (this.settings.height - 2 * board.frameWidth);
+        const frameShare = innerArea / (this.settings.width * this.settings.height);
 
-        // Sweep angle control - move camera to extreme while adjusting
-        let sweepTimeout = null;
-        sweepSlider.addEventListener('input', (e) => {
-            this.sweepAngle = parseInt(e.target.value);
-            sweepValue.textContent = this.sweepAngle + '°';
+        const lines = [
+            `Slat pitch ${(board.slatWidth * 12).toFixed(2)}", peak depth ${(board.peakDepth * 12).toFixed(2)}"`,
+            `Each image shows ${Math.round(sliceShare * frameShare * 100)}% of its artwork: lands and gaps ` +
+                `hide ${Math.round((1 - sliceShare) * 100)}% of each slice, the frame ${Math.round((1 - frameShare) * 100)}% of the board`
+        ];
+        const built = board.construction;
+        if (built.gap < construction.gap || built.valleyFlat < construction.valleyFlat || built.peakFlat < construction.peakFlat) {
+            lines.push(`Lands and gap are too wide for the slat pitch, so they're scaled back to ` +
+                `${+built.peakFlat.toFixed(2)}" peak, ${+built.valleyFlat.toFixed(2)}" valley and ${+built.gap.toFixed(2)}" gap`);
+        }
+        if (built.frameWidth < construction.frameWidth) {
+            lines.push(`Frame limited to ${+built.frameWidth.toFixed(1)}" on a board this size`);
+        }
+        document.getElementById('constructionInfo').textContent = lines.join('\n');
+    }
 
-            // Move camera to left extreme to show sweep boundary
-            const sweepRad = Math.PI * (this.sweepAngle / 180);
-            const distance = this.camera.position.length();
-            const extremeAngle = -sweepRad / 2; // Left extreme
+    initSurfaceControls() {
+        const surfaceSelect = document.getElementById('surfaceSelect');
+        for (const [key, surface] of Object.entries(SURFACES)) {
+            surfaceSelect.add(new Option(surface.label, key));
+        }
+        const radiusInput = document.getElementById('surfaceRadiusInput');
+        const arcInput = document.getElementById('surfaceArcInput');
+        const bendSlider = document.getElementById('surfaceBendSlider');
 
-            this.camera.position.x = Math.sin(extremeAngle) * distance;
-            this.camera.position.z = Math.cos(extremeAngle) * distance;
-            this.camera.lookAt(0, 0, 0);
+        const onChange = () => {
+            this.updateBillboard();
+            this.saveToLocalStorage();
+        };
 
-            // Clear previous timeout
-            if (sweepTimeout) clearTimeout(sweepTimeout);
+        surfaceSelect.addEventListener('change', (e) => {
+            this.surface = { ...this.surface, type: e.target.value };
+            onChange();
+        });
 
-            // Return to center after user stops adjusting
-            sweepTimeout = setTimeout(() => {
-                this.camera.position.x = 0;
-                this.camera.position.z = distance;
-                this.camera.lookAt(0, 0, 0);
-            }, 1000);
+        radiusInput.addEventListener('change', () => {
+            const radius = Math.max(0.5, parseFloat(radiusInput.value) || DEFAULT_SURFACE.radius);
+            this.surface = { ...this.surface, radius };
+            onChange();
+        });
 
-            this.saveToLocalStorage();
+        // The wrap is the board's width around the radius, so it sets the radius
+        arcInput.addEventListener('change', () => {
+            const degrees = Math.min(360, Math.max(1, parseFloat(arcInput.value) || 90));
+            this.surface = { ...this.surface, radius: this.settings.width / ((degrees * Math.PI) / 180) };
+            onChange();
         });
 
-        speedSlider.addEventListener('input', (e) => {
-            this.animationSpeed = parseFloat(e.target.value);
-            speedValue.textContent = this.animationSpeed;
-            this.saveToLocalStorage();
+        bendSlider.addEventListener('input', () => {
+            this.surface = { ...this.surface, bend: parseInt(bendSlider.value) / 100 };
+            onChange();
         });
 
-        const showSafezone = document.getElementById('showSafezone');
+        this.syncSurfaceControls();
+    }
+
+    syncSurfaceControls() {
+        const { surface } = this;
+        const { width } = this.settings;
+        document.getElementById('surfaceSelect').value = surface.type;
+        document.getElementById('cylinderControls').hidden = surface.type !== 'cylinder';
+        document.getElementById('cornerControls').hidden = surface.type !== 'corner';
+        document.getElementById('surfaceBendSlider').value = Math.round(surface.bend * 100);
+        document.getElementById('surfaceBendValue').textContent = `${Math.round(surface.bend * 100)}%`;
+
+        // The board as built: the radius may be raised so the ends don't
+        // overlap and the backing clears the curve
+        const arc = getSurfaceArc(surface, width, this.getDepthBehind());
+        const lines = [];
+        if (surface.type === 'cylinder') {
+            const degrees = Math.round((width / arc.radius) * (180 / Math.PI));
+            document.getElementById('surfaceRadiusInput').value = +arc.radius.toFixed(2);
+            document.getElementById('surfaceArcInput').value = degrees;
+            lines.push(`Wraps ${degrees}° of a ${+(arc.radius * 2).toFixed(2)} ft diameter column`);
+            if (arc.radius > surface.radius + 1e-6) {
+                lines.push(`Radius raised from ${+surface.radius.toFixed(2)} ft: the board would overlap itself or not clear its backing`);
+            }
+        } else if (surface.type === 'corner') {
+            const before = (arc.start + arc.end) / 2 + width / 2;
+            lines.push(`Legs ${before.toFixed(1)} ft and ${(width - before).toFixed(1)} ft either side of the corner`);
+        }
+        if (arc) {
+            const footprint = getSurfaceFootprint(surface, width, this.getDepthBehind());
+            lines.push(`Face spans ${footprint.width.toFixed(1)} ft across and ${footprint.depth.toFixed(1)} ft back, ` +
+                'with the artwork running on round the curve');
+        }
+        document.getElementById('surfaceInfo').textContent = lines.join('\n');
+    }
+
+    // Board settings with its construction and base surface, for the exporters
+    getBoardSpec() {
+        return { ...this.settings, construction: this.construction, surface: this.surface };
+    }
+
+    // How far the build reaches behind the face, which bent boards clear as
+    // the geometry does
+    getDepthBehind() {
+        return this.construction.thickness / 12 + FRAME_RELIEF;
+    }
+
+    // The board's width as seen from the front, for framing the safe zone
+    getFrontWidth() {
+        return getSurfaceFootprint(this.surface, this.settings.width, this.getDepthBehind()).width;
+    }
+
+    // Flag when the current settings have drifted from the selected preset
+    checkPresetModified() {
+        if (this.currentPreset && this.presetOriginalSettings) {
+            const modified =
+                this.settings.width !== this.presetOriginalSettings.width ||
+                this.settings.height !== this.presetOriginalSettings.height ||
+                this.settings.slats !== this.presetOriginalSettings.slats ||
+                this.settings.angle !== this.presetOriginalSettings.angle ||
+                this.settings.rightAngle !== (this.presetOriginalSettings.rightAngle ?? null) ||
+                this.settings.profile !== this.presetOriginalSettings.profile ||
+                this.settings.orientation !== (this.presetOriginalSettings.orientation || 'vertical');
+            document.getElementById('presetWarning').hidden = !modified;
+        }
+    }
+
+    syncSettingsControls() {
+        document.getElementById('slatsSlider').value = this.settings.slats;
+        document.getElementById('slatsValue').textContent = this.settings.slats;
+        document.getElementById('angleSlider').value = this.settings.angle;
+        document.getElementById('angleValue').textContent = this.settings.angle + '°';
+        const asymmetric = this.settings.rightAngle !== null;
+        document.getElementById('asymmetricAngle').checked = asymmetric;
+        document.getElementById('rightAngleControl').hidden = !asymmetric;
+        document.getElementById('rightAngleSlider').value = this.settings.rightAngle ?? this.settings.angle;
+        document.getElementById('rightAngleValue').textContent = (this.settings.rightAngle ?? this.settings.angle) + '°';
+        document.getElementById('profileSelect').value = this.settings.profile;
+        document.getElementById('orientationSelect').value = this.settings.orientation;
+        document.getElementById('widthInput').value = this.settings.width;
+        document.getElementById('heightInput').value = this.settings.height;
+        this.updateOrbitLimits();
+
+        // Restore preset selection if saved
+        this.renderPresetOptions();
+    }
+
+    renderPresetOptions() {
+        const presetSelect = document.getElementById('presetSelect');
+        presetSelect.replaceChildren(new Option('Custom', ''));
+        for (const [id, preset] of this.presetLibrary.entries()) {
+            presetSelect.add(new Option(formatPresetLabel(preset), id));
+        }
+        presetSelect.value = this.currentPreset && this.presetLibrary.get(this.currentPreset) ? this.currentPreset : '';
+    }
+
+    initPresetManager() {
+        const dialog = document.getElementById('presetDialog');
+        const list = document.getElementById('presetList');
+        const form = document.getElementById('presetForm');
+        const warning = document.getElementById('presetManagerWarning');
+        const importInput = document.getElementById('presetImportInput');
+        const fields = ['name', 'width', 'height', 'slats', 'angle', 'rightAngle', 'profile', 'orientation', 'location', 'latitude', 'longitude', 'facing', 'notes'];
+        const field = (key) => form.elements[`preset-${key}`];
+
+        const showError = (message) => {
+            warning.textContent = message;
+            warning.hidden = !message;
+        };
+
+        const renderList = (selectedId = list.value) => {
+            list.replaceChildren();
+            for (const [id, preset] of this.presetLibrary.entries()) {
+                list.add(new Option(formatPresetLabel(preset), id));
+            }
+            list.value = this.presetLibrary.get(selectedId) ? selectedId : (list.options[0]?.value ?? '');
+            fillForm();
+        };
+
+        const fillForm = () => {
+            const preset = this.presetLibrary.get(list.value);
+            fields.forEach((key) => {
+                field(key).value = preset ? preset[key] ?? '' : '';
+                field(key).disabled = !preset;
+            });
+            form.querySelectorAll('[data-requires-preset]').forEach((btn) => {
+                btn.disabled = !preset;
+            });
+        };
+
+        // Library changed: refresh the dropdown and re-check the active preset
+        const onLibraryChanged = () => {
+            if (this.currentPreset) {
+                const preset = this.presetLibrary.get(this.currentPreset);
+                this.presetOriginalSettings = preset ? { ...preset } : null;
+                if (!preset) {
+                    this.currentPreset = null;
+                    document.getElementById('presetWarning').hidden = true;
+                    this.saveToLocalStorage();
+                }
+            }
+            this.renderPresetOptions();
+            this.checkPresetModified();
+        };
+
+        const readForm = () => Object.fromEntries(fields.map((key) => [key, field(key).value]));
+
+        document.getElementById('managePresetsBtn').addEventListener('click', () => {
+            showError('');
+            renderList(this.currentPreset || list.value);
+            dialog.showModal();
+        });
+
+        list.addEventListener('change', () => {
+            showError('');
+            fillForm();
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                // The form doesn't edit the site photo, so carry it over
+                const id = this.presetLibrary.put(list.value, { ...this.presetLibrary.get(list.value), ...readForm() });
+                showError('');
+                renderList(id);
+                onLibraryChanged();
+            } catch (err) {
+                showError(err.message);
+            }
+        });
+
+        document.getElementById('presetNewBtn').addEventListener('click', () => {
+            // New presets start from the board currently on screen
+            const id = this.presetLibrary.put(null, {
+                ...this.settings,
+                name: 'New preset',
+                location: '',
+                notes: ''
+            });
+            renderList(id);
+            onLibraryChanged();
+            field('name').select();
+        });
+
+        document.getElementById('presetDuplicateBtn').addEventListener('click', () => {
+            const id = this.presetLibrary.duplicate(list.value);
+            renderList(id);
+            onLibraryChanged();
+        });
+
+        document.getElementById('presetDeleteBtn').addEventListener('click', () => {
+            const preset = this.presetLibrary.get(list.value);
+            if (preset && confirm(`Delete preset "${preset.name}"?`)) {
+                this.presetLibrary.remove(list.value);
+                renderList();
+                onLibraryChanged();
+            }
+        });
+
+        document.getElementById('presetExportBtn').addEventListener('click', () => {
+            const json = JSON.stringify(this.presetLibrary.toCatalogue(), null, 2);
+            downloadBlob(new Blob([json], { type: 'application/json' }), 'lenticular-presets.json');
+        });
+
+        document.getElementById('presetImportBtn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            importInput.value = '';
+            if (!file) return;
+            try {
+                this.presetLibrary.importCatalogue(JSON.parse(await file.text()));
+                showError('');
+                renderList();
+                onLibraryChanged();
+            } catch (err) {
+                showError(`Import failed: ${err.message}`);
+            }
+        });
+
+        document.getElementById('presetCloseBtn').addEventListener('click', () => dialog.close());
+    }
+
+    applyPreset(presetId) {
+        const preset = this.presetLibrary.get(presetId);
+        if (!preset) return;
+
+        this.currentPreset = presetId;
+        this.settings.width = preset.width;
+        this.settings.height = preset.height;
+        this.settings.slats = preset.slats;
+        this.settings.angle = preset.angle;
+        this.settings.rightAngle = preset.rightAngle ?? null;
+        this.settings.profile = preset.profile || 'zigzag';
+        this.settings.orientation = preset.orientation || 'vertical';
+
+        // Store original settings for modification detection
+        this.presetOriginalSettings = { ...this.settings };
+
+        // Update UI
+        this.syncSettingsControls();
+        document.getElementById('presetWarning').hidden = true;
+
+        // The sun simulation follows the board's site when the preset knows it.
+        // Standard time is estimated from the longitude; daylight saving and
+        // political time zones need the offset adjusting by hand.
+        if (preset.latitude !== undefined && preset.longitude !== undefined) {
+            this.lighting.latitude = preset.latitude;
+            this.lighting.longitude = preset.longitude;
+            this.lighting.utcOffset = Math.round(preset.longitude / 15);
+        }
+        if (preset.facing !== undefined) {
+            this.lighting.facing = preset.facing;
+        }
+        this.syncLightingControls();
+
+        this.setSite(preset.site);
+        this.updateFaceZones();
+        this.updateBillboard();
+        this.recordHistory(`Preset: ${preset.name}`);
+        this.saveToLocalStorage();
+    }
+
+    initSiteControls() {
+        const photoInput = document.getElementById('sitePhotoInput');
+        const siteWarning = document.getElementById('siteWarning');
+        const pins = document.getElementById('sitePins');
+
+        this.backgroundColor = this.scene.background;
+
+        const showError = (message) => {
+            siteWarning.textContent = message;
+            siteWarning.hidden = !message;
+        };
+
+        document.getElementById('sitePhotoBtn').addEventListener('click', () => photoInput.click());
+        photoInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            photoInput.value = '';
+            if (!file) return;
+            try {
+                // New photos start with default corners and the pin handles showing
+                this.site.enabled = true;
+                this.sitePinning = true;
+                this.setSite({ image: await encodeSitePhoto(file), corners: null });
+                showError('');
+            } catch (err) {
+                showError(err.message);
+            }
+        });
+
+        document.getElementById('sitePinBtn').addEventListener('click', () => {
+            this.sitePinning = !this.sitePinning;
+            this.syncSiteControls();
+        });
+
+        document.getElementById('siteShow').addEventListener('change', (e) => {
+            this.site.enabled = e.target.checked;
+            this.updateSiteView();
+        });
+
+        document.getElementById('siteSaveBtn').addEventListener('click', () => {
+            try {
+                this.presetLibrary.setSite(this.currentPreset, { image: this.site.image, corners: this.site.corners });
+                showError('');
+            } catch (err) {
+                showError(err.message);
+            }
+            this.syncSiteControls();
+        });
+
+        document.getElementById('siteClearBtn').addEventListener('click', () => {
+            this.sitePinning = false;
+            this.setSite(null);
+        });
+
+        // One drag handle per board corner
+        CORNER_LABELS.forEach((label, i) => {
+            const pin = document.createElement('button');
+            pin.className = 'site-pin';
+            pin.title = label;
+            pins.appendChild(pin);
+
+            pin.addEventListener('pointerdown', (e) => {
+                pin.setPointerCapture(e.pointerId);
+            });
+            pin.addEventListener('pointermove', (e) => {
+                if (!pin.hasPointerCapture(e.pointerId) || !this.siteCrop) return;
+                const rect = pins.getBoundingClientRect();
+                const { width, height } = this.siteTexture.image;
+                const { cropX, cropY, scale } = this.siteCrop;
+                this.site.corners[i] = [
+                    Math.min(1, Math.max(0, ((e.clientX - rect.left) / scale + cropX) / width)),
+                    Math.min(1, Math.max(0, ((e.clientY - rect.top) / scale + cropY) / height))
+                ];
+                this.updateSitePose();
+            });
+        });
+
+        this.setSite(this.site.image ? this.site : null);
+    }
+
+    // Replace the site photo (null clears it) and load it as the backdrop
+    setSite(site) {
+        this.site = {
+            image: site ? site.image : null,
+            corners: site && site.corners ? site.corners.map((corner) => [...corner]) : null,
+            enabled: this.site.enabled
+        };
+
+        if (this.siteTexture) {
+            this.siteTexture.dispose();
+            this.siteTexture = null;
+        }
+        this.sitePose = null;
+
+        if (this.site.image) {
+            const image = this.site.image;
+            new THREE.TextureLoader().load(image, (texture) => {
+                // Ignore photos replaced while this one was loading
+                if (this.site.image !== image) return;
+                texture.colorSpace = THREE.SRGBColorSpace;
+                this.siteTexture = texture;
+                if (!this.site.corners) {
+                    this.site.corners = getDefaultCorners(
+                        texture.image.width / texture.image.height,
+                        this.settings.width / this.settings.height
+                    );
+                }
+                this.updateSitePose();
+            });
+        }
+        this.updateSitePose();
+    }
+
+    // Re-solve the camera pose from the pinned corners and the board size
+    updateSitePose() {
+        this.sitePose = this.siteTexture && this.site.corners
+            ? solveCameraPose(
+                this.site.corners,
+                this.siteTexture.image.width,
+                this.siteTexture.image.height,
+                this.settings.width,
+                this.settings.height
+            )
+            : null;
+        this.updateSiteView();
+    }
+
+    // Board rendered into the site photo from its solved viewpoint
+    isSiteViewActive() {
+        return Boolean(this.siteViewActive && this.sitePose);
+    }
+
+    // Switch between the site photo view (camera pinned to the solved pose)
+    // and the normal orbit view. Until the corners solve to a valid pose the
+    // photo still shows, without the board, so the handles can be placed.
+    updateSiteView() {
+        const viewport = document.querySelector('.viewport');
+        // Compare panes share one orbit camera, so they never use the photo
+        const active = Boolean(this.site.enabled && this.siteTexture && !this.compare.enabled);
+
+        if (this.siteTexture) {
+            this.siteCrop = applySiteView(this.camera, this.siteTexture, viewport.clientWidth, viewport.clientHeight);
+        }
+        this.billboard.visible = !active || Boolean(this.sitePose);
+
+        if (active) {
+            this.scene.background = this.siteTexture;
+            this.grid.visible = false;
+            this.orbitControls.enabled = false;
+            if (this.sitePose && !this.isAnimating) {
+                applySiteCameraState(this.camera, this.sitePose);
+            }
+        } else {
+            this.scene.background = this.backgroundColor;
+            this.grid.visible = document.getElementById('showGrid').checked;
+            this.orbitControls.enabled = true;
+            this.camera.clearViewOffset();
+            this.camera.aspect = this.getViewAspect();
+            this.camera.fov = 25;
+            this.camera.updateProjectionMatrix();
+
+            // Leaving the photo's viewpoint: back to the default orbit
+            if (this.siteViewActive) {
+                this.camera.position.set(0, 0, 12);
+                this.camera.lookAt(0, 0, 0);
+                this.orbitControls.reset();
+            }
+        }
+
+        this.siteViewActive = active;
+        this.syncSiteControls();
+    }
+
+    syncSiteControls() {
+        const pins = document.getElementById('sitePins');
+        const siteInfo = document.getElementById('siteInfo');
+        const hasPhoto = Boolean(this.site.image);
+        const storedSite = this.currentPreset && this.presetLibrary.get(this.currentPreset)?.site;
+
+        pins.hidden = !(this.sitePinning && this.siteViewActive);
+        document.getElementById('siteShow').checked = this.site.enabled;
+        document.getElementById('siteShow').disabled = this.compare.enabled;
+        document.getElementById('sitePinBtn').disabled = !this.siteViewActive;
+        document.getElementById('sitePinBtn').textContent = pins.hidden ? 'Pin Corners' : 'Done Pinning';
+        document.getElementById('siteSaveBtn').disabled = !hasPhoto || !this.currentPreset;
+        document.getElementById('siteClearBtn').disabled = !hasPhoto;
+
+        // Handles and outline follow the photo as it's cropped to the viewport
+        if (hasPhoto && this.siteCrop && this.site.corners) {
+            const { cropX, cropY, scale } = this.siteCrop;
+            const { width, height } = this.siteTexture.image;
+            const points = this.site.corners.map(([x, y]) => [(x * width - cropX) * scale, (y * height - cropY) * scale]);
+            pins.querySelectorAll('.site-pin').forEach((pin, i) => {
+                pin.style.left = `${points[i][0]}px`;
+                pin.style.top = `${points[i][1]}px`;
+            });
+            pins.querySelector('polygon').setAttribute('points', points.map((point) => point.join(',')).join(' '));
+        }
+
+        if (!hasPhoto) {
+            siteInfo.textContent = this.currentPreset
+                ? 'Load a photo of the site to preview the board in place.'
+                : 'Load a photo of the site to preview the board in place. Select a preset to store it with.';
+        } else if (!this.siteTexture) {
+            siteInfo.textContent = 'Loading photo…';
+        } else if (!this.sitePose) {
+            siteInfo.textContent = 'Corners don\'t form a board facing the camera. Drag the handles onto the board in clockwise order from top left.';
+        } else {
+            const [x, y, z] = this.sitePose.position;
+            const angle = (Math.atan2(x, z) * 180) / Math.PI;
+            const lines = [
+                `Viewpoint: ${Math.hypot(x, y, z).toFixed(0)} ft from the board, ${Math.abs(angle).toFixed(0)}° ${angle < 0 ? 'left' : 'right'} of centre`,
+                `Photo field of view: ${this.sitePose.fov.toFixed(0)}° vertical`
+            ];
+            if (!this.currentPreset) {
+                lines.push('Select a preset to store this photo with it.');
+            } else if (storedSite?.image !== this.site.image ||
+                JSON.stringify(storedSite?.corners) !== JSON.stringify(this.site.corners)) {
+                lines.push('Not yet saved to the preset.');
+            }
+            siteInfo.textContent = lines.join('\n');
+        }
+    }
+
+    initLightingControls() {
+        const modeSelect = document.getElementById('lightingModeSelect');
+        const placementSelect = document.getElementById('floodPlacementSelect');
+        const timeInput = document.getElementById('lightingTimeInput');
+        const timeSlider = document.getElementById('lightingTimeSlider');
+        const brightnessSlider = document.getElementById('floodBrightnessSlider');
+
+        for (const [key, mode] of Object.entries(LIGHTING_MODES)) {
+            modeSelect.add(new Option(mode.label, key));
+        }
+        for (const [key, placement] of Object.entries(FLOOD_PLACEMENTS)) {
+            placementSelect.add(new Option(placement.label, key));
+        }
+
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+
+        const onChange = () => {
+            const { lighting } = this;
+            lighting.mode = modeSelect.value;
+            lighting.date = document.getElementById('lightingDateInput').value || lighting.date;
+            lighting.time = timeInput.value || lighting.time;
+            lighting.latitude = Math.max(-90, Math.min(90, number('lightingLatitudeInput', lighting.latitude)));
+            lighting.longitude = Math.max(-180, Math.min(180, number('lightingLongitudeInput', lighting.longitude)));
+            lighting.utcOffset = number('lightingOffsetInput', lighting.utcOffset);
+            lighting.facing = ((number('lightingFacingInput', lighting.facing) % 360) + 360) % 360;
+            lighting.floods = {
+                placement: placementSelect.value,
+                count: Math.max(1, Math.min(8, Math.round(number('floodCountInput', lighting.floods.count)))),
+                brightness: parseFloat(brightnessSlider.value),
+                armLength: Math.max(0.5, number('floodArmInput', lighting.floods.armLength)),
+                color: document.getElementById('floodColorInput').value
+            };
+            this.syncLightingControls();
+            this.saveToLocalStorage();
+        };
+
+        // The slider scrubs through the day in minutes
+        timeSlider.addEventListener('input', () => {
+            const minutes = parseInt(timeSlider.value);
+            const pad = (value) => String(value).padStart(2, '0');
+            timeInput.value = `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+            onChange();
+        });
+        brightnessSlider.addEventListener('input', onChange);
+
+        document.querySelectorAll('#lightingModeSelect, #lightingSunFields input, #lightingNightFields select, #lightingNightFields input')
+            .forEach((input) => {
+                if (input !== timeSlider && input !== brightnessSlider) {
+                    input.addEventListener('change', onChange);
+                }
+            });
+
+        this.syncLightingControls();
+    }
+
+    syncLightingControls() {
+        const { lighting } = this;
+        const [hours, minutes] = lighting.time.split(':').map(Number);
+
+        document.getElementById('lightingModeSelect').value = lighting.mode;
+        document.getElementById('lightingSunFields').hidden = lighting.mode !== 'sun';
+        document.getElementById('lightingNightFields').hidden = lighting.mode !== 'night';
+        document.getElementById('lightingDateInput').value = lighting.date;
+        document.getElementById('lightingTimeInput').value = lighting.time;
+        document.getElementById('lightingTimeSlider').value = hours * 60 + minutes;
+        document.getElementById('lightingTimeValue').textContent = lighting.time;
+        document.getElementById('lightingLatitudeInput').value = lighting.latitude;
+        document.getElementById('lightingLongitudeInput').value = lighting.longitude;
+        document.getElementById('lightingOffsetInput').value = lighting.utcOffset;
+        document.getElementById('lightingFacingInput').value = lighting.facing;
+        document.getElementById('floodPlacementSelect').value = lighting.floods.placement;
+        document.getElementById('floodCountInput').value = lighting.floods.count;
+        document.getElementById('floodArmInput').value = lighting.floods.armLength;
+        document.getElementById('floodColorInput').value = lighting.floods.color;
+        document.getElementById('floodBrightnessSlider').value = lighting.floods.brightness;
+        document.getElementById('floodBrightnessValue').textContent = lighting.floods.brightness.toFixed(1);
+
+        this.updateLighting();
+    }
+
+    // Switch the scene's lights to the current lighting mode
+    updateLighting() {
+        const { mode, floods } = this.lighting;
+        const info = document.getElementById('lightingInfo');
+
+        this.ambientLight.intensity = { studio: 0.6, sun: 0, night: 0.04 }[mode];
+        this.studioLight.visible = mode === 'studio';
+        this.sunLight.visible = mode === 'sun';
+        this.skyLight.visible = mode === 'sun';
+
+        this.floodLights.traverse((light) => {
+            if (light.isSpotLight) light.dispose();
+        });
+        this.floodLights.clear();
+
+        // Fixtures are laid out along the main board, which compare panes share
+        if (mode === 'night') {
+            this.floodLights.add(createFloodLights(floods, this.settings.width, this.settings.height));
+            info.textContent = `${floods.count} fixture${floods.count > 1 ? 's' : ''} ${floods.placement} the board on ${floods.armLength} ft arms`;
+            return;
+        }
+        if (mode !== 'sun') {
+            info.textContent = '';
+            return;
+        }
+
+        const { date, time, utcOffset, latitude, longitude, facing } = this.lighting;
+        const sun = getSunPosition(getSiteDate(date, time, utcOffset), latitude, longitude);
+        const direction = getSunDirection(sun, facing);
+
+        // Daylight fades in and out over the first few degrees above the horizon
+        const daylight = THREE.MathUtils.clamp(sun.elevation / 10, 0, 1);
+        this.sunLight.intensity = 1.5 * daylight;
+        this.skyLight.intensity = 0.08 + 0.5 * daylight;
+
+        // Shadow camera sized to cover every board in the scene
+        const boards = [this.settings, ...(this.compare.enabled ? this.compare.variants : [])];
+        const size = Math.max(...boards.map((board) => Math.hypot(board.width, board.height))) + 2;
+        aimShadowLight(this.sunLight, direction, size);
+
+        const lines = [`Sun ${sun.elevation.toFixed(0)}° up, bearing ${sun.azimuth.toFixed(0)}° (${formatBearing(sun.azimuth)})`];
+        if (sun.elevation <= 0) {
+            lines.push('The sun is below the horizon: sky light only.');
+        } else if (direction.z <= 0) {
+            lines.push(`The sun is behind the board (facing ${formatBearing(facing)}): its face is in shade.`);
+        } else {
+            const sunlight = getFaceSunlight(this.getVisibilityBoard(), direction, this.settings.orientation);
+            lines.push(`Direct sun on each face: ${sunlight.map((share, face) => `${'ABC'[face]} ${Math.round(share * 100)}%`).join(', ')}`);
+
+            // Faces far darker than the brightest read as washed out next to it
+            const brightest = Math.max(...sunlight);
+            const shaded = sunlight.map((share, face) => (share < brightest / 4 ? 'ABC'[face] : null)).filter(Boolean);
+            if (shaded.length) {
+                lines.push(`Face ${shaded.join(' and ')} ${shaded.length > 1 ? 'are' : 'is'} shaded by the peaks, so ${shaded.length > 1 ? 'those images' : 'that image'} will look dim next to ${'ABC'[sunlight.indexOf(brightest)]}.`);
+            }
+        }
+        info.textContent = lines.join('\n');
+    }
+
+    initCompareControls() {
+        const enabledCheckbox = document.getElementById('compareEnabled');
+        const panesSelect = document.getElementById('comparePanesSelect');
+        const variantSelect = document.getElementById('compareVariantSelect');
+        const profileSelect = document.getElementById('compareProfileSelect');
+        const imageInput = document.getElementById('compareImageInput');
+        const inputs = {
+            slats: document.getElementById('compareSlatsInput'),
+            angle: document.getElementById('compareAngleInput'),
+            width: document.getElementById('compareWidthInput'),
+            height: document.getElementById('compareHeightInput')
+        };
+
+        for (const [key, profile] of Object.entries(SLAT_PROFILES)) {
+            profileSelect.add(new Option(profile.label, key));
+        }
+
+        const onToggle = () => {
+            this.compare.enabled = enabledCheckbox.checked;
+            this.compare.panes = parseInt(panesSelect.value) || 2;
+            this.compareVariant = Math.min(this.compareVariant, this.compare.panes - 2);
+            this.onResize();
+            this.syncCompareControls();
+            this.saveToLocalStorage();
+        };
+        enabledCheckbox.addEventListener('change', onToggle);
+        panesSelect.addEventListener('change', onToggle);
+
+        variantSelect.addEventListener('change', (e) => {
+            this.compareVariant = parseInt(e.target.value);
+            this.syncCompareControls();
+        });
+
+        // Values the board can't be built with are dropped, as for presets
+        // and shared links, and the field shows the last good one again
+        const onVariantChange = () => {
+            const variant = this.compare.variants[this.compareVariant];
+            const slats = parseInt(inputs.slats.value);
+            const angle = parseFloat(inputs.angle.value);
+            const width = parseFloat(inputs.width.value);
+            const height = parseFloat(inputs.height.value);
+            if (slats >= 1) variant.slats = slats;
+            if (angle > 0 && angle < 90) variant.angle = angle;
+            if (width > 0) variant.width = width;
+            if (height > 0) variant.height = height;
+            variant.profile = profileSelect.value;
+            this.syncCompareControls();
+            this.saveToLocalStorage();
+        };
+        Object.values(inputs).forEach((input) => input.addEventListener('change', onVariantChange));
+        profileSelect.addEventListener('change', onVariantChange);
+
+        document.getElementById('compareCopyBtn').addEventListener('click', () => {
+            this.compare.variants[this.compareVariant] = { ...this.settings };
+            this.syncCompareControls();
+            this.saveToLocalStorage();
+        });
+
+        // A pane's own image (or null for the main one), freeing the one it replaces
+        const setVariantImage = (variant, face, image) => {
+            const old = this.variantImages[variant][face];
+            if (old) old.texture.dispose();
+            this.variantImages[variant][face] = image;
+        };
+
+        // Image buttons pick the face, then share one file input
+        let imageFace = 0;
+        document.getElementById('compareImageButtons').addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            if (button.dataset.face === undefined) {
+                [0, 1, 2].forEach((face) => setVariantImage(this.compareVariant, face, null));
+                this.syncCompareControls();
+                return;
+            }
+            imageFace = parseInt(button.dataset.face);
+            imageInput.click();
+        });
+
+        imageInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            // The load finishes later, by when another face may be picked
+            const variant = this.compareVariant;
+            const face = imageFace;
+            e.target.value = '';
+            if (!file) return;
+
+            const url = URL.createObjectURL(file);
+            new THREE.TextureLoader().load(url, (texture) => {
+                URL.revokeObjectURL(url);
+                texture.colorSpace = THREE.SRGBColorSpace;
+                setVariantImage(variant, face, {
+                    texture,
+                    aspect: texture.image.width / texture.image.height,
+                    name: file.name
+                });
+                this.syncCompareControls();
+            });
+        });
+
+        this.syncCompareControls();
+    }
+
+    syncCompareControls() {
+        const variantSelect = document.getElementById('compareVariantSelect');
+        const variant = this.compare.variants[this.compareVariant];
+        const images = this.variantImages[this.compareVariant];
+        const faceCount = getFaceCount(variant.profile);
+
+        document.getElementById('compareEnabled').checked = this.compare.enabled;
+        document.getElementById('comparePanesSelect').value = this.compare.panes;
+        document.getElementById('compareEditor').hidden = !this.compare.enabled;
+        document.querySelector('.viewport').classList.toggle('comparing', this.compare.enabled);
+
+        variantSelect.replaceChildren(...Array.from({ length: this.compare.panes - 1 }, (_, i) =>
+            new Option(`Pane ${i + 2}`, i)));
+        variantSelect.value = this.compareVariant;
+
+        document.getElementById('compareSlatsInput').value = variant.slats;
+        document.getElementById('compareAngleInput').value = variant.angle;
+        document.getElementById('compareWidthInput').value = variant.width;
+        document.getElementById('compareHeightInput').value = variant.height;
+        document.getElementById('compareProfileSelect').value = variant.profile;
+
+        const buttons = ['A', 'B', 'C'].slice(0, faceCount).map((key, face) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small';
+            button.dataset.face = face;
+            button.textContent = `Image ${key}…`;
+            return button;
+        });
+        const mainButton = document.createElement('button');
+        mainButton.className = 'btn btn-small';
+        mainButton.textContent = 'Use Main Images';
+        mainButton.disabled = !images.some(Boolean);
+        document.getElementById('compareImageButtons').replaceChildren(...buttons, mainButton);
+
+        const sources = ['A', 'B', 'C'].slice(0, faceCount).map((key, face) =>
+            `Image ${key}: ${images[face] ? images[face].name : 'main board\'s'}`);
+        document.getElementById('compareInfo').textContent = sources.join('\n');
+
+        this.rebuildCompareBillboards();
+        this.updatePaneLabels();
+    }
+
+    // Variant boards for panes 2 onward, hidden until their pane renders
+    rebuildCompareBillboards() {
+        this.compareBillboards.forEach((board) => {
+            this.scene.remove(board);
+            board.userData.meshes.forEach((mesh) => mesh.geometry.dispose());
+            board.userData.materials.forEach((material) => material.dispose());
+        });
+        this.compareBillboards = [];
+        if (!this.compare.enabled) return;
+
+        const mainRects = this.getCropRects();
+        this.compareBillboards = this.compare.variants.slice(0, this.compare.panes - 1).map((variant, i) => {
+            const boardAspect = variant.width / variant.height;
+            const textures = [];
+            const uvRects = [];
+
+            // A variant's own images get the default fit; borrowed ones keep
+            // the main board's crop, refitted to the variant's shape
+            ['A', 'B', 'C'].forEach((key, face) => {
+                const own = this.variantImages[i][face];
+                const aspect = own ? own.aspect : this[`imageAspect${key}`];
+                textures.push(own ? own.texture : this[`texture${key}`]);
+                uvRects.push(aspect
+                    ? getCropRect(own ? DEFAULT_CROP : this.imageCrops[key], aspect, boardAspect)
+                    : mainRects[face]);
+            });
+
+            const board = createBillboardGroup(
+                variant.width,
+                variant.height,
+                variant.slats,
+                variant.angle,
+                textures,
+                {
+                    profile: variant.profile,
+                    orientation: variant.orientation,
+                    rightAngle: variant.rightAngle,
+                    construction: this.construction,
+                    surface: this.surface,
+                    uvRects,
+                    softProof: this.getSoftProofUniforms()
+                }
+            );
+            board.visible = false;
+            this.scene.add(board);
+            return board;
+        });
+    }
+
+    // Each pane's settings, for its label
+    getPaneSettings() {
+        return [this.settings, ...this.compare.variants].slice(0, this.compare.panes);
+    }
+
+    updatePaneLabels() {
+        const labels = document.getElementById('compareLabels');
+        if (!this.compare.enabled) {
+            labels.replaceChildren();
+            return;
+        }
+
+        const viewport = document.querySelector('.viewport');
+        const panes = getPaneLayout(this.compare.panes, viewport.clientWidth, viewport.clientHeight);
+        const settings = this.getPaneSettings();
+        const elements = panes.map((pane, i) => {
+            const label = document.createElement('div');
+            label.className = 'compare-label';
+            label.style.left = `${pane.x}px`;
+            label.style.top = `${pane.y}px`;
+            label.textContent = formatVariantLabel(settings[i]);
+            return label;
+        });
+
+        // Thin rules between the panes
+        panes.forEach((pane) => {
+            if (pane.x > 0) {
+                const divider = document.createElement('div');
+                divider.className = 'compare-divider';
+                Object.assign(divider.style, { left: `${pane.x}px`, top: `${pane.y}px`, width: '1px', height: `${pane.height}px` });
+                elements.push(divider);
+            }
+            if (pane.y > 0) {
+                const divider = document.createElement('div');
+                divider.className = 'compare-divider';
+                Object.assign(divider.style, { left: `${pane.x}px`, top: `${pane.y}px`, width: `${pane.width}px`, height: '1px' });
+                elements.push(divider);
+            }
+        });
+        labels.replaceChildren(...elements);
+    }
+
+    // Same labels and rules on exported frames, scaled to the output size
+    drawPaneLabels(ctx, width, height) {
+        const panes = getPaneLayout(this.compare.panes, width, height);
+        const settings = this.getPaneSettings();
+        const fontSize = Math.max(10, Math.round(height / 30));
+
+        ctx.save();
+        ctx.font = `${fontSize}px sans-serif`;
+        ctx.textBaseline = 'top';
+        panes.forEach((pane, i) => {
+            ctx.fillStyle = '#444';
+            if (pane.x > 0) ctx.fillRect(pane.x, pane.y, 1, pane.height);
+            if (pane.y > 0) ctx.fillRect(pane.x, pane.y, pane.width, 1);
+
+            const text = formatVariantLabel(settings[i]);
+            const padding = fontSize / 2;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(pane.x, pane.y, ctx.measureText(text).width + padding * 2, fontSize + padding * 2);
+            ctx.fillStyle = '#ddd';
+            ctx.fillText(text, pane.x + padding, pane.y + padding);
+        });
+        ctx.restore();
+    }
+
+    initAnimationControls() {
+        const sweepSlider = document.getElementById('sweepSlider');
+        const sweepValue = document.getElementById('sweepValue');
+        const speedSlider = document.getElementById('speedSlider');
+        const speedValue = document.getElementById('speedValue');
+        const previewBtn = document.getElementById('previewBtn');
+        const exportBtn = document.getElementById('exportBtn');
+
+        // Set initial values from loaded settings
+        this.syncAnimationControls();
+
+        // Sweep angle control - move camera to extreme while adjusting
+        let sweepTimeout = null;
+        sweepSlider.addEventListener('input', (e) => {
+            this.sweepAngle = parseInt(e.target.value);
+            sweepValue.textContent = this.sweepAngle + '°';
+
+            this.saveToLocalStorage();
+
+            // The site view stays at the photo's viewpoint
+            if (this.isSiteViewActive()) return;
+
+            // Move camera to the sweep's start (left, or below for
+            // horizontal slats) to show the sweep boundary
+            const distance = this.camera.position.length();
+            const [extreme] = createSweepPath(this.sweepAngle, 0, distance, this.settings.orientation);
+            applyCameraState(this.camera, sampleCameraPath([extreme], 0));
+
+            // Clear previous timeout
+            if (sweepTimeout) clearTimeout(sweepTimeout);
+
+            // Return to center after user stops adjusting
+            sweepTimeout = setTimeout(() => {
+                applyCameraState(this.camera, { azimuth: 0, elevation: 0, distance });
+            }, 1000);
+        });
+
+        speedSlider.addEventListener('input', (e) => {
+            this.animationSpeed = parseFloat(e.target.value);
+            speedValue.textContent = this.animationSpeed;
+            this.saveToLocalStorage();
+        });
+
+        const showSafezone = document.getElementById('showSafezone');
         showSafezone.addEventListener('change', (e) => {
             const overlay = document.getElementById('safezoneOverlay');
             overlay.classList.toggle('visible', e.target.checked);
@@ -400,159 +2139,2407 @@ class LenticularViewer {
             }
         });
 
-        const resetCameraBtn = document.getElementById('resetCameraBtn');
-        resetCameraBtn.addEventListener('click', () => {
-            this.camera.position.set(0, 0, 12);
-            this.camera.lookAt(0, 0, 0);
-            this.orbitControls.reset();
+        const resetCameraBtn = document.getElementById('resetCameraBtn');
+        resetCameraBtn.addEventListener('click', () => {
+            if (this.isSiteViewActive()) {
+                applySiteCameraState(this.camera, this.sitePose);
+                return;
+            }
+            this.camera.position.set(0, 0, 12);
+            this.camera.lookAt(0, 0, 0);
+            this.orbitControls.reset();
+        });
+
+        previewBtn.addEventListener('click', () => this.playPreview());
+        exportBtn.addEventListener('click', () => this.exportAnimation());
+        document.getElementById('cancelExportBtn').addEventListener('click', () => {
+            if (this.exportController) this.exportController.abort();
+        });
+
+        this.initExportFormatControls();
+        this.initGifControls();
+    }
+
+    syncAnimationControls() {
+        document.getElementById('sweepSlider').value = this.sweepAngle;
+        document.getElementById('sweepValue').textContent = this.sweepAngle + '°';
+        document.getElementById('speedSlider').value = this.animationSpeed;
+        document.getElementById('speedValue').textContent = this.animationSpeed;
+    }
+
+    updateSafezone() {
+        const overlay = document.getElementById('safezoneOverlay');
+        if (!overlay.classList.contains('visible')) return;
+
+        const viewport = document.querySelector('.viewport');
+        const viewportWidth = viewport.clientWidth;
+        const viewportHeight = viewport.clientHeight;
+
+        const { cropX, cropY, cropWidth, cropHeight } = getSafeZoneCrop(
+            viewportWidth,
+            viewportHeight,
+            this.getFrontWidth(),
+            this.settings.height
+        );
+
+        const top = overlay.querySelector('.safezone-top');
+        const bottom = overlay.querySelector('.safezone-bottom');
+        const left = overlay.querySelector('.safezone-left');
+        const right = overlay.querySelector('.safezone-right');
+        const border = overlay.querySelector('.safezone-border');
+
+        top.style.height = `${cropY}px`;
+        bottom.style.height = `${cropY}px`;
+        left.style.top = `${cropY}px`;
+        left.style.width = `${cropX}px`;
+        left.style.height = `${cropHeight}px`;
+        right.style.top = `${cropY}px`;
+        right.style.width = `${cropX}px`;
+        right.style.height = `${cropHeight}px`;
+
+        border.style.top = `${cropY}px`;
+        border.style.left = `${cropX}px`;
+        border.style.width = `${cropWidth}px`;
+        border.style.height = `${cropHeight}px`;
+    }
+
+    // Keyframes shared by the preview and every exporter
+    getCameraPath() {
+        if (this.cameraPath.mode === 'custom' && this.cameraPath.keyframes.length > 1) {
+            return sortKeyframes(this.cameraPath.keyframes);
+        }
+        return createSweepPath(
+            this.sweepAngle,
+            getSweepDuration(this.animationSpeed),
+            this.camera.position.length(),
+            this.settings.orientation
+        );
+    }
+
+    playPreview() {
+        if (this.isAnimating) return;
+
+        this.isAnimating = true;
+        const previewBtn = document.getElementById('previewBtn');
+        const exportBtn = document.getElementById('exportBtn');
+        previewBtn.disabled = true;
+
+        // Store original camera position to restore after animation
+        const originalPosition = this.camera.position.clone();
+        const originalQuaternion = this.camera.quaternion.clone();
+
+        // Animation parameters
+        const path = this.getCameraPath();
+        const duration = getPathDuration(path) * 1000;
+        const startTime = performance.now();
+
+        // Videos and GIFs restart with the path, as they do in the export
+        const resumeMotion = this.holdMotion();
+        const motionSources = this.getMotionSources();
+        motionSources.forEach((source) => {
+            source.seek(0);
+            source.play();
+        });
+
+        const animatePreview = (currentTime) => {
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+
+            // Same path and timing as export
+            const state = sampleCameraPath(path, progress * getPathDuration(path));
+            if (this.isSiteViewActive()) {
+                applySiteCameraState(this.camera, this.sitePose, state);
+            } else {
+                applyCameraState(this.camera, state);
+            }
+            this.updatePathPlayhead(progress * getPathDuration(path));
+
+            if (progress < 1) {
+                requestAnimationFrame(animatePreview);
+            } else {
+                this.isAnimating = false;
+                previewBtn.disabled = false;
+                exportBtn.disabled = false;
+                motionSources.forEach((source) => source.pause());
+                resumeMotion();
+
+                // Reset to original position
+                this.camera.position.copy(originalPosition);
+                this.camera.quaternion.copy(originalQuaternion);
+            }
+        };
+
+        requestAnimationFrame(animatePreview);
+    }
+
+    initCameraPathControls() {
+        const modeSelect = document.getElementById('pathModeSelect');
+        const templateSelect = document.getElementById('pathTemplateSelect');
+        const timeline = document.getElementById('pathTimeline');
+        const timeInput = document.getElementById('keyframeTimeInput');
+        const easingSelect = document.getElementById('keyframeEasingSelect');
+        const azimuthInput = document.getElementById('keyframeAzimuthInput');
+        const elevationInput = document.getElementById('keyframeElevationInput');
+        const distanceInput = document.getElementById('keyframeDistanceInput');
+
+        for (const [key, template] of Object.entries(PATH_TEMPLATES)) {
+            templateSelect.add(new Option(template.label, key));
+        }
+        for (const [key, easing] of Object.entries(EASINGS)) {
+            easingSelect.add(new Option(easing.label, key));
+        }
+
+        this.selectedKeyframe = 0;
+        this.pathPlayheadTime = 0;
+
+        const onPathChanged = () => {
+            this.cameraPath.keyframes = sortKeyframes(this.cameraPath.keyframes);
+            this.renderPathTimeline();
+            this.saveToLocalStorage();
+        };
+
+        // Timeline position <-> seconds
+        const timeAt = (clientX) => {
+            const rect = timeline.getBoundingClientRect();
+            const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+            return Math.round(fraction * this.getTimelineDuration() * 10) / 10;
+        };
+
+        const scrubTo = (time) => {
+            this.pathPlayheadTime = time;
+            applyCameraState(this.camera, sampleCameraPath(this.cameraPath.keyframes, time));
+            this.updatePathPlayhead(time);
+        };
+
+        modeSelect.addEventListener('change', (e) => {
+            this.cameraPath.mode = e.target.value;
+            this.syncCameraPathControls();
+            this.saveToLocalStorage();
+        });
+
+        templateSelect.addEventListener('change', (e) => {
+            const template = PATH_TEMPLATES[e.target.value];
+            templateSelect.value = '';
+            if (!template) return;
+            this.cameraPath.keyframes = turnPath(
+                template.create(this.sweepAngle, this.camera.position.length()),
+                this.settings.orientation
+            );
+            this.selectedKeyframe = 0;
+            onPathChanged();
+        });
+
+        // Click to scrub, drag a marker to retime its keyframe
+        let dragging = null;
+        timeline.addEventListener('pointerdown', (e) => {
+            if (this.isAnimating) return;
+            const marker = e.target.closest('.timeline-keyframe');
+            if (marker) {
+                this.selectedKeyframe = parseInt(marker.dataset.index);
+                dragging = this.cameraPath.keyframes[this.selectedKeyframe];
+                timeline.setPointerCapture(e.pointerId);
+                this.renderPathTimeline();
+            } else {
+                scrubTo(timeAt(e.clientX));
+            }
+        });
+        timeline.addEventListener('pointermove', (e) => {
+            if (dragging) {
+                dragging.time = timeAt(e.clientX);
+                this.renderPathTimeline();
+            } else if (e.buttons === 1 && !this.isAnimating) {
+                scrubTo(timeAt(e.clientX));
+            }
+        });
+        timeline.addEventListener('pointerup', () => {
+            if (!dragging) return;
+            const keyframe = dragging;
+            dragging = null;
+            onPathChanged();
+            this.selectedKeyframe = this.cameraPath.keyframes.indexOf(keyframe);
+            this.renderPathTimeline();
+        });
+
+        // Keyframe field edits
+        const editField = (input, key, parse) => {
+            input.addEventListener('change', () => {
+                const keyframe = this.cameraPath.keyframes[this.selectedKeyframe];
+                if (!keyframe) return;
+                const value = parse(input.value);
+                if (value === null || Number.isNaN(value)) return;
+                keyframe[key] = value;
+                onPathChanged();
+                this.selectedKeyframe = this.cameraPath.keyframes.indexOf(keyframe);
+                this.renderPathTimeline();
+            });
+        };
+        editField(timeInput, 'time', (v) => Math.max(0, parseFloat(v)));
+        editField(azimuthInput, 'azimuth', parseFloat);
+        editField(elevationInput, 'elevation', (v) => {
+            const limit = this.settings.orientation === 'horizontal' ? 80 : 60;
+            return Math.min(limit, Math.max(-limit, parseFloat(v)));
+        });
+        editField(distanceInput, 'distance', (v) => Math.max(1, parseFloat(v)));
+        editField(easingSelect, 'easing', (v) => (EASINGS[v] ? v : null));
+
+        document.getElementById('keyframeAddBtn').addEventListener('click', () => {
+            const keyframe = {
+                time: this.pathPlayheadTime,
+                ...getCameraState(this.camera),
+                easing: 'easeInOut'
+            };
+            // Keep keyframe times unique so the timeline stays unambiguous
+            this.cameraPath.keyframes = this.cameraPath.keyframes.filter((k) => k.time !== keyframe.time);
+            this.cameraPath.keyframes.push(keyframe);
+            onPathChanged();
+            this.selectedKeyframe = this.cameraPath.keyframes.indexOf(keyframe);
+            this.renderPathTimeline();
+        });
+
+        document.getElementById('keyframeFromCameraBtn').addEventListener('click', () => {
+            const keyframe = this.cameraPath.keyframes[this.selectedKeyframe];
+            if (!keyframe) return;
+            Object.assign(keyframe, getCameraState(this.camera));
+            onPathChanged();
+        });
+
+        document.getElementById('keyframeDeleteBtn').addEventListener('click', () => {
+            if (this.cameraPath.keyframes.length <= 2) return;
+            this.cameraPath.keyframes.splice(this.selectedKeyframe, 1);
+            this.selectedKeyframe = Math.min(this.selectedKeyframe, this.cameraPath.keyframes.length - 1);
+            onPathChanged();
+        });
+
+        this.syncCameraPathControls();
+    }
+
+    initCameraBookmarkControls() {
+        const select = document.getElementById('bookmarkSelect');
+        const nameInput = document.getElementById('bookmarkNameInput');
+
+        this.selectedBookmark = 0;
+
+        const onBookmarksChanged = (label) => {
+            this.syncCameraBookmarkControls();
+            this.recordHistory(label);
+            this.saveToLocalStorage();
+        };
+
+        // Picking a bookmark goes straight to it
+        select.addEventListener('change', (e) => {
+            this.selectedBookmark = parseInt(e.target.value);
+            this.syncCameraBookmarkControls();
+            this.recallCameraBookmark(this.selectedBookmark);
+        });
+
+        document.getElementById('bookmarkRecallBtn').addEventListener('click', () => {
+            this.recallCameraBookmark(this.selectedBookmark);
+        });
+
+        // Bookmarks are orbit views, so the site photo's fixed viewpoint
+        // can't be one
+        document.getElementById('bookmarkSaveBtn').addEventListener('click', () => {
+            if (this.isSiteViewActive()) return;
+            const bookmark = { name: `View ${this.cameraBookmarks.length + 1}`, ...getCameraState(this.camera) };
+            this.cameraBookmarks = [...this.cameraBookmarks, bookmark];
+            this.selectedBookmark = this.cameraBookmarks.length - 1;
+            onBookmarksChanged(`Bookmark: ${bookmark.name}`);
+            nameInput.select();
+        });
+
+        nameInput.addEventListener('change', () => {
+            const bookmark = this.cameraBookmarks[this.selectedBookmark];
+            const name = nameInput.value.trim();
+            if (!bookmark || !name || name === bookmark.name) {
+                this.syncCameraBookmarkControls();
+                return;
+            }
+            this.cameraBookmarks = this.cameraBookmarks.map((item) => (item === bookmark ? { ...item, name } : item));
+            onBookmarksChanged(`Rename bookmark: ${name}`);
+        });
+
+        document.getElementById('bookmarkDeleteBtn').addEventListener('click', () => {
+            const bookmark = this.cameraBookmarks[this.selectedBookmark];
+            if (!bookmark) return;
+            this.cameraBookmarks = this.cameraBookmarks.filter((item) => item !== bookmark);
+            onBookmarksChanged(`Delete bookmark: ${bookmark.name}`);
+        });
+
+        this.syncCameraBookmarkControls();
+    }
+
+    syncCameraBookmarkControls() {
+        const select = document.getElementById('bookmarkSelect');
+        const nameInput = document.getElementById('bookmarkNameInput');
+        const bookmarks = this.cameraBookmarks;
+        this.selectedBookmark = Math.min(this.selectedBookmark, Math.max(0, bookmarks.length - 1));
+
+        if (bookmarks.length) {
+            select.replaceChildren(...bookmarks.map((bookmark, i) => new Option(bookmark.name, i)));
+            select.value = this.selectedBookmark;
+        } else {
+            select.replaceChildren(new Option('No bookmarks', ''));
+        }
+        select.disabled = bookmarks.length === 0;
+        nameInput.value = bookmarks.length ? bookmarks[this.selectedBookmark].name : '';
+        nameInput.disabled = bookmarks.length === 0;
+        document.getElementById('bookmarkRecallBtn').disabled = bookmarks.length === 0;
+        document.getElementById('bookmarkDeleteBtn').disabled = bookmarks.length === 0;
+    }
+
+    recallCameraBookmark(index) {
+        const bookmark = this.cameraBookmarks[index];
+        if (!bookmark || this.isAnimating || this.isSiteViewActive()) return;
+
+        const toRadians = (degrees) => (degrees * Math.PI) / 180;
+        applyCameraState(this.camera, {
+            azimuth: toRadians(bookmark.azimuth),
+            elevation: toRadians(bookmark.elevation),
+            distance: bookmark.distance
+        });
+    }
+
+    syncCameraPathControls() {
+        const custom = this.cameraPath.mode === 'custom';
+        document.getElementById('pathModeSelect').value = this.cameraPath.mode;
+        document.getElementById('pathEditor').hidden = !custom;
+
+        // Sweep sliders only drive the default path
+        document.getElementById('sweepSlider').disabled = custom;
+        document.getElementById('speedSlider').disabled = custom;
+
+        this.updateOrbitLimits();
+        this.renderPathTimeline();
+    }
+
+    // The orbit follows the slats' sweep: around the board for vertical
+    // slats, over it for horizontal ones. Custom paths may also turn the
+    // camera the other way, so the orbit follows them within limits.
+    updateOrbitLimits() {
+        const custom = this.cameraPath.mode === 'custom';
+        const tilt = custom ? Math.PI / 3 : 0;
+        if (this.settings.orientation === 'horizontal') {
+            this.orbitControls.minPolarAngle = Math.PI / 2 - (Math.PI * 4) / 9;
+            this.orbitControls.maxPolarAngle = Math.PI / 2 + (Math.PI * 4) / 9;
+            this.orbitControls.minAzimuthAngle = -tilt;
+            this.orbitControls.maxAzimuthAngle = tilt;
+        } else {
+            this.orbitControls.minPolarAngle = Math.PI / 2 - tilt;
+            this.orbitControls.maxPolarAngle = Math.PI / 2 + tilt;
+            this.orbitControls.minAzimuthAngle = -Infinity;
+            this.orbitControls.maxAzimuthAngle = Infinity;
+        }
+    }
+
+    // Visible timeline length, padded so the last keyframe isn't on the edge
+    getTimelineDuration() {
+        return Math.max(1, Math.ceil(getPathDuration(this.cameraPath.keyframes) * 1.1));
+    }
+
+    renderPathTimeline() {
+        const timeline = document.getElementById('pathTimeline');
+        const duration = this.getTimelineDuration();
+
+        timeline.querySelectorAll('.timeline-keyframe').forEach((marker) => marker.remove());
+        this.cameraPath.keyframes.forEach((keyframe, index) => {
+            const marker = document.createElement('button');
+            marker.type = 'button';
+            marker.className = 'timeline-keyframe';
+            marker.classList.toggle('selected', index === this.selectedKeyframe);
+            marker.dataset.index = index;
+            marker.style.left = `${(keyframe.time / duration) * 100}%`;
+            const sweep = this.settings.orientation === 'horizontal' ? keyframe.elevation : keyframe.azimuth;
+            marker.title = `${keyframe.time}s · ${Math.round(sweep)}°`;
+            timeline.appendChild(marker);
+        });
+
+        document.getElementById('pathDurationLabel').textContent =
+            `${getPathDuration(this.cameraPath.keyframes).toFixed(1)}s of ${duration}s`;
+
+        const keyframe = this.cameraPath.keyframes[this.selectedKeyframe];
+        if (keyframe) {
+            document.getElementById('keyframeTimeInput').value = keyframe.time;
+            document.getElementById('keyframeEasingSelect').value = keyframe.easing;
+            document.getElementById('keyframeAzimuthInput').value = Math.round(keyframe.azimuth * 10) / 10;
+            document.getElementById('keyframeElevationInput').value = Math.round(keyframe.elevation * 10) / 10;
+            document.getElementById('keyframeDistanceInput').value = Math.round(keyframe.distance * 10) / 10;
+        }
+        document.getElementById('keyframeDeleteBtn').disabled = this.cameraPath.keyframes.length <= 2;
+
+        this.updatePathPlayhead(this.pathPlayheadTime);
+    }
+
+    updatePathPlayhead(time) {
+        const playhead = document.getElementById('pathPlayhead');
+        playhead.style.left = `${(Math.min(time, this.getTimelineDuration()) / this.getTimelineDuration()) * 100}%`;
+    }
+
+    initAnalysisControls() {
+        const distanceInput = document.getElementById('analysisDistanceInput');
+        const compareCheckbox = document.getElementById('analysisCompare');
+        const slatsInput = document.getElementById('analysisSlatsInput');
+        const angleInput = document.getElementById('analysisAngleInput');
+
+        const onChange = () => {
+            this.analysis.distance = Math.max(0, parseFloat(distanceInput.value) || 0);
+            this.analysis.compare = compareCheckbox.checked;
+            this.analysis.compareSlats = parseInt(slatsInput.value) || this.analysis.compareSlats;
+            this.analysis.compareAngle = parseFloat(angleInput.value) || this.analysis.compareAngle;
+            this.syncAnalysisControls();
+            this.saveToLocalStorage();
+        };
+
+        [distanceInput, slatsInput, angleInput].forEach((input) => input.addEventListener('change', onChange));
+        compareCheckbox.addEventListener('change', onChange);
+
+        // The chart is sized from its CSS box, so redraw when the layout changes
+        window.addEventListener('resize', () => this.updateVisibilityAnalysis());
+
+        this.syncAnalysisControls();
+    }
+
+    syncAnalysisControls() {
+        document.getElementById('analysisDistanceInput').value = this.analysis.distance;
+        document.getElementById('analysisCompare').checked = this.analysis.compare;
+        document.getElementById('analysisSlatsInput').value = this.analysis.compareSlats;
+        document.getElementById('analysisAngleInput').value = this.analysis.compareAngle;
+        document.getElementById('analysisCompareRow').hidden = !this.analysis.compare;
+        this.updateVisibilityAnalysis();
+    }
+
+    // The visibility chart, walk-by timing and campaign walk
+    scheduleAnalysisUpdate() {
+        clearTimeout(this.analysisTimeout);
+        this.analysisTimeout = setTimeout(() => this.updateAnalysis(), SETTLE_DELAY);
+    }
+
+    updateAnalysis() {
+        clearTimeout(this.analysisTimeout);
+        this.updateVisibilityAnalysis();
+        this.updateWalkByReport();
+    }
+
+    // Visibility of each face across horizontal viewing angles, for the
+    // current slat setting and optionally a second one to compare against
+    updateVisibilityAnalysis() {
+        const getSeries = (slats, angle, rightAngle) => {
+            const board = this.getVisibilityBoard(slats, angle, rightAngle);
+            const curve = computeVisibilityCurve(board, { distance: this.analysis.distance });
+            return { slats, angle, rightAngle, curve, zones: findVisibilityZones(curve) };
+        };
+
+        const series = [getSeries(this.settings.slats, this.settings.angle, this.settings.rightAngle)];
+        if (this.analysis.compare) {
+            series.push(getSeries(this.analysis.compareSlats, this.analysis.compareAngle, null));
+        }
+
+        drawVisibilityChart(document.getElementById('visibilityChart'), series);
+
+        // Pure zones and ghosting bands as angle ranges
+        const describe = ({ zones }) => zones
+            .map((zone) => `${zone.state >= 0 ? 'ABC'[zone.state] : 'ghosting'} ${zone.from}° to ${zone.to}°`)
+            .join(', ');
+        const lines = series.map((entry, i) =>
+            `${i === 0 ? 'Current' : 'Compare'} (${entry.slats} slats, ${formatSlatAngle(entry)}): ${describe(entry)}`);
+        if (this.settings.orientation === 'horizontal') {
+            lines.push('Horizontal slats: angles are above (+) and below (−) the board');
+        }
+        if (this.surface.type !== 'flat') {
+            lines.push('Angles are to the flat board: on a curved surface each slat is turned from its neighbours, so parts of the board flip at different times');
+        }
+        document.getElementById('analysisReport').textContent = lines.join('\n');
+    }
+
+    initProofControls() {
+        const enabledCheckbox = document.getElementById('proofEnabled');
+        const distanceInput = document.getElementById('proofDistanceInput');
+
+        const onChange = () => {
+            this.proof.enabled = enabledCheckbox.checked;
+            this.proof.distance = Math.max(1, parseFloat(distanceInput.value) || 100);
+            this.syncProofControls();
+            this.saveToLocalStorage();
+        };
+        enabledCheckbox.addEventListener('change', onChange);
+        distanceInput.addEventListener('change', onChange);
+        document.getElementById('proofExportBtn').addEventListener('click', () => this.exportProofSheet());
+
+        this.syncProofControls();
+    }
+
+    syncProofControls() {
+        document.getElementById('proofEnabled').checked = this.proof.enabled;
+        document.getElementById('proofDistanceInput').value = this.proof.distance;
+        document.getElementById('proofOptions').hidden = !this.proof.enabled;
+        this.updateProof();
+    }
+
+    // Checking the artwork reads back every face's pixels
+    scheduleProofUpdate() {
+        if (!this.proof.enabled && !this.proofOverlay) return;
+        clearTimeout(this.proofTimeout);
+        this.proofTimeout = setTimeout(() => this.updateProof(), SETTLE_DELAY);
+    }
+
+    // Runs the proof over each loaded face, then shows the results in the
+    // report, the crop preview and over the board
+    updateProof() {
+        clearTimeout(this.proofTimeout);
+        const report = document.getElementById('proofReport');
+        const boardAspect = this.settings.width / this.settings.height;
+        const board = this.getVisibilityBoard();
+        const { along } = getSlatLengths(this.settings);
+        const horizontal = this.settings.orientation === 'horizontal';
+        const cropRects = this.getCropRects();
+
+        this.proofResults = [];
+        if (this.proof.enabled) {
+            ['A', 'B', 'C'].slice(0, getFaceCount(this.settings.profile)).forEach((key, face) => {
+                const texture = this[`texture${key}`];
+                if (!texture) return;
+                const artwork = drawBoardArtwork(texture.image, cropRects[face], boardAspect);
+                const checked = horizontal ? turnArtwork(artwork) : artwork;
+                const image = checked.getContext('2d').getImageData(0, 0, checked.width, checked.height);
+                const result = analyzeArtwork(image, board, {
+                    height: along,
+                    distance: this.proof.distance,
+                    face
+                });
+                if (horizontal) result.regions = result.regions.map(turnRegionBack);
+                this.proofResults.push({ key, face, artwork, ...result });
+            });
+        }
+
+        this.updateProofOverlay();
+        if (this.cropFrame) this.syncCropEditor();
+
+        if (!this.proof.enabled || this.proofResults.length === 0) {
+            report.textContent = this.proof.enabled ? 'Load an image to check it' : '';
+            document.getElementById('proofExportBtn').disabled = true;
+            return;
+        }
+
+        report.textContent = this.getProofSummary().join('\n');
+        document.getElementById('proofExportBtn').disabled = false;
+    }
+
+    getProofSummary() {
+        const [first] = this.proofResults;
+        const lines = [
+            `Strips are ${first.slatWidth.toFixed(1)} in wide; strokes need ${first.minStroke.toFixed(1)} in ` +
+            `to read from ${this.proof.distance} ft`
+        ];
+        this.proofResults.forEach(({ key, regions }) => {
+            const counts = Object.keys(PROOF_RISKS)
+                .map((kind) => [kind, regions.filter((region) => region.kind === kind).length])
+                .filter(([, count]) => count > 0)
+                .map(([kind, count]) => `${count} × ${PROOF_RISKS[kind].label.toLowerCase()}`);
+            lines.push(`Image ${key}: ${counts.length ? counts.join(', ') : 'no risks found'}`);
+        });
+        return lines;
+    }
+
+    // Highlights on the board itself, one layer per checked face
+    updateProofOverlay() {
+        if (this.proofOverlay) {
+            this.proofOverlay.removeFromParent();
+            this.proofOverlay.userData.meshes.forEach((mesh) => mesh.geometry.dispose());
+            this.proofOverlay.userData.materials.forEach((material) => {
+                material.map.dispose();
+                material.dispose();
+            });
+            this.proofOverlay = null;
+        }
+        if (this.proofResults.length === 0) return;
+
+        const boardAspect = this.settings.width / this.settings.height;
+        const canvases = [];
+        this.proofResults.forEach(({ face, regions }) => {
+            canvases[face] = regions.length ? createProofOverlayCanvas(regions, PROOF_WIDTH, boardAspect) : null;
+        });
+        this.proofOverlay = createOverlayGroup(
+            this.settings.width,
+            this.settings.height,
+            this.settings.slats,
+            this.settings.angle,
+            canvases,
+            {
+                profile: this.settings.profile,
+                orientation: this.settings.orientation,
+                rightAngle: this.settings.rightAngle,
+                construction: this.construction,
+                surface: this.surface
+            }
+        );
+        this.billboard.add(this.proofOverlay);
+    }
+
+    // Exports show the artwork (soft-proofed, if that's on), not the proof's
+    // highlights or the gamut stripes. Returns a function that puts them back.
+    hideProofOverlay() {
+        const overlay = this.proofOverlay;
+        const warning = this.softProofUniforms.softProofWarning;
+        const showWarning = warning.value;
+        if (overlay) overlay.visible = false;
+        warning.value = false;
+        return () => {
+            if (overlay) overlay.visible = true;
+            warning.value = showWarning;
+        };
+    }
+
+    // Where the slats meet, as shares of the way across the board, inside
+    // the frame when there is one
+    getSeamPositions() {
+        const board = this.getVisibilityBoard();
+        return Array.from({ length: board.slats - 1 }, (_, i) => (board.frameWidth + (i + 1) * board.slatWidth) / board.width);
+    }
+
+    exportProofSheet() {
+        if (this.proofResults.length === 0) return;
+        const { width, height, slats, orientation } = this.settings;
+        const seams = this.getSeamPositions();
+        const sheet = createProofSheet({
+            title: `Artwork proof: ${width} × ${height} ft, ${slats} ${orientation} slats at ${formatSlatAngle(this.settings)}`,
+            horizontal: orientation === 'horizontal',
+            summary: this.getProofSummary(),
+            faces: this.proofResults.map(({ key, artwork, regions }) => ({
+                label: `Image ${key}${this[`imageFile${key}`] ? ` (${this[`imageFile${key}`].name})` : ''}`,
+                artwork,
+                regions,
+                seams
+            }))
+        });
+        const filename = document.getElementById('filenameInput').value.trim() || 'lenticular-preview';
+        sheet.toBlob((blob) => downloadBlob(blob, `${filename}-proof.png`), 'image/png');
+    }
+
+    initSoftProofControls() {
+        const enabledCheckbox = document.getElementById('softProofEnabled');
+        const profileSelect = document.getElementById('softProofProfileSelect');
+        const paperCheckbox = document.getElementById('softProofPaper');
+        const dotGainSlider = document.getElementById('softProofDotGainSlider');
+        const gamutCheckbox = document.getElementById('softProofGamut');
+        const iccInput = document.getElementById('iccProfileInput');
+        const warning = document.getElementById('softProofWarning');
+
+        for (const [key, profile] of Object.entries(PRINT_PROFILES)) {
+            profileSelect.add(new Option(profile.label, key));
+        }
+        profileSelect.add(new Option('ICC profile', ICC_PROFILE));
+
+        const onChange = () => {
+            this.softProof = {
+                enabled: enabledCheckbox.checked,
+                profile: profileSelect.value,
+                paperWhite: paperCheckbox.checked,
+                dotGain: parseInt(dotGainSlider.value) / 100,
+                gamutWarning: gamutCheckbox.checked
+            };
+            this.syncSoftProofControls();
+            this.saveToLocalStorage();
+        };
+        [enabledCheckbox, profileSelect, paperCheckbox, gamutCheckbox].forEach((input) => {
+            input.addEventListener('change', onChange);
+        });
+        // Each step rebuilds the table, so the value follows the drag and
+        // the proof the release
+        dotGainSlider.addEventListener('input', () => {
+            document.getElementById('softProofDotGainValue').textContent = `${dotGainSlider.value}%`;
+        });
+        dotGainSlider.addEventListener('change', onChange);
+
+        document.getElementById('iccProfileBtn').addEventListener('click', () => iccInput.click());
+        iccInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            iccInput.value = '';
+            if (!file) return;
+            try {
+                const profile = parseIccProfile(await file.arrayBuffer());
+                this.iccProfile = { name: profile.description || file.name, profile };
+            } catch (err) {
+                warning.textContent = `${file.name} can't be used: ${err.message}`;
+                warning.hidden = false;
+                return;
+            }
+            warning.hidden = true;
+            this.softProof = { ...this.softProof, enabled: true, profile: ICC_PROFILE };
+            this.syncSoftProofControls();
+            this.saveToLocalStorage();
+        });
+
+        this.syncSoftProofControls();
+    }
+
+    syncSoftProofControls() {
+        const { enabled, paperWhite, dotGain, gamutWarning } = this.softProof;
+        const profileSelect = document.getElementById('softProofProfileSelect');
+        const iccOption = profileSelect.querySelector(`option[value="${ICC_PROFILE}"]`);
+        iccOption.textContent = this.iccProfile ? `ICC: ${this.iccProfile.name}` : 'ICC profile (load one)';
+        iccOption.disabled = !this.iccProfile;
+
+        document.getElementById('softProofEnabled').checked = enabled;
+        document.getElementById('softProofOptions').hidden = !enabled;
+        profileSelect.value = this.getSoftProofProfileKey();
+        document.getElementById('softProofPaper').checked = paperWhite;
+        document.getElementById('softProofDotGainSlider').value = Math.round(dotGain * 100);
+        document.getElementById('softProofDotGainValue').textContent = `${Math.round(dotGain * 100)}%`;
+        document.getElementById('softProofGamut').checked = gamutWarning;
+        this.updateSoftProof();
+    }
+
+    // ICC profiles don't outlast the session, so a stored choice of one falls
+    // back to the default condition until it's loaded again
+    getSoftProofProfileKey() {
+        const { profile } = this.softProof;
+        if (profile === ICC_PROFILE) return this.iccProfile ? ICC_PROFILE : DEFAULT_SOFT_PROOF.profile;
+        return PRINT_PROFILES[profile] ? profile : DEFAULT_SOFT_PROOF.profile;
+    }
+
+    // Uniforms for the face shader, or null while the proof is off
+    getSoftProofUniforms() {
+        return this.softProof.enabled && this.softProofUniforms.softProofLut.value ? this.softProofUniforms : null;
+    }
+
+    // The proof table for the current settings, rebuilt only when they change
+    getSoftProofLut() {
+        const { paperWhite, dotGain } = this.softProof;
+        const key = this.getSoftProofProfileKey();
+        const source = key === ICC_PROFILE ? this.iccProfile.profile : PRINT_PROFILES[key];
+        if (!this.softProofLuts.has(source)) {
+            this.softProofLuts.set(source, new Map());
+        }
+        const luts = this.softProofLuts.get(source);
+        const setting = `${paperWhite}/${dotGain}`;
+        if (!luts.has(setting)) {
+            const profile = key === ICC_PROFILE ? source : createPrintModel(source);
+            luts.set(setting, createProofLut(profile, { paperWhite, dotGain }));
+        }
+        return luts.get(setting);
+    }
+
+    updateSoftProof() {
+        const { enabled, gamutWarning } = this.softProof;
+        const uniforms = this.softProofUniforms;
+        uniforms.softProofWarning.value = gamutWarning;
+
+        if (enabled) {
+            const lut = this.getSoftProofLut();
+            const current = uniforms.softProofLut.value;
+            if (!current || current.image.data !== lut.data) {
+                if (current) current.dispose();
+                const texture = new THREE.Data3DTexture(lut.data, lut.size, lut.size, lut.size);
+                texture.minFilter = THREE.LinearFilter;
+                texture.magFilter = THREE.LinearFilter;
+                texture.needsUpdate = true;
+                uniforms.softProofLut.value = texture;
+                uniforms.softProofSize.value = lut.size;
+            }
+        }
+
+        // Faces only take the proof up (or drop it) when they're built
+        if (enabled !== this.softProofShown) {
+            this.softProofShown = enabled;
+            this.rebuildBillboard();
+            this.rebuildCompareBillboards();
+            this.rebuildCampaignBillboards();
+        }
+        this.updateSoftProofPreviews();
+    }
+
+    // Each upload preview redrawn through the proof, with how much of each
+    // image the inks can't reach
+    updateSoftProofPreviews() {
+        const { enabled, gamutWarning } = this.softProof;
+        const lines = [];
+        ['A', 'B', 'C'].slice(0, getFaceCount(this.settings.profile)).forEach((key) => {
+            const zone = document.getElementById(`upload${key}`);
+            const texture = this[`texture${key}`];
+            zone.classList.toggle('soft-proofed', enabled && Boolean(texture));
+            if (!enabled || !texture) return;
+
+            // Videos and GIFs are proofed from the frame their preview shows
+            const motion = this[`motion${key}`];
+            const source = motion || texture.image;
+            const lut = this.getSoftProofLut();
+            let preview = this.softProofPreviews[key];
+            if (!preview || preview.source !== source || preview.lut !== lut || preview.gamutWarning !== gamutWarning) {
+                const canvas = zone.querySelector('.upload-proof');
+                // About the sidebar's width
+                canvas.width = 480;
+                canvas.height = Math.max(1, Math.round(canvas.width / this[`imageAspect${key}`]));
+                const ctx = canvas.getContext('2d', { willReadFrequently: true });
+                ctx.drawImage(motion ? motion.snapshot() : texture.image, 0, 0, canvas.width, canvas.height);
+                const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                const outside = proofPixels(pixels, lut, { gamutWarning });
+                ctx.putImageData(pixels, 0, 0);
+                preview = { source, lut, gamutWarning, outside };
+                this.softProofPreviews[key] = preview;
+            }
+
+            const percent = Math.round(preview.outside * 100);
+            lines.push(preview.outside === 0
+                ? `Image ${key}: every colour is printable`
+                : `Image ${key}: ${percent < 1 ? 'under 1' : percent}% of the image is outside the print gamut`);
+        });
+
+        if (enabled && this.softProof.profile === ICC_PROFILE && !this.iccProfile) {
+            lines.unshift('Load the ICC profile again to proof with it; until then this uses the default print condition');
+        }
+        if (enabled && lines.length === 0) {
+            lines.push('Load an image to check its colours');
+        }
+        document.getElementById('softProofInfo').textContent = enabled ? lines.join('\n') : '';
+    }
+
+    initWalkByControls() {
+        const modeSelect = document.getElementById('walkByModeSelect');
+        const directionSelect = document.getElementById('walkByDirectionSelect');
+        const inputs = {
+            speed: document.getElementById('walkBySpeedInput'),
+            eyeHeight: document.getElementById('walkByEyeInput'),
+            boardElevation: document.getElementById('walkByElevationInput'),
+            setback: document.getElementById('walkBySetbackInput'),
+            pathLength: document.getElementById('walkByLengthInput')
+        };
+
+        for (const [key, mode] of Object.entries(TRAVEL_MODES)) {
+            modeSelect.add(new Option(mode.label, key));
+        }
+
+        // Campaign boards stand at the walk-by's elevation
+        const onChange = () => {
+            this.syncWalkByControls();
+            this.rebuildCampaignBillboards();
+            this.saveToLocalStorage();
+        };
+
+        // Switching mode resets speed and eye height to typical values
+        modeSelect.addEventListener('change', (e) => {
+            const mode = TRAVEL_MODES[e.target.value];
+            this.walkBy.mode = e.target.value;
+            this.walkBy.speed = mode.speed;
+            this.walkBy.eyeHeight = mode.eyeHeight;
+            onChange();
+        });
+
+        directionSelect.addEventListener('change', (e) => {
+            this.walkBy.direction = e.target.value;
+            onChange();
+        });
+
+        for (const [key, input] of Object.entries(inputs)) {
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (value > 0 || (key === 'boardElevation' && value >= 0)) {
+                    this.walkBy[key] = value;
+                }
+                onChange();
+            });
+        }
+
+        document.getElementById('walkByRunBtn').addEventListener('click', () => {
+            if (this.walkByRun) {
+                this.walkByRun.stop();
+            } else {
+                this.playWalkBy();
+            }
+        });
+
+        document.getElementById('walkByPathBtn').addEventListener('click', () => this.walkByToCameraPath());
+
+        this.syncWalkByControls();
+    }
+
+    syncWalkByControls() {
+        document.getElementById('walkByModeSelect').value = this.walkBy.mode;
+        document.getElementById('walkByDirectionSelect').value = this.walkBy.direction;
+        document.getElementById('walkBySpeedInput').value = this.walkBy.speed;
+        document.getElementById('walkByEyeInput').value = this.walkBy.eyeHeight;
+        document.getElementById('walkByElevationInput').value = this.walkBy.boardElevation;
+        document.getElementById('walkBySetbackInput').value = this.walkBy.setback;
+        document.getElementById('walkByLengthInput').value = this.walkBy.pathLength;
+        this.updateWalkByReport();
+    }
+
+    // Timeline of what the viewer sees, colour-coded like the placeholders
+    createWalkBySpans(spans) {
+        return spans.map((span) => {
+            const el = document.createElement('div');
+            const state = span.state === null ? 'hidden' : span.state >= 0 ? 'ABC'[span.state] : 'transition';
+            el.className = `walkby-span walkby-span-${state}`;
+            el.style.flexGrow = span.end - span.start;
+            return el;
+        });
+    }
+
+    // A board's slat geometry and size as the walk-by analysis takes it
+    getWalkBySpec(settings) {
+        const { across, along } = getSlatLengths(settings);
+        return {
+            ...getSlatSegments(across, settings.slats, settings.angle, {
+                profile: settings.profile,
+                rightAngle: settings.rightAngle,
+                height: along,
+                construction: this.construction
+            }),
+            width: settings.width,
+            height: settings.height,
+            slats: settings.slats,
+            orientation: settings.orientation
+        };
+    }
+
+    updateWalkByReport() {
+        const report = document.getElementById('walkByReport');
+        const bar = document.getElementById('walkByBar');
+        const result = analyzeWalkBy(this.walkBy, this.getWalkBySpec(this.settings));
+
+        bar.replaceChildren(...this.createWalkBySpans(result.spans));
+
+        const lines = result.faceTimes.map((time, face) => `Image ${'ABC'[face]} reads clearly: ${time.toFixed(1)}s`);
+        lines.push(`Transition / ghosting: ${result.transitionTime.toFixed(1)}s`);
+        lines.push(`Total pass: ${result.duration.toFixed(1)}s at ${this.walkBy.speed} mph`);
+        if (this.settings.orientation === 'horizontal') {
+            lines.push('Horizontal slats flip with eye height, not along the path: change eye or board height to see the flip');
+        }
+        if (this.surface.type !== 'flat') {
+            lines.push('Timed as if the board were flat; run the walk to see the curved board');
+        }
+        if (this.campaign.enabled) {
+            lines.push('Campaign scene: the walk and camera path run the whole street, timed under Campaign Scene');
+        }
+        report.textContent = lines.join('\n');
+        this.updateCampaignReport();
+    }
+
+    // Move the camera along the walk in real time, looking at the board
+    playWalkBy() {
+        if (this.isAnimating) return;
+
+        this.isAnimating = true;
+        const runBtn = document.getElementById('walkByRunBtn');
+        const previewBtn = document.getElementById('previewBtn');
+        const exportBtn = document.getElementById('exportBtn');
+        runBtn.textContent = 'Stop';
+        previewBtn.disabled = true;
+        exportBtn.disabled = true;
+
+        // Closer to human field of view than the 85mm preview lens
+        const originalPosition = this.camera.position.clone();
+        const originalQuaternion = this.camera.quaternion.clone();
+        const originalFov = this.camera.fov;
+        this.camera.fov = 50;
+        this.camera.updateProjectionMatrix();
+
+        const duration = this.getWalkByRunDuration() * 1000;
+        const startTime = performance.now();
+        let frame = null;
+
+        const stop = () => {
+            cancelAnimationFrame(frame);
+            this.walkByRun = null;
+            this.isAnimating = false;
+            runBtn.textContent = 'Run Walk-by';
+            previewBtn.disabled = false;
+            exportBtn.disabled = false;
+
+            this.camera.fov = originalFov;
+            this.camera.updateProjectionMatrix();
+            this.camera.position.copy(originalPosition);
+            this.camera.quaternion.copy(originalQuaternion);
+        };
+        this.walkByRun = { stop };
+
+        const step = (currentTime) => {
+            const elapsed = Math.min(currentTime - startTime, duration);
+            const { position, target } = this.getWalkByView(elapsed / 1000);
+            this.camera.position.set(position.x, position.y, position.z);
+            this.camera.lookAt(target.x, target.y, target.z);
+
+            if (elapsed < duration) {
+                frame = requestAnimationFrame(step);
+            } else {
+                stop();
+            }
+        };
+
+        frame = requestAnimationFrame(step);
+    }
+
+    // Sample the straight walk into keyframes so preview/export can play it.
+    // Each keeps the run's look-at point, so campaign walks look ahead along
+    // the street as Run Walk-by does.
+    walkByToCameraPath() {
+        const duration = this.getWalkByRunDuration();
+        const keyframeCount = 33;
+        const keyframes = [];
+
+        for (let i = 0; i < keyframeCount; i++) {
+            const time = (i / (keyframeCount - 1)) * duration;
+            const { position, target } = this.getWalkByView(time);
+            const { x, y, z } = position;
+            const distance = Math.hypot(x, y, z);
+            keyframes.push({
+                time: Math.round(time * 100) / 100,
+                azimuth: (Math.atan2(x, z) * 180) / Math.PI,
+                elevation: (Math.asin(y / distance) * 180) / Math.PI,
+                distance,
+                target: [target.x, target.y, target.z],
+                easing: 'linear'
+            });
+        }
+
+        this.cameraPath = { mode: 'custom', keyframes };
+        this.selectedKeyframe = 0;
+        this.syncCameraPathControls();
+        this.saveToLocalStorage();
+    }
+
+    getWalkByRunDuration() {
+        return this.campaign.enabled
+            ? getCampaignWalkDuration(this.campaign.boards, this.walkBy)
+            : getWalkByDuration(this.walkBy);
+    }
+
+    // Eye and look-at point `time` seconds into the walk, around the board on
+    // screen. The campaign walk passes every board, looking ahead along the
+    // street toward the boards.
+    getWalkByView(time) {
+        if (!this.campaign.enabled) {
+            return {
+                position: getWalkByPosition(this.walkBy, this.settings.height, time),
+                target: { x: 0, y: 0, z: 0 }
+            };
+        }
+        const { boards, active } = this.campaign;
+        const pose = getBoardPose(boards[active], this.settings.height, this.walkBy.boardElevation);
+        const eye = getCampaignWalkPosition(boards, this.walkBy, time);
+        const ahead = this.walkBy.direction === 'rightToLeft' ? -1 : 1;
+        const target = { x: eye.x + ahead * this.walkBy.setback, y: pose.y, z: 0 };
+        return { position: toBoardFrame(pose, eye), target: toBoardFrame(pose, target) };
+    }
+
+    initCampaignControls() {
+        const enabledCheckbox = document.getElementById('campaignEnabled');
+        const nameInput = document.getElementById('campaignNameInput');
+        const spacingInput = document.getElementById('campaignSpacingInput');
+        const inputs = {
+            x: document.getElementById('campaignXInput'),
+            back: document.getElementById('campaignBackInput'),
+            rotation: document.getElementById('campaignRotationInput')
+        };
+
+        const onChange = () => {
+            this.syncCampaignControls();
+            this.saveToLocalStorage();
+        };
+
+        enabledCheckbox.addEventListener('change', (e) => {
+            this.campaign.enabled = e.target.checked;
+            this.updateWalkByReport();
+            onChange();
+        });
+
+        document.getElementById('campaignOutline').addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (button && parseInt(button.dataset.index) !== this.campaign.active) {
+                this.selectCampaignBoard(parseInt(button.dataset.index));
+            }
+        });
+
+        // New boards start as a copy of the selected one, without its images,
+        // one spacing past the last board
+        document.getElementById('campaignAddBtn').addEventListener('click', () => {
+            const { boards } = this.campaign;
+            if (boards.length >= MAX_CAMPAIGN_BOARDS) return;
+            const x = Math.max(...boards.map((board) => board.x)) + this.campaign.spacing;
+            boards.push({
+                ...createCampaignBoard(boards.length, x),
+                settings: { ...this.settings },
+                preset: this.currentPreset,
+                imageCrops: { A: { ...DEFAULT_CROP }, B: { ...DEFAULT_CROP }, C: { ...DEFAULT_CROP } }
+            });
+            this.campaignImages[boards.length - 1] = null;
+            this.selectCampaignBoard(boards.length - 1, { label: `Add ${boards[boards.length - 1].name}` });
+        });
+
+        document.getElementById('campaignRemoveBtn').addEventListener('click', () => {
+            const { boards, active } = this.campaign;
+            if (boards.length < 2) return;
+            const [removed] = boards.splice(active, 1);
+            this.campaignImages.splice(active, 1);
+            this.selectCampaignBoard(Math.min(active, boards.length - 1), { stash: false, label: `Remove ${removed.name}` });
+        });
+
+        nameInput.addEventListener('change', () => {
+            const index = this.campaign.active;
+            this.campaign.boards[index].name = nameInput.value.trim() || `Board ${index + 1}`;
+            onChange();
+        });
+
+        for (const [key, input] of Object.entries(inputs)) {
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) {
+                    this.campaign.boards[this.campaign.active][key] = key === 'rotation'
+                        ? Math.min(90, Math.max(-90, value))
+                        : value;
+                }
+                onChange();
+            });
+        }
+
+        spacingInput.addEventListener('change', () => {
+            const value = parseFloat(spacingInput.value);
+            if (value > 0) {
+                this.campaign.spacing = value;
+            }
+            onChange();
+        });
+
+        // In outline order, the first board where it is
+        document.getElementById('campaignSpaceBtn').addEventListener('click', () => {
+            const { boards, spacing } = this.campaign;
+            const start = boards[0].x;
+            boards.forEach((board, i) => { board.x = start + i * spacing; });
+            onChange();
+        });
+
+        this.syncCampaignControls();
+    }
+
+    syncCampaignControls() {
+        const { enabled, boards, active, spacing } = this.campaign;
+        const board = boards[active];
+        document.getElementById('campaignEnabled').checked = enabled;
+        document.getElementById('campaignEditor').hidden = !enabled;
+        document.getElementById('campaignNameInput').value = board.name;
+        document.getElementById('campaignXInput').value = board.x;
+        document.getElementById('campaignBackInput').value = board.back;
+        document.getElementById('campaignRotationInput').value = board.rotation;
+        document.getElementById('campaignSpacingInput').value = spacing;
+        document.getElementById('campaignAddBtn').disabled = boards.length >= MAX_CAMPAIGN_BOARDS;
+        document.getElementById('campaignRemoveBtn').disabled = boards.length < 2;
+
+        this.renderCampaignOutline();
+        this.rebuildCampaignBillboards();
+        this.updateCampaignReport();
+    }
+
+    // Settings and preset per board, the selected one's being the viewer's own
+    getCampaignBoards() {
+        return this.campaign.boards.map((board, i) => (i === this.campaign.active
+            ? { ...board, settings: this.settings, preset: this.currentPreset, imageCrops: this.imageCrops }
+            : board));
+    }
+
+    // Scene outline: one entry per board, the selected one highlighted
+    renderCampaignOutline() {
+        const outline = document.getElementById('campaignOutline');
+        outline.replaceChildren(...this.getCampaignBoards().map((board, i) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'campaign-entry';
+            button.classList.toggle('current', i === this.campaign.active);
+            button.dataset.index = i;
+            const preset = board.preset && this.presetLibrary.get(board.preset);
+            button.textContent = `${board.name} · ${preset ? preset.name : formatVariantLabel(board.settings)} · ${+board.x.toFixed(1)} ft`;
+            item.append(button);
+            return item;
+        }));
+    }
+
+    // Makes another board the one on screen and in the controls. The current
+    // board's settings, preset, crops and images go back into its entry first,
+    // unless it has just been removed.
+    selectCampaignBoard(index, { stash = true, label = null } = {}) {
+        const { boards } = this.campaign;
+        if (stash) {
+            const current = this.campaign.active;
+            Object.assign(boards[current], {
+                settings: { ...this.settings },
+                preset: this.currentPreset,
+                imageCrops: JSON.parse(JSON.stringify(this.imageCrops))
+            });
+            this.campaignImages[current] = ['A', 'B', 'C'].map((key) => ({
+                file: this[`imageFile${key}`],
+                source: this[`imageSource${key}`]
+            }));
+        }
+
+        const board = boards[index];
+        this.settings = { ...this.settings, ...board.settings };
+        this.imageCrops = board.imageCrops || { A: { ...DEFAULT_CROP }, B: { ...DEFAULT_CROP }, C: { ...DEFAULT_CROP } };
+        this.currentPreset = board.preset && this.presetLibrary.get(board.preset) ? board.preset : null;
+        this.presetOriginalSettings = this.currentPreset ? { ...this.presetLibrary.get(this.currentPreset) } : null;
+        Object.assign(board, { settings: null, preset: null, imageCrops: null });
+        this.campaign.active = index;
+
+        const images = this.campaignImages[index] || [];
+        ['A', 'B', 'C'].forEach((key, face) => {
+            const image = images[face];
+            this.clearImage(key);
+            if (image && image.file) {
+                const zone = document.getElementById(`upload${key}`);
+                this.loadImage(image.file, `texture${key}`, zone.querySelector('.upload-preview'), zone);
+                this[`imageSource${key}`] = image.source;
+            }
+        });
+
+        document.getElementById('presetWarning').hidden = true;
+        this.syncStoredControls();
+        this.updateFaceZones();
+        this.updateBillboard();
+        this.recordHistory(label || `Select ${board.name}`);
+        this.saveToLocalStorage();
+    }
+
+    // Saved campaign state over the current. Boards are edited in place, so
+    // they're copied rather than shared with the saved state.
+    mergeCampaign(saved) {
+        const campaign = { ...this.campaign, ...saved };
+        campaign.boards = (saved.boards || this.campaign.boards).map((board) => ({ ...board }));
+        if (campaign.boards.length === 0) {
+            campaign.boards = [createCampaignBoard(0, 0)];
+        }
+        campaign.active = Math.min(Math.max(0, campaign.active), campaign.boards.length - 1);
+        return campaign;
+    }
+
+    // A still texture for a board that isn't selected, loaded once per file.
+    // Until it loads, and for videos, the board shows its placeholder.
+    getCampaignTexture(file) {
+        if (!file) return null;
+        if (!this.campaignTextures.has(file)) {
+            this.campaignTextures.set(file, null);
+            const url = URL.createObjectURL(file);
+            new THREE.TextureLoader().load(url, (texture) => {
+                URL.revokeObjectURL(url);
+                texture.colorSpace = THREE.SRGBColorSpace;
+                this.campaignTextures.set(file, { texture, aspect: texture.image.width / texture.image.height });
+                this.rebuildCampaignBillboards();
+            }, undefined, () => URL.revokeObjectURL(url));
+        }
+        return this.campaignTextures.get(file);
+    }
+
+    // The other boards, placed around the selected one
+    rebuildCampaignBillboards() {
+        this.campaignGroup.children.slice().forEach((board) => {
+            this.campaignGroup.remove(board);
+            board.userData.meshes.forEach((mesh) => mesh.geometry.dispose());
+            board.userData.materials.forEach((material) => material.dispose());
+        });
+
+        // Textures for images no board uses any more (removed boards,
+        // replaced images) are freed; undoing back to one loads it again
+        const files = new Set(this.campaignImages.flatMap((faces) => (faces || []).map((image) => image && image.file)));
+        this.campaignTextures.forEach((image, file) => {
+            if (files.has(file)) return;
+            if (image) image.texture.dispose();
+            this.campaignTextures.delete(file);
+        });
+        if (!this.campaign.enabled) return;
+
+        const { boards, active } = this.campaign;
+        const elevation = this.walkBy.boardElevation;
+        const origin = getBoardPose(boards[active], this.settings.height, elevation);
+        boards.forEach((board, i) => {
+            if (i === active) return;
+            const { settings, imageCrops } = board;
+            const boardAspect = settings.width / settings.height;
+            const textures = [];
+            const uvRects = [];
+            ['A', 'B', 'C'].forEach((key, face) => {
+                const images = this.campaignImages[i];
+                const image = this.getCampaignTexture(images && images[face] && images[face].file);
+                textures.push(image ? image.texture : null);
+                uvRects.push(image ? getCropRect(imageCrops[key], image.aspect, boardAspect) : null);
+            });
+
+            const group = createBillboardGroup(
+                settings.width,
+                settings.height,
+                settings.slats,
+                settings.angle,
+                textures,
+                {
+                    profile: settings.profile,
+                    orientation: settings.orientation,
+                    rightAngle: settings.rightAngle,
+                    construction: this.construction,
+                    surface: this.surface,
+                    uvRects,
+                    softProof: this.getSoftProofUniforms()
+                }
+            );
+            const pose = getBoardPose(board, settings.height, elevation);
+            const { x, y, z } = toBoardFrame(origin, pose);
+            group.position.set(x, y, z);
+            group.rotation.y = pose.rotation - origin.rotation;
+            this.campaignGroup.add(group);
+        });
+    }
+
+    // Each board's timeline along the street walk, and the order of the flips
+    updateCampaignReport() {
+        const timeline = document.getElementById('campaignTimeline');
+        const report = document.getElementById('campaignReport');
+        if (!this.campaign.enabled) {
+            timeline.replaceChildren();
+            report.textContent = '';
+            return;
+        }
+
+        const boards = this.getCampaignBoards();
+        const result = analyzeCampaignWalk(boards, this.walkBy, boards.map((board) => this.getWalkBySpec(board.settings)));
+
+        timeline.replaceChildren(...result.boards.flatMap((walk, i) => {
+            const label = document.createElement('div');
+            label.className = 'campaign-row-label';
+            label.textContent = boards[i].name;
+            const bar = document.createElement('div');
+            bar.className = 'walkby-bar';
+            bar.replaceChildren(...this.createWalkBySpans(walk.spans));
+            return [label, bar];
+        }));
+
+        const lines = [`Street walk: ${result.duration.toFixed(1)}s at ${this.walkBy.speed} mph`];
+        result.boards.forEach((walk, i) => {
+            const reads = walk.faceTimes.map((time, face) => `${'ABC'[face]} ${time.toFixed(1)}s`).join(', ');
+            lines.push(`${boards[i].name}: ${reads}, ghosting ${walk.transitionTime.toFixed(1)}s`);
+        });
+        if (result.flips.length) {
+            lines.push('Reads in order:');
+            result.flips.forEach(({ board, face, time }) => {
+                lines.push(`  ${time.toFixed(1)}s ${boards[board].name} shows ${'ABC'[face]}`);
+            });
+        }
+        report.textContent = lines.join('\n');
+    }
+
+    // Options shared by every animation exporter and the GIF size estimate
+    getAnimationExportOptions(motionSources) {
+        const filenameInput = document.getElementById('filenameInput');
+        const gifWidthInput = document.getElementById('gifWidthInput');
+        return {
+            path: this.getCameraPath(),
+            billboardWidth: this.getFrontWidth(),
+            billboardHeight: this.settings.height,
+            filename: filenameInput.value.trim() || 'lenticular-preview',
+            maxWidth: parseInt(gifWidthInput.value) || 700,
+            fps: this.exportSettings.fps,
+            bitrate: this.exportSettings.bitrate,
+            gif: this.gifSettings,
+            site: this.isSiteViewActive() ? this.sitePose : null,
+            fullFrame: this.isSiteViewActive() || this.compare.enabled,
+            // Compare panes are tiled into each frame, labelled
+            renderFrame: this.compare.enabled ? () => this.renderPanes() : null,
+            drawOverlay: this.compare.enabled
+                ? (ctx, width, height) => this.drawPaneLabels(ctx, width, height)
+                : null,
+            // Videos and GIFs run from their start, in step with the path
+            seekMedia: motionSources.length > 0
+                ? (time, signal) => Promise.all(motionSources.map((source) => source.seek(time, signal)))
+                : null
+        };
+    }
+
+    // Runs task(options, signal) with the viewport handed over to it: the
+    // preview and export buttons are locked, media is held and Cancel aborts.
+    // Failures other than cancelling show in the export warning.
+    async runAnimationExport(task) {
+        const exportBtn = document.getElementById('exportBtn');
+        const previewBtn = document.getElementById('previewBtn');
+        const cancelBtn = document.getElementById('cancelExportBtn');
+        const estimateBtn = document.getElementById('gifEstimateBtn');
+        const exportWarning = document.getElementById('exportWarning');
+
+        exportBtn.disabled = true;
+        previewBtn.disabled = true;
+        estimateBtn.disabled = true;
+        cancelBtn.hidden = false;
+        exportWarning.hidden = true;
+        this.isAnimating = true;
+
+        this.exportController = new AbortController();
+        const { signal } = this.exportController;
+        const motionSources = this.getMotionSources();
+        const resumeMotion = this.holdMotion();
+        const showProof = this.hideProofOverlay();
+
+        try {
+            await task({ ...this.getAnimationExportOptions(motionSources), signal });
+        } catch (e) {
+            if (!isAbortError(e)) {
+                exportWarning.textContent = `Export failed: ${e.message}`;
+                exportWarning.hidden = false;
+            }
+        } finally {
+            this.exportController = null;
+            resumeMotion();
+            showProof();
+            this.isAnimating = false;
+            cancelBtn.hidden = true;
+            exportBtn.disabled = false;
+            previewBtn.disabled = false;
+            estimateBtn.disabled = false;
+            const Exporter = EXPORT_FORMATS[this.exportSettings.format] || EXPORT_FORMATS.gif;
+            exportBtn.textContent = `Export ${Exporter.label}`;
+        }
+    }
+
+    exportAnimation() {
+        const exportBtn = document.getElementById('exportBtn');
+        const Exporter = EXPORT_FORMATS[this.exportSettings.format] || EXPORT_FORMATS.gif;
+        const fitToSize = Exporter === GifExporter && this.gifSettings.fitToSize;
+        exportBtn.textContent = 'Exporting...';
+
+        return this.runAnimationExport(async (options) => {
+            const exporter = new Exporter(this.renderer);
+            const onProgress = (progress) => {
+                exportBtn.textContent = `Exporting ${Math.round(progress * 100)}%`;
+            };
+
+            if (fitToSize) {
+                exportBtn.textContent = 'Fitting size...';
+                const fit = await exporter.findSettingsForSize(
+                    this.scene,
+                    this.camera,
+                    options,
+                    this.gifSettings.targetSize * 1024 * 1024,
+                    (progress) => {
+                        exportBtn.textContent = `Fitting size ${Math.round(progress * 100)}%`;
+                    }
+                );
+                options = { ...options, gif: fit.gif, maxWidth: fit.maxWidth };
+                this.showGifEstimate(fit.estimate, fit);
+            }
+
+            const result = await exporter.export(this.scene, this.camera, options, onProgress);
+            if (result && result.warning) {
+                const exportWarning = document.getElementById('exportWarning');
+                exportWarning.textContent = result.warning;
+                exportWarning.hidden = false;
+            }
+        });
+    }
+
+    // Samples a few frames to predict the GIF's size with the current
+    // settings, or with the settings the size search would pick
+    estimateGifSize() {
+        const info = document.getElementById('gifInfo');
+        info.textContent = 'Estimating...';
+
+        return this.runAnimationExport(async (options) => {
+            const exporter = new GifExporter(this.renderer);
+            if (this.gifSettings.fitToSize) {
+                const fit = await exporter.findSettingsForSize(
+                    this.scene,
+                    this.camera,
+                    options,
+                    this.gifSettings.targetSize * 1024 * 1024
+                );
+                this.showGifEstimate(fit.estimate, fit);
+            } else {
+                this.showGifEstimate(await exporter.estimateSize(this.scene, this.camera, options));
+            }
+        }).finally(() => {
+            if (info.textContent === 'Estimating...') info.textContent = '';
+        });
+    }
+
+    // fit, from the size search, notes what it had to change
+    showGifEstimate(estimate, fit = null) {
+        const info = document.getElementById('gifInfo');
+        const megabytes = estimate.bytes / (1024 * 1024);
+        const lines = [`About ${megabytes < 10 ? megabytes.toFixed(1) : Math.round(megabytes)} MB: ` +
+            `${estimate.frames} frames at ${estimate.width} × ${estimate.height}px`];
+        if (fit) {
+            const changes = [];
+            if (fit.gif.dither !== this.gifSettings.dither) changes.push('no dithering');
+            if (fit.gif.fps !== this.gifSettings.fps) changes.push(`${fit.gif.fps} fps`);
+            if (fit.maxWidth < (parseInt(document.getElementById('gifWidthInput').value) || 700)) {
+                changes.push(`${fit.maxWidth}px wide`);
+            }
+            if (changes.length > 0) lines.push(`Fitted with ${changes.join(', ')}`);
+            if (!fit.fits) lines.push(`Can't get under ${this.gifSettings.targetSize} MB; try a shorter path`);
+        }
+        info.textContent = lines.join('\n');
+    }
+
+    initExportFormatControls() {
+        const formatSelect = document.getElementById('exportFormatSelect');
+        const fpsSelect = document.getElementById('videoFpsSelect');
+        const bitrateInput = document.getElementById('videoBitrateInput');
+
+        // Only offer formats this browser can encode
+        formatSelect.replaceChildren();
+        for (const [format, Exporter] of Object.entries(EXPORT_FORMATS)) {
+            if (Exporter.isSupported()) {
+                formatSelect.add(new Option(Exporter.label, format));
+            }
+        }
+        if (!EXPORT_FORMATS[this.exportSettings.format]?.isSupported()) {
+            this.exportSettings.format = 'gif';
+        }
+
+        this.syncExportFormatControls();
+
+        formatSelect.addEventListener('change', (e) => {
+            this.exportSettings.format = e.target.value;
+            this.syncExportFormatControls();
+            this.saveToLocalStorage();
+        });
+
+        fpsSelect.addEventListener('change', (e) => {
+            this.exportSettings.fps = parseInt(e.target.value);
+            this.saveToLocalStorage();
+        });
+
+        bitrateInput.addEventListener('input', (e) => {
+            this.exportSettings.bitrate = parseFloat(e.target.value) || 8;
+            this.saveToLocalStorage();
+        });
+    }
+
+    syncExportFormatControls() {
+        const Exporter = EXPORT_FORMATS[this.exportSettings.format] || EXPORT_FORMATS.gif;
+        document.getElementById('exportFormatSelect').value = this.exportSettings.format;
+        document.getElementById('videoFpsSelect').value = this.exportSettings.fps;
+        document.getElementById('videoBitrateInput').value = this.exportSettings.bitrate;
+        document.getElementById('videoOptions').hidden = this.exportSettings.format === 'gif';
+        document.getElementById('gifOptions').hidden = this.exportSettings.format !== 'gif';
+
+        const exportBtn = document.getElementById('exportBtn');
+        if (!exportBtn.textContent.startsWith('Exporting')) {
+            exportBtn.textContent = `Export ${Exporter.label}`;
+        }
+    }
+
+    initGifControls() {
+        const fpsInput = document.getElementById('gifFpsInput');
+        const qualityInput = document.getElementById('gifQualityInput');
+        const playsInput = document.getElementById('gifPlaysInput');
+        const ditherSelect = document.getElementById('gifDitherSelect');
+        const directionSelect = document.getElementById('gifDirectionSelect');
+        const paletteCheckbox = document.getElementById('gifGlobalPalette');
+        const fitCheckbox = document.getElementById('gifFitToSize');
+        const targetInput = document.getElementById('gifTargetSizeInput');
+
+        for (const [key, dither] of Object.entries(GIF_DITHERS)) {
+            ditherSelect.add(new Option(dither.label, key));
+        }
+        for (const [key, direction] of Object.entries(GIF_DIRECTIONS)) {
+            directionSelect.add(new Option(direction.label, key));
+        }
+
+        const onChange = () => {
+            const integer = (input, fallback, min, max) => {
+                const value = parseInt(input.value);
+                return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+            };
+            this.gifSettings.fps = integer(fpsInput, DEFAULT_GIF_SETTINGS.fps, 5, 50);
+            this.gifSettings.quality = integer(qualityInput, DEFAULT_GIF_SETTINGS.quality, 1, 30);
+            this.gifSettings.plays = integer(playsInput, 0, 0, 100);
+            this.gifSettings.dither = ditherSelect.value;
+            this.gifSettings.direction = directionSelect.value;
+            this.gifSettings.globalPalette = paletteCheckbox.checked;
+            this.gifSettings.fitToSize = fitCheckbox.checked;
+            this.gifSettings.targetSize = Math.max(0.1, parseFloat(targetInput.value) || 4);
+            this.syncGifControls();
+            this.saveToLocalStorage();
+        };
+
+        [fpsInput, qualityInput, playsInput, ditherSelect, directionSelect, paletteCheckbox, fitCheckbox, targetInput]
+            .forEach((input) => input.addEventListener('change', onChange));
+        document.getElementById('gifEstimateBtn').addEventListener('click', () => {
+            if (!this.isAnimating) this.estimateGifSize();
+        });
+
+        this.syncGifControls();
+    }
+
+    syncGifControls() {
+        document.getElementById('gifFpsInput').value = this.gifSettings.fps;
+        document.getElementById('gifQualityInput').value = this.gifSettings.quality;
+        document.getElementById('gifPlaysInput').value = this.gifSettings.plays;
+        document.getElementById('gifDitherSelect').value = this.gifSettings.dither;
+        document.getElementById('gifDirectionSelect').value = this.gifSettings.direction;
+        document.getElementById('gifGlobalPalette').checked = this.gifSettings.globalPalette;
+        document.getElementById('gifFitToSize').checked = this.gifSettings.fitToSize;
+        document.getElementById('gifTargetSizeInput').value = this.gifSettings.targetSize;
+        document.getElementById('gifTargetSizeControl').hidden = !this.gifSettings.fitToSize;
+        // Any earlier estimate was for other settings
+        document.getElementById('gifInfo').textContent = '';
+    }
+
+    initPrintControls() {
+        const dpiInput = document.getElementById('printDpiInput');
+        const bleedInput = document.getElementById('printBleedInput');
+        const formatSelect = document.getElementById('printFormatSelect');
+        const marksCheckbox = document.getElementById('printMarks');
+        const printBtn = document.getElementById('printExportBtn');
+
+        // Set initial values from loaded settings
+        this.syncPrintControls();
+
+        const onChange = () => {
+            this.printSettings.dpi = parseInt(dpiInput.value) || 150;
+            this.printSettings.bleed = Math.max(0, parseFloat(bleedInput.value) || 0);
+            this.printSettings.format = formatSelect.value;
+            this.printSettings.marks = marksCheckbox.checked;
+            this.updatePrintInfo();
+            this.saveToLocalStorage();
+        };
+
+        dpiInput.addEventListener('input', onChange);
+        bleedInput.addEventListener('input', onChange);
+        formatSelect.addEventListener('change', onChange);
+        marksCheckbox.addEventListener('change', onChange);
+        printBtn.addEventListener('click', () => this.exportPrintSlices());
+
+        this.updatePrintInfo();
+    }
+
+    syncPrintControls() {
+        document.getElementById('printDpiInput').value = this.printSettings.dpi;
+        document.getElementById('printBleedInput').value = this.printSettings.bleed;
+        document.getElementById('printFormatSelect').value = this.printSettings.format;
+        document.getElementById('printMarks').checked = this.printSettings.marks;
+    }
+
+    updatePrintInfo() {
+        const info = document.getElementById('printInfo');
+
+        const layout = getPrintLayout(this.getBoardSpec(), this.printSettings);
+        const lines = layout.faces.map((face) =>
+            `${face.label}: ${layout.strips} strips, ${face.trimWidth.toFixed(2)}" × ${face.trimHeight.toFixed(1)}" ` +
+            `(${face.pixelWidth} × ${face.pixelHeight}px)`
+        );
+        if (layout.horizontal) {
+            lines.push('Horizontal slats: each strip file is turned on its side, to lie as it runs on the board');
+        }
+        info.textContent = lines.join('\n');
+    }
+
+    async exportPrintSlices() {
+        const printBtn = document.getElementById('printExportBtn');
+        const printWarning = document.getElementById('printWarning');
+        const filenameInput = document.getElementById('filenameInput');
+
+        printBtn.disabled = true;
+        printBtn.textContent = 'Exporting...';
+        printWarning.hidden = true;
+
+        const exporter = new PrintExporter(this.getBoardSpec());
+        // Video and GIF faces print their current frame
+        const images = ['A', 'B', 'C'].map((key) => {
+            const motion = this[`motion${key}`];
+            const texture = this[`texture${key}`];
+            return motion ? motion.snapshot() : texture && texture.image;
+        });
+
+        try {
+            await exporter.export(
+                images,
+                {
+                    ...this.printSettings,
+                    crops: this.getCropRects(),
+                    filename: filenameInput.value.trim() || 'lenticular-preview'
+                },
+                (progress) => {
+                    printBtn.textContent = `Exporting ${Math.round(progress * 100)}%`;
+                }
+            );
+        } catch (e) {
+            printWarning.textContent = e.message;
+            printWarning.hidden = false;
+        } finally {
+            printBtn.textContent = 'Export Print Slices';
+            printBtn.disabled = false;
+        }
+    }
+
+    initModelControls() {
+        const formatSelect = document.getElementById('modelFormatSelect');
+        const unitsSelect = document.getElementById('modelUnitsSelect');
+
+        for (const [key, format] of Object.entries(MODEL_FORMATS)) {
+            formatSelect.add(new Option(format.label, key));
+        }
+        for (const [key, units] of Object.entries(MODEL_UNITS)) {
+            unitsSelect.add(new Option(units.label, key));
+        }
+
+        const onChange = () => {
+            this.modelSettings.format = formatSelect.value;
+            this.modelSettings.units = unitsSelect.value;
+            this.updateModelInfo();
+            this.saveToLocalStorage();
+        };
+
+        formatSelect.addEventListener('change', onChange);
+        unitsSelect.addEventListener('change', onChange);
+        document.getElementById('modelExportBtn').addEventListener('click', () => this.exportModel());
+
+        this.syncModelControls();
+    }
+
+    syncModelControls() {
+        document.getElementById('modelFormatSelect').value = this.modelSettings.format;
+        document.getElementById('modelUnitsSelect').value = this.modelSettings.units;
+        this.updateModelInfo();
+    }
+
+    updateModelInfo() {
+        const info = document.getElementById('modelInfo');
+        const { scale } = MODEL_UNITS[this.modelSettings.units] || MODEL_UNITS.metres;
+        const { peakDepth } = this.getVisibilityBoard();
+        const footprint = getSurfaceFootprint(this.surface, this.settings.width, this.getDepthBehind());
+        const unit = this.modelSettings.units === 'feet' ? 'ft' : 'm';
+        const size = (feet) => `${+(feet * scale).toFixed(3)} ${unit}`;
+
+        const lines = [
+            `${size(footprint.width)} wide × ${size(this.settings.height)} high × ${size(peakDepth + footprint.depth)} deep`
+        ];
+        if (this.modelSettings.format === 'stl') {
+            lines.push('Solid slat profile with a 1" backing, Z up, peaks facing -Y. No images.');
+        } else {
+            lines.push('Y up, board facing +Z. One mesh and material per image.');
+        }
+        info.textContent = lines.join('\n');
+    }
+
+    async exportModel() {
+        const modelBtn = document.getElementById('modelExportBtn');
+        const modelWarning = document.getElementById('modelWarning');
+        const filenameInput = document.getElementById('filenameInput');
+
+        modelBtn.disabled = true;
+        modelBtn.textContent = 'Exporting...';
+        modelWarning.hidden = true;
+
+        const exporter = new ModelExporter(this.getBoardSpec());
+        const faceCount = getFaceCount(this.settings.profile);
+
+        // Video and GIF faces are baked in at their current frame
+        const stills = [];
+        const textures = ['A', 'B', 'C'].slice(0, faceCount).map((key) => {
+            const motion = this[`motion${key}`];
+            if (!motion) return this[`texture${key}`];
+            const still = new THREE.CanvasTexture(motion.snapshot());
+            still.colorSpace = THREE.SRGBColorSpace;
+            stills.push(still);
+            return still;
+        });
+
+        try {
+            await exporter.export(
+                textures,
+                this.getCropRects().slice(0, faceCount),
+                {
+                    ...this.modelSettings,
+                    filename: filenameInput.value.trim() || 'lenticular-preview'
+                }
+            );
+        } catch (e) {
+            modelWarning.textContent = `Model export failed: ${e.message}`;
+            modelWarning.hidden = false;
+        } finally {
+            stills.forEach((still) => still.dispose());
+            modelBtn.textContent = 'Export 3D Model';
+            modelBtn.disabled = false;
+        }
+    }
+
+    initStillControls() {
+        const widthInput = document.getElementById('stillWidthInput');
+        const formatSelect = document.getElementById('stillFormatSelect');
+        const qualityInput = document.getElementById('stillQualityInput');
+        const azimuthInput = document.getElementById('stillAzimuthInput');
+        const elevationInput = document.getElementById('stillElevationInput');
+        const distanceInput = document.getElementById('stillDistanceInput');
+
+        for (const [key, format] of Object.entries(STILL_FORMATS)) {
+            formatSelect.add(new Option(format.label, key));
+        }
+        widthInput.max = MAX_STILL_WIDTH;
+
+        const onChange = () => {
+            const number = (input, fallback) => {
+                const value = parseFloat(input.value);
+                return Number.isFinite(value) ? value : fallback;
+            };
+            this.stillSettings.width = Math.min(MAX_STILL_WIDTH, Math.max(100, Math.round(number(widthInput, 6000))));
+            this.stillSettings.format = formatSelect.value;
+            this.stillSettings.quality = Math.min(1, Math.max(0.1, number(qualityInput, 92) / 100));
+            this.stillSettings.azimuth = Math.min(89, Math.max(-89, number(azimuthInput, 0)));
+            this.stillSettings.elevation = Math.min(80, Math.max(-80, number(elevationInput, 0)));
+            this.stillSettings.distance = Math.max(1, number(distanceInput, DEFAULT_DISTANCE));
+            this.updateStillInfo();
+            this.saveToLocalStorage();
+        };
+
+        [widthInput, qualityInput, azimuthInput, elevationInput, distanceInput].forEach((input) => {
+            input.addEventListener('change', onChange);
+        });
+        formatSelect.addEventListener('change', () => {
+            onChange();
+            this.syncStillControls();
+        });
+
+        // One-click views: each face at its cleanest, or midway from A to B
+        const setView = (angle) => {
+            const horizontal = this.settings.orientation === 'horizontal';
+            this.stillSettings.azimuth = horizontal ? 0 : +angle.toFixed(1);
+            this.stillSettings.elevation = horizontal ? +angle.toFixed(1) : 0;
+            this.syncStillControls();
+            this.saveToLocalStorage();
+        };
+        document.querySelectorAll('#stillViewButtons [data-face]').forEach((button) => {
+            button.addEventListener('click', () => {
+                const curve = computeVisibilityCurve(this.getVisibilityBoard());
+                setView(getBestViewAngle(curve, parseInt(button.dataset.face), this.sweepAngle / 2));
+            });
+        });
+        document.getElementById('stillTransitionBtn').addEventListener('click', () => {
+            const curve = computeVisibilityCurve(this.getVisibilityBoard());
+            setView(getTransitionAngle(curve, 0, 1, this.sweepAngle / 2));
+        });
+        document.getElementById('stillCurrentViewBtn').addEventListener('click', () => {
+            const { azimuth, elevation, distance } = getCameraState(this.camera);
+            this.stillSettings.azimuth = +azimuth.toFixed(1);
+            this.stillSettings.elevation = +elevation.toFixed(1);
+            this.stillSettings.distance = +distance.toFixed(2);
+            this.syncStillControls();
+            this.saveToLocalStorage();
         });
+        document.getElementById('stillExportBtn').addEventListener('click', () => this.exportStill());
 
-        previewBtn.addEventListener('click', () => this.playPreview());
-        exportBtn.addEventListener('click', () => this.exportGif());
+        this.syncStillControls();
     }
 
-    updateSafezone() {
-        const overlay = document.getElementById('safezoneOverlay');
-        if (!overlay.classList.contains('visible')) return;
+    syncStillControls() {
+        document.getElementById('stillWidthInput').value = this.stillSettings.width;
+        document.getElementById('stillFormatSelect').value = this.stillSettings.format;
+        document.getElementById('stillQualityInput').value = Math.round(this.stillSettings.quality * 100);
+        document.getElementById('stillQualityControl').hidden = this.stillSettings.format !== 'jpeg';
+        document.getElementById('stillAzimuthInput').value = this.stillSettings.azimuth;
+        document.getElementById('stillElevationInput').value = this.stillSettings.elevation;
+        document.getElementById('stillDistanceInput').value = this.stillSettings.distance;
+        this.updateStillInfo();
+    }
 
-        const viewport = document.querySelector('.viewport');
-        const viewportWidth = viewport.clientWidth;
-        const viewportHeight = viewport.clientHeight;
+    updateStillInfo() {
+        const info = document.getElementById('stillInfo');
+        const { outputWidth, outputHeight } = new StillExporter(this.renderer).getOutputSize(this.getStillOptions());
+        info.textContent = `${outputWidth} × ${outputHeight}px` +
+            (this.isSiteViewActive() ? ', whole site view' : ', cropped to the safe zone');
+        // Pure C only applies to tri-vision boards
+        document.querySelector('#stillViewButtons [data-face="2"]').hidden = getFaceCount(this.settings.profile) < 3;
+    }
+
+    getStillOptions() {
+        const { azimuth, elevation } = this.stillSettings;
+        const radians = (degrees) => (degrees * Math.PI) / 180;
+        const options = {
+            ...this.stillSettings,
+            azimuth: radians(azimuth),
+            elevation: radians(elevation),
+            billboardWidth: this.getFrontWidth(),
+            billboardHeight: this.settings.height,
+            site: this.isSiteViewActive() ? this.sitePose : null,
+            fullFrame: this.isSiteViewActive()
+        };
+        if (options.site) {
+            // Orbit from the photo's viewpoint to the same absolute angle
+            const [x, , z] = this.sitePose.position;
+            options.azimuth -= Math.atan2(x, z);
+        }
+        return options;
+    }
 
-        const billboardAspect = this.settings.width / this.settings.height;
-        const viewportAspect = viewportWidth / viewportHeight;
+    async exportStill() {
+        const stillBtn = document.getElementById('stillExportBtn');
+        const stillWarning = document.getElementById('stillWarning');
+        const filenameInput = document.getElementById('filenameInput');
 
-        let cropWidth, cropHeight, cropX, cropY;
+        stillBtn.disabled = true;
+        stillBtn.textContent = 'Rendering...';
+        stillWarning.hidden = true;
+        const showProof = this.hideProofOverlay();
 
-        if (viewportAspect > billboardAspect) {
-            // Viewport is wider - crop sides
-            cropHeight = viewportHeight;
-            cropWidth = Math.floor(viewportHeight * billboardAspect);
-            cropX = Math.floor((viewportWidth - cropWidth) / 2);
-            cropY = 0;
-        } else {
-            // Viewport is taller - crop top/bottom
-            cropWidth = viewportWidth;
-            cropHeight = Math.floor(viewportWidth / billboardAspect);
-            cropX = 0;
-            cropY = Math.floor((viewportHeight - cropHeight) / 2);
+        try {
+            await new StillExporter(this.renderer).export(
+                this.scene,
+                this.camera,
+                {
+                    ...this.getStillOptions(),
+                    filename: `${filenameInput.value.trim() || 'lenticular-preview'}-still`
+                },
+                (progress) => {
+                    stillBtn.textContent = `Rendering ${Math.round(progress * 100)}%`;
+                }
+            );
+        } catch (e) {
+            stillWarning.textContent = `Still export failed: ${e.message}`;
+            stillWarning.hidden = false;
+        } finally {
+            showProof();
+            stillBtn.textContent = 'Export Still';
+            stillBtn.disabled = false;
         }
+    }
 
-        const top = overlay.querySelector('.safezone-top');
-        const bottom = overlay.querySelector('.safezone-bottom');
-        const left = overlay.querySelector('.safezone-left');
-        const right = overlay.querySelector('.safezone-right');
-        const border = overlay.querySelector('.safezone-border');
+    initProjectControls() {
+        const saveBtn = document.getElementById('saveProjectBtn');
+        const openBtn = document.getElementById('openProjectBtn');
+        const fileInput = document.getElementById('projectFileInput');
+        const recentSelect = document.getElementById('recentProjectsSelect');
 
-        top.style.height = `${cropY}px`;
-        bottom.style.height = `${cropY}px`;
-        left.style.top = `${cropY}px`;
-        left.style.width = `${cropX}px`;
-        left.style.height = `${cropHeight}px`;
-        right.style.top = `${cropY}px`;
-        right.style.width = `${cropX}px`;
-        right.style.height = `${cropHeight}px`;
+        saveBtn.addEventListener('click', () => this.saveProject());
+        openBtn.addEventListener('click', () => fileInput.click());
 
-        border.style.top = `${cropY}px`;
-        border.style.left = `${cropX}px`;
-        border.style.width = `${cropWidth}px`;
-        border.style.height = `${cropHeight}px`;
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.openProject(file, file.name.replace(/\.lenticular\.zip$|\.zip$/i, ''));
+            }
+            fileInput.value = '';
+        });
+
+        recentSelect.addEventListener('change', async (e) => {
+            const name = e.target.value;
+            recentSelect.value = '';
+            if (!name) return;
+
+            const projectWarning = document.getElementById('projectWarning');
+            projectWarning.hidden = true;
+            let blob;
+            try {
+                blob = await loadRecentProject(name);
+            } catch (e) {
+                projectWarning.textContent = `Failed to open project: ${e.message}`;
+                projectWarning.hidden = false;
+                return;
+            }
+            if (blob) {
+                this.openProject(blob, name);
+            }
+        });
+
+        this.refreshRecentProjects();
     }
 
-    playPreview() {
-        if (this.isAnimating) return;
+    async refreshRecentProjects() {
+        const recentSelect = document.getElementById('recentProjectsSelect');
+        let recent = [];
+        try {
+            recent = await listRecentProjects();
+        } catch (e) {
+            console.warn('Failed to read recent projects:', e);
+        }
 
-        this.isAnimating = true;
-        const previewBtn = document.getElementById('previewBtn');
-        const exportBtn = document.getElementById('exportBtn');
-        previewBtn.disabled = true;
+        recentSelect.replaceChildren(new Option(recent.length ? 'Recent projects…' : 'No recent projects', ''));
+        for (const { name, savedAt } of recent) {
+            recentSelect.add(new Option(`${name} (${new Date(savedAt).toLocaleDateString()})`, name));
+        }
+        recentSelect.disabled = recent.length === 0;
+    }
 
-        // Store original camera position to restore after animation
-        const originalAzimuth = this.orbitControls.getAzimuthalAngle();
-        const distance = this.camera.position.length();
+    initShareControls() {
+        const shareInfo = document.getElementById('shareInfo');
 
-        // Animation parameters
-        const duration = 3000 / (this.animationSpeed / 5); // Base 3 seconds at speed 5
-        const startTime = performance.now();
-        const sweepAngle = Math.PI * (this.sweepAngle / 180);
+        const copyLink = async (embed) => {
+            const url = this.getShareUrl(embed);
+            try {
+                await navigator.clipboard.writeText(url);
+            } catch (e) {
+                window.prompt('Copy this link:', url);
+            }
 
-        const animatePreview = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
+            // Images from disk have no URL to put in the link
+            const faceKeys = ['A', 'B', 'C'].slice(0, getFaceCount(this.settings.profile));
+            const missing = faceKeys.filter((key) => this[`texture${key}`] && !this[`imageSource${key}`]);
+            const lines = [`${embed ? 'Embed link' : 'Link'} copied.`];
+            if (missing.length && !this.shareState.project) {
+                lines.push(`Image ${missing.join(' and ')} came from this computer, so the link can't include ` +
+                    `${missing.length > 1 ? 'them' : 'it'}. Save a project next to the page and add ` +
+                    '?project=<file> to the link, or load the images from URLs.');
+            }
+            shareInfo.textContent = lines.join('\n');
+            shareInfo.hidden = false;
+        };
 
-            // Start left, sweep to right, return to left using cosine
-            const angle = -Math.cos(progress * Math.PI * 2) * (sweepAngle / 2);
+        document.getElementById('shareLinkBtn').addEventListener('click', () => copyLink(false));
+        document.getElementById('embedLinkBtn').addEventListener('click', () => copyLink(true));
 
-            // Set camera position on orbit (stays in front of billboard)
-            this.camera.position.x = Math.sin(angle) * distance;
-            this.camera.position.z = Math.cos(angle) * distance;
-            this.camera.lookAt(0, 0, 0);
+        document.getElementById('embedPreviewBtn').addEventListener('click', () => this.playPreview());
+        document.querySelectorAll('#embedToolbar [data-face]').forEach((btn) => {
+            btn.addEventListener('click', () => this.snapToFace(parseInt(btn.dataset.face)));
+        });
+    }
 
-            if (progress < 1) {
-                requestAnimationFrame(animatePreview);
-            } else {
-                this.isAnimating = false;
-                previewBtn.disabled = false;
-                exportBtn.disabled = false;
+    getShareUrl(embed) {
+        const url = new URL(window.location.href);
+        url.hash = '';
+        url.search = encodeShareState({
+            settings: this.settings,
+            construction: this.construction,
+            surface: this.surface,
+            preset: this.currentPreset,
+            sweepAngle: this.sweepAngle,
+            animationSpeed: this.animationSpeed,
+            camera: getCameraState(this.camera),
+            images: ['A', 'B', 'C'].map((key) => this[`imageSource${key}`]),
+            // Keep pointing at the project this page was opened from
+            project: this.shareState.project,
+            embed
+        });
+        return url.toString();
+    }
 
-                // Reset to original position
-                this.camera.position.x = Math.sin(originalAzimuth) * distance;
-                this.camera.position.z = Math.cos(originalAzimuth) * distance;
-                this.camera.lookAt(0, 0, 0);
-            }
+    // The main board's slat geometry, as the visibility maths takes it. Its
+    // width runs across the slats, which is the board's height when they're
+    // horizontal.
+    getVisibilityBoard(slats = this.settings.slats, angle = this.settings.angle, rightAngle = this.settings.rightAngle) {
+        const { across, along } = getSlatLengths(this.settings);
+        return {
+            ...getSlatSegments(across, slats, angle, {
+                profile: this.settings.profile,
+                rightAngle,
+                height: along,
+                construction: this.construction
+            }),
+            width: across,
+            slats
         };
+    }
 
-        requestAnimationFrame(animatePreview);
+    // Turn to the viewing angle (within the sweep) where a face reads best
+    snapToFace(face) {
+        if (this.isAnimating) return;
+
+        const angle = getBestViewAngle(computeVisibilityCurve(this.getVisibilityBoard()), face, this.sweepAngle / 2);
+        const radians = (angle * Math.PI) / 180;
+        const horizontal = this.settings.orientation === 'horizontal';
+
+        if (this.isSiteViewActive()) {
+            // Orbit from the photo's viewpoint to the same absolute angle
+            const [x, y, z] = this.sitePose.position;
+            applySiteCameraState(this.camera, this.sitePose, horizontal
+                ? { elevation: radians - Math.atan2(y, Math.hypot(x, z)) }
+                : { azimuth: radians - Math.atan2(x, z) });
+        } else {
+            applyCameraState(this.camera, {
+                azimuth: horizontal ? 0 : radians,
+                elevation: horizontal ? radians : 0,
+                distance: this.camera.position.length()
+            });
+        }
     }
 
-    async exportGif() {
-        const exportBtn = document.getElementById('exportBtn');
-        const previewBtn = document.getElementById('previewBtn');
-        const filenameInput = document.getElementById('filenameInput');
-        const gifWidthInput = document.getElementById('gifWidthInput');
+    // Lay the URL's board, view and images over the loaded state. A linked
+    // project is applied first, so explicit parameters can still override it.
+    async applyShareState(state) {
+        if (state.isEmpty) return;
 
-        exportBtn.disabled = true;
-        previewBtn.disabled = true;
-        exportBtn.textContent = 'Exporting...';
+        const showError = (message) => {
+            console.warn(message);
+            const projectWarning = document.getElementById('projectWarning');
+            projectWarning.textContent = message;
+            projectWarning.hidden = false;
+        };
+
+        if (state.project) {
+            try {
+                const response = await fetch(state.project);
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${response.statusText}`);
+                }
+                const project = await readProjectFile(await response.blob());
+                this.applyProjectState(project.state, project.images, project.boardImages);
+            } catch (e) {
+                showError(`Couldn't load linked project ${state.project}: ${e.message}`);
+            }
+        }
+
+        if (state.preset && this.presetLibrary.get(state.preset)) {
+            this.applyPreset(state.preset);
+        }
+        this.settings = { ...this.settings, ...state.settings };
+        this.construction = { ...this.construction, ...state.construction };
+        this.surface = { ...this.surface, ...state.surface };
+        if (state.sweepAngle) {
+            this.sweepAngle = state.sweepAngle;
+        }
+        if (state.animationSpeed) {
+            this.animationSpeed = state.animationSpeed;
+        }
+
+        this.syncSettingsControls();
+        this.syncAnimationControls();
+        this.checkPresetModified();
+        this.updateFaceZones();
+        this.updateBillboard();
+
+        if (state.camera && !this.isSiteViewActive()) {
+            const toRadians = (degrees) => (degrees * Math.PI) / 180;
+            applyCameraState(this.camera, {
+                azimuth: toRadians(state.camera.azimuth),
+                elevation: toRadians(state.camera.elevation),
+                distance: state.camera.distance
+            });
+        }
 
-        const exporter = new GifExporter(this.renderer);
+        await Promise.all(state.images.map(async (url, i) => {
+            if (!url) return;
+            const key = ['A', 'B', 'C'][i];
+            const zone = document.getElementById(`upload${key}`);
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${response.statusText}`);
+                }
+                this.loadImage(await response.blob(), `texture${key}`, zone.querySelector('.upload-preview'), zone);
+                this[`imageSource${key}`] = url;
+            } catch (e) {
+                showError(`Couldn't load image ${key} from ${url}: ${e.message}`);
+            }
+        }));
+
+        this.saveToLocalStorage();
+    }
+
+    getProjectState() {
+        return {
+            ...this.getStoredState(),
+            site: this.site,
+            gifExport: {
+                filename: document.getElementById('filenameInput').value,
+                maxWidth: parseInt(document.getElementById('gifWidthInput').value) || 700
+            },
+            camera: {
+                position: this.camera.position.toArray(),
+                target: this.orbitControls.target.toArray()
+            }
+        };
+    }
 
-        const filename = filenameInput.value.trim() || 'lenticular-preview';
-        const maxWidth = parseInt(gifWidthInput.value) || 700;
+    async saveProject() {
+        const projectWarning = document.getElementById('projectWarning');
+        const name = document.getElementById('filenameInput').value.trim() || 'lenticular-preview';
+        projectWarning.hidden = true;
 
+        let blob;
         try {
-            await exporter.export(
-                this.scene,
-                this.camera,
-                this.orbitControls,
-                this.animationSpeed,
-                (progress) => {
-                    exportBtn.textContent = `Exporting ${Math.round(progress * 100)}%`;
-                },
-                this.settings.width,
-                this.settings.height,
-                this.sweepAngle,
-                filename,
-                maxWidth
+            // The selected board's images are the viewer's own
+            const boardImages = this.campaign.boards.map((board, i) => (i === this.campaign.active
+                ? null
+                : (this.campaignImages[i] || []).map((image) => image && image.file)));
+            blob = await createProjectFile(
+                this.getProjectState(),
+                [this.imageFileA, this.imageFileB, this.imageFileC],
+                boardImages
             );
-        } finally {
-            exportBtn.textContent = 'Export GIF';
-            exportBtn.disabled = false;
-            previewBtn.disabled = false;
+            downloadBlob(blob, `${name}.lenticular.zip`);
+        } catch (e) {
+            projectWarning.textContent = `Failed to save project: ${e.message}`;
+            projectWarning.hidden = false;
+            return;
+        }
+
+        try {
+            await saveRecentProject(name, blob);
+            this.refreshRecentProjects();
+        } catch (e) {
+            console.warn('Failed to store recent project:', e);
+        }
+    }
+
+    async openProject(blob, name) {
+        const projectWarning = document.getElementById('projectWarning');
+        projectWarning.hidden = true;
+
+        let project;
+        try {
+            project = await readProjectFile(blob);
+        } catch (e) {
+            projectWarning.textContent = `Failed to open project: ${e.message}`;
+            projectWarning.hidden = false;
+            return;
+        }
+
+        this.applyProjectState(project.state, project.images, project.boardImages);
+
+        try {
+            await saveRecentProject(name, blob);
+            this.refreshRecentProjects();
+        } catch (e) {
+            console.warn('Failed to store recent project:', e);
+        }
+    }
+
+    applyProjectState(state, images, boardImages = []) {
+        this.applyStoredState(state);
+        this.campaignImages = boardImages.map((files) => files && files.map((file) => ({ file, source: null })));
+        document.getElementById('presetWarning').hidden = true;
+
+        if (state.site) {
+            this.site.enabled = state.site.enabled !== false;
+        }
+        this.setSite(state.site || (this.currentPreset && this.presetLibrary.get(this.currentPreset).site));
+
+        if (state.gifExport) {
+            document.getElementById('filenameInput').value = state.gifExport.filename;
+            document.getElementById('gifWidthInput').value = state.gifExport.maxWidth;
+        }
+
+        this.syncStoredControls();
+
+        // Replace every face's image with the project's (or none)
+        ['A', 'B', 'C'].forEach((key, i) => {
+            this.clearImage(key);
+            if (images[i]) {
+                const zone = document.getElementById(`upload${key}`);
+                this.loadImage(images[i], `texture${key}`, zone.querySelector('.upload-preview'), zone);
+            }
+        });
+
+        if (state.camera) {
+            this.camera.position.fromArray(state.camera.position);
+            this.orbitControls.target.fromArray(state.camera.target);
+            this.orbitControls.update();
+        }
+
+        this.updateFaceZones();
+        this.updateBillboard();
+        this.recordHistory('Open project');
+        this.saveToLocalStorage();
+    }
+
+    // Lays saved state (a project or an undo step) over the current state
+    applyStoredState(state) {
+        if (state.settings) {
+            this.settings = { ...this.settings, ...state.settings };
+        }
+        if (state.construction) {
+            this.construction = { ...this.construction, ...state.construction };
+        }
+        if (state.surface) {
+            this.surface = { ...this.surface, ...state.surface };
+        }
+        if (state.imageCrops) {
+            this.imageCrops = { ...this.imageCrops, ...state.imageCrops };
+        }
+        if (state.animationSpeed) {
+            this.animationSpeed = state.animationSpeed;
+        }
+        if (state.sweepAngle) {
+            this.sweepAngle = state.sweepAngle;
+        }
+        if (state.cameraPath) {
+            this.cameraPath = { ...this.cameraPath, ...state.cameraPath };
+        }
+        if (state.cameraBookmarks) {
+            this.cameraBookmarks = state.cameraBookmarks.map((bookmark) => ({ ...bookmark }));
+        }
+        if (state.lighting) {
+            this.lighting = { ...this.lighting, ...state.lighting };
+        }
+        if (state.analysis) {
+            this.analysis = { ...this.analysis, ...state.analysis };
+        }
+        if (state.proof) {
+            this.proof = { ...this.proof, ...state.proof };
         }
+        if (state.softProof) {
+            this.softProof = { ...this.softProof, ...state.softProof };
+        }
+        if (state.compare) {
+            this.compare = { ...this.compare, ...state.compare };
+        }
+        if (state.walkBy) {
+            this.walkBy = { ...this.walkBy, ...state.walkBy };
+        }
+        if (state.campaign) {
+            this.campaign = this.mergeCampaign(state.campaign);
+        }
+        if (state.exportSettings) {
+            this.exportSettings = { ...this.exportSettings, ...state.exportSettings };
+        }
+        if (state.gifSettings) {
+            this.gifSettings = { ...this.gifSettings, ...state.gifSettings };
+        }
+        if (state.printSettings) {
+            this.printSettings = { ...this.printSettings, ...state.printSettings };
+        }
+        if (state.modelSettings) {
+            this.modelSettings = { ...this.modelSettings, ...state.modelSettings };
+        }
+        if (state.stillSettings) {
+            this.stillSettings = { ...this.stillSettings, ...state.stillSettings };
+        }
+
+        this.currentPreset = state.currentPreset && this.presetLibrary.get(state.currentPreset) ? state.currentPreset : null;
+        this.presetOriginalSettings = this.currentPreset
+            ? { ...this.presetLibrary.get(this.currentPreset) }
+            : null;
+    }
+
+    syncStoredControls() {
+        this.syncSettingsControls();
+        this.syncConstructionControls();
+        this.syncSurfaceControls();
+        this.syncAnimationControls();
+        this.syncCameraPathControls();
+        this.syncCameraBookmarkControls();
+        this.syncLightingControls();
+        this.syncCompareControls();
+        this.syncAnalysisControls();
+        this.syncProofControls();
+        this.syncSoftProofControls();
+        this.syncWalkByControls();
+        this.syncCampaignControls();
+        this.syncExportFormatControls();
+        this.syncGifControls();
+        this.syncPrintControls();
+        this.syncModelControls();
+        this.syncStillControls();
+        this.checkPresetModified();
     }
 
+    // Cover and contain keep each image's proportions; only stretched
+    // images that don't match the board's shape get distorted
     checkAspectRatios() {
         const warning = document.getElementById('aspectWarning');
-        if (this.imageAspectA && this.imageAspectB) {
-            const diff = Math.abs(this.imageAspectA - this.imageAspectB);
-            warning.hidden = diff < 0.05; // 5% tolerance
+        const boardAspect = this.settings.width / this.settings.height;
+        const stretched = ['A', 'B', 'C']
+            .slice(0, getFaceCount(this.settings.profile))
+            .filter((key) => {
+                const aspect = this[`imageAspect${key}`];
+                return aspect && this.imageCrops[key].fit === 'stretch' &&
+                    Math.abs(aspect / boardAspect - 1) >= 0.05; // 5% tolerance
+            });
+        warning.textContent = `Image ${stretched.join(' and ')} ${stretched.length > 1 ? 'are' : 'is'} stretched to the board's shape`;
+        warning.hidden = stretched.length === 0;
+    }
+
+    loadImage(file, textureKey, previewEl, zoneEl) {
+        const key = textureKey.replace('texture', '');
+        this.disposeMotion(key);
+        this[`imageFile${key}`] = file;
+
+        if (isMotionFile(file)) {
+            this.loadMotion(file, key, previewEl, zoneEl);
         } else {
-            warning.hidden = true;
+            this.loadStillImage(file, textureKey, previewEl, zoneEl);
         }
     }
 
-    loadImage(file, textureKey, previewEl, zoneEl) {
+    loadStillImage(file, textureKey, previewEl, zoneEl) {
         const reader = new FileReader();
         reader.onload = (e) => {
             const url = e.target.result;
@@ -560,36 +4547,107 @@ class LenticularViewer {
             zoneEl.classList.add('has-image');
             document.getElementById('emptyState').hidden = true;
 
-            const img = new Image();
-            img.onload = () => {
-                const aspect = img.width / img.height;
-                if (textureKey === 'textureA') {
-                    this.imageAspectA = aspect;
-                } else {
-                    this.imageAspectB = aspect;
-                }
-                this.checkAspectRatios();
-            };
-            img.src = url;
-
             const loader = new THREE.TextureLoader();
             loader.load(url, (texture) => {
                 texture.colorSpace = THREE.SRGBColorSpace;
                 this[textureKey] = texture;
+                // textureA -> imageAspectA, textureB -> imageAspectB, ...
+                // (needed before the billboard is built, for the crop UVs)
+                this[textureKey.replace('texture', 'imageAspect')] = texture.image.width / texture.image.height;
                 this.updateBillboard();
             });
         };
         reader.readAsDataURL(file);
     }
 
+    // Videos and animated GIFs play on the face; a single-frame GIF loads
+    // as an ordinary image
+    async loadMotion(file, key, previewEl, zoneEl) {
+        const warning = document.getElementById('motionWarning');
+        warning.hidden = true;
+
+        let source;
+        try {
+            source = await loadMotionSource(file);
+        } catch (e) {
+            if (this[`imageFile${key}`] === file) {
+                this[`imageFile${key}`] = null;
+                warning.textContent = `Image ${key} could not be loaded: ${e.message}`;
+                warning.hidden = false;
+            }
+            return;
+        }
+
+        // Another image may have replaced this one while it decoded
+        if (this[`imageFile${key}`] !== file) {
+            if (source) source.dispose();
+            return;
+        }
+        if (!source) {
+            this.loadStillImage(file, `texture${key}`, previewEl, zoneEl);
+            return;
+        }
+
+        this[`motion${key}`] = source;
+        this[`texture${key}`] = source.texture;
+        this[`imageAspect${key}`] = source.width / source.height;
+        previewEl.src = source.snapshot().toDataURL();
+        zoneEl.classList.add('has-image');
+        document.getElementById('emptyState').hidden = true;
+
+        source.play();
+        this.updateBillboard();
+        this.syncMotionControls();
+    }
+
+    disposeMotion(key) {
+        const source = this[`motion${key}`];
+        if (!source) return;
+        source.dispose();
+        this[`motion${key}`] = null;
+        this.syncMotionControls();
+    }
+
+    clearImage(key) {
+        const zone = document.getElementById(`upload${key}`);
+        const preview = zone.querySelector('.upload-preview');
+        preview.removeAttribute('src');
+        zone.classList.remove('has-image');
+
+        this.disposeMotion(key);
+        this[`texture${key}`] = null;
+        this[`imageAspect${key}`] = null;
+        this[`imageFile${key}`] = null;
+        this[`imageSource${key}`] = null;
+    }
+
     updateBillboard() {
+        this.rebuildBillboard();
+        this.syncConstructionControls();
+        this.syncSurfaceControls();
+        this.rebuildCompareBillboards();
+        this.rebuildCampaignBillboards();
+        this.renderCampaignOutline();
+        this.updateLighting();
+        this.syncCropEditor();
+        this.updateSitePose();
+        this.updateSafezone();
+        this.updatePrintInfo();
+        this.updateModelInfo();
+        this.updateStillInfo();
+        this.scheduleAnalysisUpdate();
+        this.updateSoftProofPreviews();
+    }
+
+    // Just the mesh, for changes (like crops) that don't affect the analysis
+    rebuildBillboard() {
+        const visible = this.billboard ? this.billboard.visible : true;
+
         // Remove old billboard
         if (this.billboard) {
             this.scene.remove(this.billboard);
-            this.billboard.userData.leftMesh.geometry.dispose();
-            this.billboard.userData.rightMesh.geometry.dispose();
-            this.billboard.userData.materialA.dispose();
-            this.billboard.userData.materialB.dispose();
+            this.billboard.userData.meshes.forEach((mesh) => mesh.geometry.dispose());
+            this.billboard.userData.materials.forEach((material) => material.dispose());
         }
 
         // Create new billboard with current settings and textures
@@ -598,25 +4656,95 @@ class LenticularViewer {
             this.settings.height,
             this.settings.slats,
             this.settings.angle,
-            this.textureA || null,
-            this.textureB || null
+            [this.textureA, this.textureB, this.textureC],
+            {
+                profile: this.settings.profile,
+                orientation: this.settings.orientation,
+                rightAngle: this.settings.rightAngle,
+                construction: this.construction,
+                surface: this.surface,
+                uvRects: this.getCropRects(),
+                softProof: this.getSoftProofUniforms()
+            }
         );
+        this.billboard.visible = visible;
         this.scene.add(this.billboard);
-        this.updateSafezone();
+        this.placeGrid();
+
+        // Geometry, crops or images may have changed under the proof
+        if (this.proofOverlay) {
+            this.billboard.add(this.proofOverlay);
+        }
+        this.scheduleProofUpdate();
+    }
+
+    // Keep the grid behind boards that curve back
+    placeGrid() {
+        const back = new THREE.Box3().setFromObject(this.billboard).min.z;
+        this.grid.position.z = Math.min(0, back) - 0.5;
+    }
+
+    // Aspect ratio the camera renders at: the viewport's, or one pane's when comparing
+    getViewAspect() {
+        const viewport = document.querySelector('.viewport');
+        if (!this.compare.enabled) {
+            return viewport.clientWidth / viewport.clientHeight;
+        }
+        const [pane] = getPaneLayout(this.compare.panes, viewport.clientWidth, viewport.clientHeight);
+        return pane.width / pane.height;
     }
 
     onResize() {
         const viewport = document.querySelector('.viewport');
-        this.camera.aspect = viewport.clientWidth / viewport.clientHeight;
+        this.camera.aspect = this.getViewAspect();
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(viewport.clientWidth, viewport.clientHeight);
+        this.updateSiteView();
         this.updateSafezone();
+        this.updatePaneLabels();
+        this.updateStillInfo();
+    }
+
+    render() {
+        if (this.compare.enabled) {
+            this.renderPanes();
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    // One render per pane, each scissored to its rectangle with only its own
+    // board showing
+    renderPanes() {
+        const size = this.renderer.getSize(new THREE.Vector2());
+        const panes = getPaneLayout(this.compare.panes, size.x, size.y);
+        const boards = [this.billboard, ...this.compareBillboards];
+
+        this.renderer.setScissorTest(true);
+        panes.forEach((pane, i) => {
+            boards.forEach((board, j) => { board.visible = i === j; });
+            this.campaignGroup.visible = i === 0;
+            // WebGL counts rows from the bottom
+            const y = size.y - pane.y - pane.height;
+            this.renderer.setViewport(pane.x, y, pane.width, pane.height);
+            this.renderer.setScissor(pane.x, y, pane.width, pane.height);
+            this.renderer.render(this.scene, this.camera);
+        });
+        this.renderer.setScissorTest(false);
+        this.renderer.setViewport(0, 0, size.x, size.y);
+        boards.forEach((board, j) => { board.visible = j === 0; });
+        this.campaignGroup.visible = true;
     }
 
     animate() {
         requestAnimationFrame(() => this.animate());
-        this.orbitControls.update();
-        this.renderer.render(this.scene, this.camera);
+        // Path playback and the site view drive the camera directly; the orbit
+        // clamps would fight them
+        if (!this.isAnimating && !this.siteViewActive) {
+            this.orbitControls.update();
+        }
+        this.updateMotion();
+        this.render();
     }
 }
 
@@ -1,4 +1,31 @@
 import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { DEFAULT_CONSTRUCTION, getSegmentUVRange, getSlatLengths, getSlatSegments } from './slatProfile.js';
+import { GAMUT_STRIPE, GAMUT_WARNING_COLOR } from './softProof.js';
+import { getSurfaceArc, getSurfaceCuts, placeOnSurface } from './surface.js';
+
+// Surface finishes for the printed faces. Retro-reflective sheeting sends
+// light back toward where it came from, so it glows when seen from near a light.
+export const SURFACE_FINISHES = {
+    matte: { label: 'Matte', roughness: 1 },
+    gloss: { label: 'Gloss laminate', roughness: 0.2 },
+    retroReflective: { label: 'Retro-reflective', roughness: 0.7, retroReflective: true }
+};
+
+// Flat lands and slat edges, and the backing seen down the gaps
+const SLAT_EDGE_COLOR = 0x8a8a8a;
+const BACKING_COLOR = 0x151515;
+
+// How far the frame stands in front of the peaks and behind the backing, in feet
+export const FRAME_RELIEF = 0.5 / 12;
+
+// Strength and tightness of the retro-reflective lobe
+const RETRO_GAIN = '3.0';
+const RETRO_SHARPNESS = '40.0';
+
+// Out-of-gamut stripes, as the previews draw them
+const SOFT_PROOF_STRIPE = GAMUT_STRIPE.toFixed(1);
+const SOFT_PROOF_WARNING = GAMUT_WARNING_COLOR.map((value) => (value / 255).toFixed(3)).join(', ');
 
 export function createCheckerboardTexture(color1 = 0x333333, color2 = 0x444444, size = 8) {
     const canvas = document.createElement('canvas');
@@ -21,130 +48,325 @@ export function createCheckerboardTexture(color1 = 0x333333, color2 = 0x444444,
     return texture;
 }
 
-export function createZigzagGeometry(width, height, slats, angle) {
-    // Convert angle from degrees to radians
-    const angleRad = (angle * Math.PI) / 180;
+export function createZigzagGeometry(width, height, slats, angle, options = {}) {
+    // Horizontal slats are built as vertical ones running across the board's
+    // height, then given a quarter turn
+    const horizontal = options.orientation === 'horizontal';
+    const { across, along } = getSlatLengths({ width, height, orientation: options.orientation });
+    const board = getSlatSegments(across, slats, angle, { ...options, height: along });
+    const { peakDepth, segments, faceCount, slatWidth, frameWidth } = board;
+
+    // The board is built flat and bent onto its base surface at the end.
+    // Anything running across the curve is cut into pieces short enough to
+    // follow it: horizontal slats along their length, the frame's bars.
+    const arc = getSurfaceArc(options.surface, width, board.construction.thickness / 12 + FRAME_RELIEF);
 
-    // Calculate peak depth based on angle
-    const slatWidth = width / slats;
-    const peakDepth = (slatWidth / 2) * Math.tan(angleRad);
+    // Separate vertex/UV buffers per image so each face set gets its own material.
+    // Lands, slat edges and gap floors go in one untextured, vertex-coloured buffer.
+    const vertices = Array.from({ length: faceCount }, () => []);
+    const uvs = Array.from({ length: faceCount }, () => []);
+    const structureVertices = [];
+    const structureColors = [];
 
-    // Separate geometry for left faces (Image A) and right faces (Image B)
-    const leftVertices = [];
-    const leftUvs = [];
-    const rightVertices = [];
-    const rightUvs = [];
+    // Board UVs go through each face's crop rect (normalised image coordinates,
+    // y down; see imageCrop.js), or span the whole image without one
+    const uvRects = options.uvRects || [];
+    const toImageUV = (face, u, v) => {
+        const rect = uvRects[face];
+        return rect ? [rect.x + u * rect.width, 1 - rect.y - rect.height + v * rect.height] : [u, v];
+    };
+    // Across and along the slats, to across and up the finished board
+    const toBoardUV = horizontal ? (u, v) => [1 - v, u] : (u, v) => [u, v];
+
+    // The frame hides the artwork around the edges, top and bottom included.
+    // Turned a quarter, a slat's y runs against the board's x.
+    const top = along / 2 - frameWidth;
+    const rows = horizontal ? getSurfaceCuts(arc, -top, top).map((x) => -x).reverse() : [-top, top];
+    const toV = (y) => 0.5 + y / along;
 
     for (let i = 0; i < slats; i++) {
-        const xLeft = (i / slats) * width - width / 2;
-        const xMid = ((i + 0.5) / slats) * width - width / 2;
-        const xRight = ((i + 1) / slats) * width - width / 2;
-
-        // UV coordinates - each face type maps the full slat width
-        // so each image appears complete when viewed from correct angle
-        const uStart = i / slats;
-        const uEnd = (i + 1) / slats;
-
-        // Left face: valley to peak (shows Image A from the left)
-        // Triangle 1: bottom-left, bottom-mid, top-left
-        leftVertices.push(
-            xLeft, -height / 2, 0,
-            xMid, -height / 2, peakDepth,
-            xLeft, height / 2, 0
-        );
-        leftUvs.push(
-            uStart, 0,
-            uEnd, 0,
-            uStart, 1
-        );
-
-        // Triangle 2: top-left, bottom-mid, top-mid
-        leftVertices.push(
-            xLeft, height / 2, 0,
-            xMid, -height / 2, peakDepth,
-            xMid, height / 2, peakDepth
-        );
-        leftUvs.push(
-            uStart, 1,
-            uEnd, 0,
-            uEnd, 1
-        );
-
-        // Right face: peak to valley (shows Image B from the right)
-        // Triangle 1: bottom-mid, bottom-right, top-mid
-        rightVertices.push(
-            xMid, -height / 2, peakDepth,
-            xRight, -height / 2, 0,
-            xMid, height / 2, peakDepth
-        );
-        rightUvs.push(
-            uStart, 0,
-            uEnd, 0,
-            uStart, 1
-        );
-
-        // Triangle 2: top-mid, bottom-right, top-right
-        rightVertices.push(
-            xMid, height / 2, peakDepth,
-            xRight, -height / 2, 0,
-            xRight, height / 2, 0
-        );
-        rightUvs.push(
-            uStart, 1,
-            uEnd, 0,
-            uEnd, 1
-        );
+        const xStart = frameWidth + i * slatWidth - across / 2;
+
+        for (const segment of segments) {
+            const x0 = xStart + segment.x0;
+            const x1 = xStart + segment.x1;
+            const { z0, z1 } = segment;
+
+            const color = segment.face < 0 ? new THREE.Color(segment.kind === 'gap' ? BACKING_COLOR : SLAT_EDGE_COLOR) : null;
+            const uv = (u, v) => toImageUV(segment.face, ...toBoardUV(u, v));
+            const [uStart, uEnd] = segment.face < 0 ? [0, 0] : getSegmentUVRange(board, i, segment);
+
+            for (let row = 1; row < rows.length; row++) {
+                const y0 = rows[row - 1];
+                const y1 = rows[row];
+
+                // Triangle 1: bottom-start, bottom-end, top-start
+                // Triangle 2: top-start, bottom-end, top-end
+                const quad = [
+                    x0, y0, z0,
+                    x1, y0, z1,
+                    x0, y1, z0,
+                    x0, y1, z0,
+                    x1, y0, z1,
+                    x1, y1, z1
+                ];
+
+                if (color) {
+                    structureVertices.push(...quad);
+                    for (let k = 0; k < 6; k++) structureColors.push(color.r, color.g, color.b);
+                    continue;
+                }
+
+                const [v0, v1] = [toV(y0), toV(y1)];
+                vertices[segment.face].push(...quad);
+                uvs[segment.face].push(
+                    ...uv(uStart, v0),
+                    ...uv(uEnd, v0),
+                    ...uv(uStart, v1),
+                    ...uv(uStart, v1),
+                    ...uv(uEnd, v0),
+                    ...uv(uEnd, v1)
+                );
+            }
+        }
     }
 
-    const leftGeometry = new THREE.BufferGeometry();
-    leftGeometry.setAttribute('position', new THREE.Float32BufferAttribute(leftVertices, 3));
-    leftGeometry.setAttribute('uv', new THREE.Float32BufferAttribute(leftUvs, 2));
-    leftGeometry.computeVertexNormals();
+    const geometries = vertices.map((faceVertices, index) => {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(faceVertices, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs[index], 2));
+        geometry.computeVertexNormals();
+        return geometry;
+    });
+
+    let structure = null;
+    if (structureVertices.length) {
+        structure = new THREE.BufferGeometry();
+        structure.setAttribute('position', new THREE.Float32BufferAttribute(structureVertices, 3));
+        structure.setAttribute('color', new THREE.Float32BufferAttribute(structureColors, 3));
+        structure.computeVertexNormals();
+    }
 
-    const rightGeometry = new THREE.BufferGeometry();
-    rightGeometry.setAttribute('position', new THREE.Float32BufferAttribute(rightVertices, 3));
-    rightGeometry.setAttribute('uv', new THREE.Float32BufferAttribute(rightUvs, 2));
-    rightGeometry.computeVertexNormals();
+    const cuts = getSurfaceCuts(arc, -width / 2, width / 2);
+    const frame = horizontal
+        ? createFrameGeometry(board, along, [], cuts.map((x) => -x).reverse())
+        : createFrameGeometry(board, along, cuts, []);
+    const all = [...geometries, structure, frame].filter(Boolean);
+    if (horizontal) {
+        all.forEach((geometry) => geometry.rotateZ(Math.PI / 2));
+    }
+    if (arc) {
+        all.forEach((geometry) => bendGeometry(geometry, arc));
+    }
 
-    return { leftGeometry, rightGeometry };
+    return { geometries, structure, frame, peakDepth };
 }
 
-export function createBillboardGroup(width, height, slats, angle, textureA = null, textureB = null) {
-    const { leftGeometry, rightGeometry } = createZigzagGeometry(width, height, slats, angle);
+// Four bars around the board, standing just proud of the peaks. Bars are cut
+// at the given x and y positions so they can bend with the board.
+function createFrameGeometry(board, height, xCuts, yCuts) {
+    const { width, frameWidth, peakDepth, construction } = board;
+    if (frameWidth <= 0) return null;
 
-    const group = new THREE.Group();
+    const back = -construction.thickness / 12 - FRAME_RELIEF;
+    const depth = peakDepth + FRAME_RELIEF - back;
+    const split = (from, to, cuts) => [from, ...cuts.filter((cut) => cut > from && cut < to), to];
+    const bar = (barWidth, barHeight, x, y) => {
+        const xs = split(x - barWidth / 2, x + barWidth / 2, xCuts);
+        const ys = split(y - barHeight / 2, y + barHeight / 2, yCuts);
+        const pieces = [];
+        for (let i = 1; i < xs.length; i++) {
+            for (let j = 1; j < ys.length; j++) {
+                const geometry = new THREE.BoxGeometry(xs[i] - xs[i - 1], ys[j] - ys[j - 1], depth);
+                geometry.translate((xs[i] + xs[i - 1]) / 2, (ys[j] + ys[j - 1]) / 2, back + depth / 2);
+                pieces.push(geometry);
+            }
+        }
+        return pieces;
+    };
 
-    // Create placeholder textures if none provided
-    const placeholderA = createCheckerboardTexture(0x3a5a8a, 0x4a6a9a);
-    const placeholderB = createCheckerboardTexture(0x8a3a3a, 0x9a4a4a);
+    return mergeGeometries([
+        ...bar(width, frameWidth, 0, (height - frameWidth) / 2),
+        ...bar(width, frameWidth, 0, -(height - frameWidth) / 2),
+        ...bar(frameWidth, height - 2 * frameWidth, -(width - frameWidth) / 2, 0),
+        ...bar(frameWidth, height - 2 * frameWidth, (width - frameWidth) / 2, 0)
+    ]);
+}
 
-    // Material for left faces (Image A)
-    const materialA = new THREE.MeshStandardMaterial({
-        color: 0xffffff,
-        map: textureA || placeholderA,
-        side: THREE.FrontSide
-    });
+// Moves each vertex of a flat board (x across, z out of the face) onto the
+// surface arc, turning its normal with the surface
+function bendGeometry(geometry, arc) {
+    const position = geometry.attributes.position;
+    const normal = geometry.attributes.normal;
+    for (let i = 0; i < position.count; i++) {
+        const place = placeOnSurface(arc, position.getX(i), position.getZ(i));
+        position.setXYZ(i, place.x, position.getY(i), place.z);
+        if (normal) {
+            const cos = Math.cos(place.angle);
+            const sin = Math.sin(place.angle);
+            const nx = normal.getX(i);
+            const nz = normal.getZ(i);
+            normal.setXYZ(i, nx * cos + nz * sin, normal.getY(i), nz * cos - nx * sin);
+        }
+    }
+    position.needsUpdate = true;
+    if (normal) normal.needsUpdate = true;
+    geometry.computeBoundingSphere();
+}
+
+// Placeholder checkerboard colours per face set: A blue, B red, C green
+const PLACEHOLDER_COLORS = [
+    [0x3a5a8a, 0x4a6a9a],
+    [0x8a3a3a, 0x9a4a4a],
+    [0x3a7a4a, 0x4a8a5a]
+];
 
-    // Material for right faces (Image B)
-    const materialB = new THREE.MeshStandardMaterial({
-        color: 0xffffff,
-        map: textureB || placeholderB,
-        side: THREE.FrontSide
+// Shader tweaks for the image faces. Crops can reach past the image
+// (letterboxing, zooming out), so paint those areas black rather than smearing
+// the edge pixels across them. Retro-reflective faces get an extra lobe for
+// each light, peaking when the viewer looks along the light's direction.
+// Soft-proofed faces look their colours up in the proof table (see
+// softProof.js) and stripe the ones out of gamut.
+function patchFaceShader(material, { letterbox, retroReflective, softProof }) {
+    if (!letterbox && !retroReflective && !softProof) return;
+
+    material.onBeforeCompile = (shader) => {
+        if (letterbox) {
+            shader.fragmentShader = shader.fragmentShader.replace(
+                '#include <map_fragment>',
+                `#include <map_fragment>
+                if (any(lessThan(vMapUv, vec2(0.0))) || any(greaterThan(vMapUv, vec2(1.0)))) {
+                    diffuseColor.rgb = vec3(0.0);
+                }`
+            );
+        }
+        if (softProof) {
+            Object.assign(shader.uniforms, softProof);
+            shader.fragmentShader = shader.fragmentShader
+                .replace(
+                    '#include <common>',
+                    `#include <common>
+                    uniform highp sampler3D softProofLut;
+                    uniform float softProofSize;
+                    uniform bool softProofWarning;`
+                )
+                .replace(
+                    '#include <color_fragment>',
+                    `{
+                        vec3 encoded = sRGBTransferOETF(vec4(saturate(diffuseColor.rgb), 1.0)).rgb;
+                        vec4 proofed = texture(softProofLut, (encoded * (softProofSize - 1.0) + 0.5) / softProofSize);
+                        diffuseColor.rgb = mix(proofed.rgb / 12.92, pow((proofed.rgb + 0.055) / 1.055, vec3(2.4)), step(0.04045, proofed.rgb));
+                        if (softProofWarning && proofed.a > 0.5 && mod(floor((gl_FragCoord.x + gl_FragCoord.y) / ${SOFT_PROOF_STRIPE}), 2.0) < 1.0) {
+                            diffuseColor.rgb = vec3(${SOFT_PROOF_WARNING});
+                        }
+                    }
+                    #include <color_fragment>`
+                );
+        }
+        if (retroReflective) {
+            shader.fragmentShader = shader.fragmentShader.replace(
+                '#include <lights_physical_pars_fragment>',
+                `#include <lights_physical_pars_fragment>
+                void RE_Direct_Retro(const in IncidentLight directLight, const in vec3 geometryPosition, const in vec3 geometryNormal, const in vec3 geometryViewDir, const in vec3 geometryClearcoatNormal, const in PhysicalMaterial material, inout ReflectedLight reflectedLight) {
+                    RE_Direct_Physical(directLight, geometryPosition, geometryNormal, geometryViewDir, geometryClearcoatNormal, material, reflectedLight);
+                    float alignment = max(dot(directLight.direction, geometryViewDir), 0.0);
+                    float entrance = sqrt(saturate(dot(geometryNormal, directLight.direction)));
+                    reflectedLight.directSpecular += directLight.color * material.diffuseColor * ${RETRO_GAIN} * pow(alignment, ${RETRO_SHARPNESS}) * entrance;
+                }
+                #undef RE_Direct
+                #define RE_Direct RE_Direct_Retro`
+            );
+        }
+    };
+    // Programs are cached by this key, so each combination needs its own
+    material.customProgramCacheKey = () => `lenticular-face-${letterbox}-${retroReflective}-${Boolean(softProof)}`;
+}
+
+export function createBillboardGroup(width, height, slats, angle, textures = [], options = {}) {
+    const { geometries, structure, frame } = createZigzagGeometry(width, height, slats, angle, options);
+    const construction = { ...DEFAULT_CONSTRUCTION, ...options.construction };
+    const finish = SURFACE_FINISHES[construction.finish] || SURFACE_FINISHES.matte;
+
+    const group = new THREE.Group();
+
+    // One material and mesh per face set, using a placeholder texture if none provided
+    const materials = geometries.map((geometry, index) => {
+        const [color1, color2] = PLACEHOLDER_COLORS[index];
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            map: textures[index] || createCheckerboardTexture(color1, color2),
+            roughness: finish.roughness,
+            side: THREE.FrontSide
+        });
+        patchFaceShader(material, {
+            letterbox: Boolean(textures[index]),
+            retroReflective: Boolean(finish.retroReflective),
+            softProof: textures[index] ? options.softProof : null
+        });
+        return material;
     });
+    const meshGeometries = [...geometries];
 
-    const leftMesh = new THREE.Mesh(leftGeometry, materialA);
-    const rightMesh = new THREE.Mesh(rightGeometry, materialB);
+    if (structure) {
+        materials.push(new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.8 }));
+        meshGeometries.push(structure);
+    }
+    if (frame) {
+        materials.push(new THREE.MeshStandardMaterial({ color: construction.frameColor, roughness: 0.6 }));
+        meshGeometries.push(frame);
+    }
 
-    group.add(leftMesh);
-    group.add(rightMesh);
+    // Slats shade their neighbours under the sun and flood lights
+    const meshes = meshGeometries.map((geometry, index) => {
+        const mesh = new THREE.Mesh(geometry, materials[index]);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        return mesh;
+    });
+    meshes.forEach((mesh) => group.add(mesh));
 
     // Store references for texture updates
     group.userData = {
-        leftMesh,
-        rightMesh,
-        materialA,
-        materialB
+        meshes,
+        materials
     };
 
     return group;
 }
+
+// Transparent layers just over the image faces, one canvas per face set
+// (null for none). Canvases map onto the whole board (frame included), top
+// edge up, whatever each image's crop, so highlights line up with the
+// artwork as the board shows it.
+export function createOverlayGroup(width, height, slats, angle, canvases, options = {}) {
+    const { geometries } = createZigzagGeometry(width, height, slats, angle, { ...options, uvRects: null });
+    const group = new THREE.Group();
+    const meshes = [];
+    const materials = [];
+
+    geometries.forEach((geometry, index) => {
+        if (!canvases[index]) {
+            geometry.dispose();
+            return;
+        }
+        const texture = new THREE.CanvasTexture(canvases[index]);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            depthWrite: false,
+            // Drawn over the face it shares, without z-fighting
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -4
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.renderOrder = 1;
+        group.add(mesh);
+        meshes.push(mesh);
+        materials.push(material);
+    });
+
+    group.userData = { meshes, materials };
+    return group;
+}
@@ -0,0 +1,186 @@
+// Keyframed camera paths shared by the preview and every exporter.
+// Keyframes are { time (s), azimuth (°), elevation (°), distance, easing },
+// where easing shapes the segment from that keyframe to the next. Walk-by
+// keyframes also carry `target`, the [x, y, z] point the camera looks at
+// (the board centre otherwise); between two of them the camera moves in a
+// straight line, as the viewer walks, rather than round the orbit.
+
+export const EASINGS = {
+    linear: { label: 'Linear', fn: (t) => t },
+    easeInOut: { label: 'Ease in/out', fn: (t) => (1 - Math.cos(Math.PI * t)) / 2 },
+    easeIn: { label: 'Ease in', fn: (t) => 1 - Math.cos((Math.PI * t) / 2) },
+    easeOut: { label: 'Ease out', fn: (t) => Math.sin((Math.PI * t) / 2) },
+    hold: { label: 'Hold', fn: (t) => (t < 1 ? 0 : 1) }
+};
+
+export const DEFAULT_DISTANCE = 12;
+
+// Sweep length in seconds for the speed slider (base 3 seconds at speed 5)
+export function getSweepDuration(speed) {
+    return 3 / (speed / 5);
+}
+
+// The original preview: start left, sweep to right, return to left.
+// Ease in/out between the extremes reproduces -cos(2π·progress) exactly.
+export function createSweepPath(sweepAngleDegrees, duration, distance = DEFAULT_DISTANCE, orientation = 'vertical') {
+    const half = sweepAngleDegrees / 2;
+    return turnPath([
+        { time: 0, azimuth: -half, elevation: 0, distance, easing: 'easeInOut' },
+        { time: duration / 2, azimuth: half, elevation: 0, distance, easing: 'easeInOut' },
+        { time: duration, azimuth: -half, elevation: 0, distance, easing: 'easeInOut' }
+    ], orientation);
+}
+
+// Paths are written for vertical slats, which flip as the camera moves
+// sideways. Horizontal slats flip as it rises, so their paths swap azimuth
+// and elevation: left becomes below, right above.
+export function turnPath(keyframes, orientation) {
+    if (orientation !== 'horizontal') return keyframes;
+    return keyframes.map((k) => ({ ...k, azimuth: k.elevation, elevation: k.azimuth }));
+}
+
+// Starting points for the timeline editor, for vertical slats (see turnPath)
+export const PATH_TEMPLATES = {
+    sweep: {
+        label: 'Sweep and return',
+        create: (sweep, distance) => createSweepPath(sweep, 6, distance)
+    },
+    walkBy: {
+        label: 'One-way walk-by',
+        create: (sweep, distance) => [
+            { time: 0, azimuth: -sweep / 2, elevation: 0, distance, easing: 'linear' },
+            { time: 6, azimuth: sweep / 2, elevation: 0, distance, easing: 'linear' }
+        ]
+    },
+    holds: {
+        label: 'Hold on A, flip, hold on B',
+        create: (sweep, distance) => [
+            { time: 0, azimuth: -sweep / 2, elevation: 0, distance, easing: 'hold' },
+            { time: 1.5, azimuth: -sweep / 2, elevation: 0, distance, easing: 'easeInOut' },
+            { time: 4, azimuth: sweep / 2, elevation: 0, distance, easing: 'hold' },
+            { time: 5.5, azimuth: sweep / 2, elevation: 0, distance, easing: 'easeInOut' },
+            { time: 8, azimuth: -sweep / 2, elevation: 0, distance, easing: 'linear' }
+        ]
+    },
+    slowFlip: {
+        label: 'Slow down through the flip',
+        create: (sweep, distance) => [
+            { time: 0, azimuth: -sweep / 2, elevation: 0, distance, easing: 'easeOut' },
+            { time: 2, azimuth: -sweep / 10, elevation: 0, distance, easing: 'linear' },
+            { time: 5, azimuth: sweep / 10, elevation: 0, distance, easing: 'easeIn' },
+            { time: 7, azimuth: sweep / 2, elevation: 0, distance, easing: 'linear' }
+        ]
+    },
+    craneDolly: {
+        label: 'Rise and dolly in',
+        create: (sweep, distance) => [
+            { time: 0, azimuth: -sweep / 2, elevation: -10, distance: distance * 1.3, easing: 'easeInOut' },
+            { time: 4, azimuth: 0, elevation: 10, distance: distance * 0.8, easing: 'easeInOut' },
+            { time: 8, azimuth: sweep / 2, elevation: 0, distance, easing: 'linear' }
+        ]
+    }
+};
+
+export function sortKeyframes(keyframes) {
+    return [...keyframes].sort((a, b) => a.time - b.time);
+}
+
+export function getPathDuration(keyframes) {
+    return keyframes.length ? Math.max(...keyframes.map((k) => k.time)) : 0;
+}
+
+// Paths that end where they start loop seamlessly, so exports skip the
+// duplicate final frame
+export function isClosedPath(keyframes) {
+    const sorted = sortKeyframes(keyframes);
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    return sorted.length > 1 &&
+        first.azimuth === last.azimuth &&
+        first.elevation === last.elevation &&
+        first.distance === last.distance;
+}
+
+// The outbound leg of a path that returns to its start, ending at the
+// keyframe farthest from the start (the sweep's turnaround). Other paths
+// come back unchanged.
+export function getOneWayPath(keyframes) {
+    if (!isClosedPath(keyframes)) return keyframes;
+
+    const sorted = sortKeyframes(keyframes);
+    const [start] = sorted;
+    const reach = (k) => Math.hypot(k.azimuth - start.azimuth, k.elevation - start.elevation, k.distance - start.distance);
+    const turnaround = sorted.reduce((far, k) => (reach(k) > reach(far) ? k : far), start);
+    return sorted.filter((k) => k.time <= turnaround.time);
+}
+
+// Camera state at `time` seconds, angles in radians
+export function sampleCameraPath(keyframes, time) {
+    const sorted = sortKeyframes(keyframes);
+    const toState = (k) => ({
+        azimuth: (k.azimuth * Math.PI) / 180,
+        elevation: (k.elevation * Math.PI) / 180,
+        distance: k.distance,
+        target: k.target || [0, 0, 0]
+    });
+
+    if (time <= sorted[0].time) return toState(sorted[0]);
+    const last = sorted[sorted.length - 1];
+    if (time >= last.time) return toState(last);
+
+    let index = 0;
+    while (sorted[index + 1].time < time) index++;
+    const from = sorted[index];
+    const to = sorted[index + 1];
+    const span = to.time - from.time;
+    const easing = (EASINGS[from.easing] || EASINGS.linear).fn;
+    const t = easing(span > 0 ? (time - from.time) / span : 1);
+
+    const a = toState(from);
+    const b = toState(to);
+    const target = a.target.map((value, i) => value + (b.target[i] - value) * t);
+    if (from.target && to.target) {
+        const start = getOrbitPosition(a);
+        const end = getOrbitPosition(b);
+        const [x, y, z] = start.map((value, i) => value + (end[i] - value) * t);
+        const distance = Math.hypot(x, y, z);
+        return {
+            azimuth: Math.atan2(x, z),
+            elevation: Math.asin(distance > 0 ? y / distance : 0),
+            distance,
+            target
+        };
+    }
+    return {
+        azimuth: a.azimuth + (b.azimuth - a.azimuth) * t,
+        elevation: a.elevation + (b.elevation - a.elevation) * t,
+        distance: a.distance + (b.distance - a.distance) * t,
+        target
+    };
+}
+
+function getOrbitPosition({ azimuth, elevation, distance }) {
+    return [
+        Math.sin(azimuth) * Math.cos(elevation) * distance,
+        Math.sin(elevation) * distance,
+        Math.cos(azimuth) * Math.cos(elevation) * distance
+    ];
+}
+
+// Place the camera on its orbit around the billboard centre, looking at
+// the centre or the state's target
+export function applyCameraState(camera, { azimuth, elevation, distance, target = [0, 0, 0] }) {
+    camera.position.set(...getOrbitPosition({ azimuth, elevation, distance }));
+    camera.lookAt(...target);
+}
+
+// Inverse of applyCameraState, for turning the current view into a keyframe
+export function getCameraState(camera) {
+    const { x, y, z } = camera.position;
+    const distance = camera.position.length();
+    return {
+        azimuth: (Math.atan2(x, z) * 180) / Math.PI,
+        elevation: (Math.asin(distance > 0 ? y / distance : 0) * 180) / Math.PI,
+        distance
+    };
+}
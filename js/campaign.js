@@ -0,0 +1,99 @@
+import { analyzeViewerPath, getWalkByDuration } from './walkBy.js';
+
+// Campaign scenes: a run of boards along one street, passed in a single walk
+// or drive so the order of their flips can be judged. Street coordinates are
+// feet: x along the street, y up from the ground and z toward the viewer's
+// path, which runs the walk-by's setback in front of z = 0. Boards stand at
+// the walk-by's elevation; each is placed by `x`, `back` (feet behind z = 0)
+// and `rotation` (degrees about the vertical, positive turning its face
+// toward +x). No three.js or DOM dependencies.
+
+export const MAX_CAMPAIGN_BOARDS = 8;
+
+// A board's place in the scene. Its settings, preset and crops are null while
+// it's the one being edited, which keeps them in the viewer's own state.
+export function createCampaignBoard(index, x) {
+    return {
+        name: `Board ${index + 1}`,
+        x,
+        back: 0,
+        rotation: 0,
+        settings: null,
+        preset: null,
+        imageCrops: null
+    };
+}
+
+// Centre and turn (radians) of a board `height` feet high, its bottom edge
+// `elevation` feet off the ground
+export function getBoardPose(board, height, elevation) {
+    return {
+        x: board.x,
+        y: elevation + height / 2,
+        z: -board.back,
+        rotation: (board.rotation * Math.PI) / 180
+    };
+}
+
+// A street point in a board's own frame: centred on the board, x across its
+// face and z out of it, as the single-board views work
+export function toBoardFrame(pose, point) {
+    const dx = point.x - pose.x;
+    const dz = point.z - pose.z;
+    const cos = Math.cos(pose.rotation);
+    const sin = Math.sin(pose.rotation);
+    return {
+        x: dx * cos - dz * sin,
+        y: point.y - pose.y,
+        z: dx * sin + dz * cos
+    };
+}
+
+// The street walk starts half the walk-by path length before the first
+// board and ends as far past the last, so each board gets at least the
+// single-board pass
+function getWalkEnds(boards, sim) {
+    const xs = boards.map((board) => board.x);
+    return { start: Math.min(...xs) - sim.pathLength / 2, end: Math.max(...xs) + sim.pathLength / 2 };
+}
+
+export function getCampaignWalkDuration(boards, sim) {
+    const { start, end } = getWalkEnds(boards, sim);
+    return getWalkByDuration({ ...sim, pathLength: end - start });
+}
+
+// Viewer eye position in street coordinates at `time` seconds into the walk
+export function getCampaignWalkPosition(boards, sim, time) {
+    const { start, end } = getWalkEnds(boards, sim);
+    const progress = Math.min(1, Math.max(0, time / getCampaignWalkDuration(boards, sim)));
+    const x = sim.direction === 'rightToLeft'
+        ? end - progress * (end - start)
+        : start + progress * (end - start);
+    return { x, y: sim.eyeHeight, z: sim.setback };
+}
+
+// One walk past every board. `specs` are each board's slat geometry as
+// analyzeWalkBy takes it. Returns { duration, boards, flips }: boards are the
+// per-board analyzeViewerPath results, flips every change to a clean read
+// ({ board, face, time }) in the order the viewer sees them.
+export function analyzeCampaignWalk(boards, sim, specs) {
+    const duration = getCampaignWalkDuration(boards, sim);
+    const results = boards.map((board, i) => {
+        const pose = getBoardPose(board, specs[i].height, sim.boardElevation);
+        return analyzeViewerPath(specs[i], duration, (time) =>
+            toBoardFrame(pose, getCampaignWalkPosition(boards, sim, time)));
+    });
+
+    const flips = [];
+    results.forEach((result, board) => {
+        let lastFace = null;
+        result.spans.forEach((span) => {
+            if (span.state === null || span.state < 0 || span.state === lastFace) return;
+            flips.push({ board, face: span.state, time: span.start });
+            lastFace = span.state;
+        });
+    });
+    flips.sort((a, b) => a.time - b.time);
+
+    return { duration, boards: results, flips };
+}
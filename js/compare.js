@@ -0,0 +1,38 @@
+import { formatSlatAngle } from './slatProfile.js';
+
+// Split-view comparison of board variants. The first pane always shows the
+// main board; the others show variants with their own slat and size settings.
+// Every pane renders from the same camera.
+
+export const MAX_PANES = 4;
+
+// Pane rectangles in CSS pixels from the top left: side by side for two or
+// three panes, a 2 x 2 grid for four
+export function getPaneLayout(count, width, height) {
+    const columns = count === 4 ? 2 : count;
+    const rows = Math.ceil(count / columns);
+    const paneWidth = Math.floor(width / columns);
+    const paneHeight = Math.floor(height / rows);
+
+    return Array.from({ length: count }, (_, i) => ({
+        x: (i % columns) * paneWidth,
+        y: Math.floor(i / columns) * paneHeight,
+        width: paneWidth,
+        height: paneHeight
+    }));
+}
+
+// Starting variants: the main board with a few common slat/angle alternatives
+export function createDefaultVariants(settings) {
+    return [
+        { ...settings, slats: 40, angle: 55 },
+        { ...settings, slats: 27, angle: 45 },
+        { ...settings, slats: 60, angle: 50 }
+    ];
+}
+
+// e.g. "40 slats · 55° · 36' × 6'"
+export function formatVariantLabel(settings) {
+    const feet = (value) => +value.toFixed(1);
+    return `${settings.slats} slats · ${formatSlatAngle(settings)} · ${feet(settings.width)}' × ${feet(settings.height)}'`;
+}
@@ -1,104 +1,500 @@
-export class GifExporter {
+import { applyCameraState, getOneWayPath, getPathDuration, isClosedPath, sampleCameraPath } from './cameraPath.js';
+import { applySiteCameraState } from './sitePhoto.js';
+import { createWebM } from './webm.js';
+
+// Trigger a browser download for a generated file
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Exports stop with this error when options.signal (an AbortSignal) fires
+export function createAbortError() {
+    return new DOMException('Export cancelled', 'AbortError');
+}
+
+export function isAbortError(error) {
+    return error instanceof DOMException && error.name === 'AbortError';
+}
+
+// Crop a viewport to match the billboard aspect ratio (the "safe zone")
+export function getSafeZoneCrop(width, height, billboardWidth, billboardHeight) {
+    const billboardAspect = billboardWidth / billboardHeight;
+    const viewportAspect = width / height;
+
+    if (viewportAspect > billboardAspect) {
+        // Viewport is wider than billboard - crop sides
+        const cropWidth = Math.floor(height * billboardAspect);
+        return { cropX: Math.floor((width - cropWidth) / 2), cropY: 0, cropWidth, cropHeight: height };
+    }
+
+    // Viewport is taller than billboard - crop top/bottom
+    const cropHeight = Math.floor(width / billboardAspect);
+    return { cropX: 0, cropY: Math.floor((height - cropHeight) / 2), cropWidth: width, cropHeight };
+}
+
+// Shared capture loop: moves the camera along the same keyframed path as the
+// preview, crops each frame to the safe zone and hands it to the subclass to
+// encode. Subclasses implement export(scene, camera, options, onProgress),
+// where options.path is the list of camera keyframes. With options.site (a
+// solved site photo pose) the path orbits from the photo's viewpoint.
+// options.fullFrame keeps the whole canvas instead of the safe zone (site
+// backdrops, compare panes); options.renderFrame replaces the plain render
+// and options.drawOverlay(ctx, width, height) draws over each output frame.
+// options.seekMedia(time, signal), when given, is awaited before each render
+// so video and GIF faces show the moment that matches the camera, whatever
+// the encoding speed. options.signal cancels between frames and any pending
+// seek; the camera is put back either way.
+export class FrameExporter {
     constructor(renderer) {
         this.renderer = renderer;
     }
 
-    async export(scene, camera, orbitControls, speed, onProgress, billboardWidth, billboardHeight, sweepAngleDegrees, filename, maxWidth = 700) {
-        return new Promise((resolve, reject) => {
-            // Use actual canvas dimensions (accounts for devicePixelRatio)
-            const canvas = this.renderer.domElement;
-            const width = canvas.width;
-            const height = canvas.height;
-
-            // Crop viewport to match billboard aspect ratio
-            const billboardAspect = billboardWidth / billboardHeight;
-            const viewportAspect = width / height;
-
-            let cropWidth, cropHeight, cropX, cropY;
-
-            if (viewportAspect > billboardAspect) {
-                // Viewport is wider than billboard - crop sides
-                cropHeight = height;
-                cropWidth = Math.floor(height * billboardAspect);
-                cropX = Math.floor((width - cropWidth) / 2);
-                cropY = 0;
-            } else {
-                // Viewport is taller than billboard - crop top/bottom
-                cropWidth = width;
-                cropHeight = Math.floor(width / billboardAspect);
-                cropX = 0;
-                cropY = Math.floor((height - cropHeight) / 2);
-            }
+    // Output size for the cropped frames, scaled down to maxWidth
+    getOutputSize(options) {
+        // Use actual canvas dimensions (accounts for devicePixelRatio)
+        const canvas = this.renderer.domElement;
+        const crop = options.fullFrame
+            ? { cropX: 0, cropY: 0, cropWidth: canvas.width, cropHeight: canvas.height }
+            : getSafeZoneCrop(canvas.width, canvas.height, options.billboardWidth, options.billboardHeight);
 
-            // Scale down to max width
-            const scale = Math.min(1, maxWidth / cropWidth);
-            const outputWidth = Math.floor(cropWidth * scale);
-            const outputHeight = Math.floor(cropHeight * scale);
-
-            const gif = new GIF({
-                workers: 2,
-                quality: 5,
-                width: outputWidth,
-                height: outputHeight,
-                workerScript: 'js/gif.worker.js'
-            });
+        const scale = Math.min(1, options.maxWidth / crop.cropWidth);
+        return {
+            ...crop,
+            outputWidth: Math.floor(crop.cropWidth * scale),
+            outputHeight: Math.floor(crop.cropHeight * scale)
+        };
+    }
+
+    async capturePath(scene, camera, options, frameCount, size, onFrame) {
+        const { cropX, cropY, cropWidth, cropHeight, outputWidth, outputHeight } = size;
 
-            // Create a temporary canvas for cropping and scaling
-            const cropCanvas = document.createElement('canvas');
-            cropCanvas.width = outputWidth;
-            cropCanvas.height = outputHeight;
-            const cropCtx = cropCanvas.getContext('2d', { willReadFrequently: true });
+        // Create a temporary canvas for cropping and scaling
+        const cropCanvas = document.createElement('canvas');
+        cropCanvas.width = outputWidth;
+        cropCanvas.height = outputHeight;
+        const cropCtx = cropCanvas.getContext('2d', { willReadFrequently: true });
 
-            const frameCount = 120;
-            const duration = 3000 / (speed / 5);
-            const sweepAngle = Math.PI * (sweepAngleDegrees / 180);
-            const originalAzimuth = orbitControls.getAzimuthalAngle();
-            const distance = camera.position.length();
+        const originalPosition = camera.position.clone();
+        const originalQuaternion = camera.quaternion.clone();
+        const duration = getPathDuration(options.path);
+        const steps = isClosedPath(options.path) ? frameCount : frameCount - 1;
 
-            // Capture frames - start left, sweep to right, return to left
+        try {
             for (let i = 0; i < frameCount; i++) {
-                const progress = i / frameCount;
-                const angle = -Math.cos(progress * Math.PI * 2) * (sweepAngle / 2);
+                if (options.signal && options.signal.aborted) {
+                    throw createAbortError();
+                }
 
-                // Set camera position on orbit (matches preview animation exactly)
-                camera.position.x = Math.sin(angle) * distance;
-                camera.position.z = Math.cos(angle) * distance;
-                camera.lookAt(0, 0, 0);
+                // Set camera position on the path (matches preview animation exactly)
+                const time = (i / steps) * duration;
+                const state = sampleCameraPath(options.path, time);
+                if (options.site) {
+                    applySiteCameraState(camera, options.site, state);
+                } else {
+                    applyCameraState(camera, state);
+                }
 
-                this.renderer.render(scene, camera);
+                if (options.seekMedia) {
+                    await options.seekMedia(time, options.signal);
+                }
+
+                if (options.renderFrame) {
+                    options.renderFrame();
+                } else {
+                    this.renderer.render(scene, camera);
+                }
 
                 // Crop and scale the frame
-                const canvas = this.renderer.domElement;
-                cropCtx.drawImage(canvas, cropX, cropY, cropWidth, cropHeight, 0, 0, outputWidth, outputHeight);
-                gif.addFrame(cropCanvas, { copy: true, delay: duration / frameCount });
+                cropCtx.drawImage(this.renderer.domElement, cropX, cropY, cropWidth, cropHeight, 0, 0, outputWidth, outputHeight);
+                if (options.drawOverlay) {
+                    options.drawOverlay(cropCtx, outputWidth, outputHeight);
+                }
+                await onFrame(cropCanvas, i);
+            }
+        } finally {
+            // Reset camera to original position
+            camera.position.copy(originalPosition);
+            camera.quaternion.copy(originalQuaternion);
+        }
+    }
+}
+
+export const GIF_DITHERS = {
+    none: { label: 'None' },
+    FloydSteinberg: { label: 'Floyd–Steinberg' },
+    FalseFloydSteinberg: { label: 'False Floyd–Steinberg (faster)' },
+    Stucki: { label: 'Stucki' },
+    Atkinson: { label: 'Atkinson' }
+};
+
+export const GIF_DIRECTIONS = {
+    pingPong: { label: 'Ping-pong (there and back)' },
+    oneWay: { label: 'One way (jumps back to loop)' }
+};
+
+// quality is gif.js's colour sampling step: 1 is best, 30 fastest. plays is
+// how many times the GIF runs, 0 for forever.
+export const DEFAULT_GIF_SETTINGS = {
+    fps: 20,
+    quality: 5,
+    dither: 'none',
+    globalPalette: false,
+    plays: 0,
+    direction: 'pingPong'
+};
+
+// Frames sampled to estimate a GIF's size
+const ESTIMATE_SAMPLES = 3;
+
+// Size search: the lowest frame rate and width it will go to
+const MIN_FIT_FPS = 10;
+const MIN_FIT_WIDTH = 200;
+const MAX_FIT_ATTEMPTS = 6;
+
+// Which frames a GIF holds. One-way exports of a path that returns to its
+// start only take the outbound leg; ping-pong exports of a path that doesn't
+// return play the captured frames back in reverse, rather than capturing
+// them twice.
+export function getGifFramePlan(path, { fps, direction }) {
+    const leg = direction === 'oneWay' ? getOneWayPath(path) : path;
+    const closed = isClosedPath(leg);
+    const captured = Math.max(2, Math.round(getPathDuration(leg) * fps) + (closed ? 0 : 1));
+    const mirrored = direction === 'pingPong' && !closed;
+    return {
+        path: leg,
+        captured,
+        mirrored,
+        total: mirrored ? captured * 2 - 2 : captured,
+        delay: 1000 / fps
+    };
+}
+
+export class GifExporter extends FrameExporter {
+    static label = 'GIF';
+    static extension = 'gif';
+
+    static isSupported() {
+        return typeof GIF !== 'undefined';
+    }
+
+    // options.gif holds the encoding settings (see DEFAULT_GIF_SETTINGS)
+    async export(scene, camera, options, onProgress) {
+        const settings = { ...DEFAULT_GIF_SETTINGS, ...options.gif };
+        const plan = getGifFramePlan(options.path, settings);
+        const blob = await this.encode(scene, camera, { ...options, path: plan.path }, settings, plan, onProgress);
+        downloadBlob(blob, `${options.filename}.gif`);
+    }
+
+    // Encodes a few frames from along the path and scales up to the full
+    // frame count. Resolves to { bytes, frames, width, height }.
+    async estimateSize(scene, camera, options) {
+        const settings = { ...DEFAULT_GIF_SETTINGS, ...options.gif };
+        const plan = getGifFramePlan(options.path, settings);
+        const samples = Math.min(ESTIMATE_SAMPLES, plan.captured);
+        const sample = { ...plan, captured: samples, mirrored: false };
+        const blob = await this.encode(scene, camera, { ...options, path: plan.path }, settings, sample);
+
+        // The first frame carries the header (and global palette); the rest
+        // scale with the frame count
+        const frameBytes = blob.size / samples;
+        const { outputWidth, outputHeight } = this.getOutputSize(options);
+        return { bytes: Math.round(frameBytes * plan.total), frames: plan.total, width: outputWidth, height: outputHeight };
+    }
+
+    // Searches for settings that bring the GIF under targetBytes: dithering
+    // off first (it defeats the compression), then fewer frames, then a
+    // smaller width. Resolves to { gif, maxWidth, estimate, fits }.
+    async findSettingsForSize(scene, camera, options, targetBytes, onProgress) {
+        const settings = { ...DEFAULT_GIF_SETTINGS, ...options.gif };
+        let maxWidth = this.getOutputSize(options).outputWidth;
+        let estimate = await this.estimateSize(scene, camera, { ...options, gif: settings, maxWidth });
+
+        for (let attempt = 0; attempt < MAX_FIT_ATTEMPTS && estimate.bytes > targetBytes; attempt++) {
+            if (onProgress) {
+                onProgress((attempt + 1) / MAX_FIT_ATTEMPTS);
+            }
+            // Aim a little under, as the estimate is a sample
+            const ratio = (targetBytes / estimate.bytes) * 0.95;
+            if (settings.dither !== 'none') {
+                settings.dither = 'none';
+            } else if (settings.fps > MIN_FIT_FPS) {
+                settings.fps = Math.max(MIN_FIT_FPS, Math.floor(settings.fps * ratio));
+            } else if (maxWidth > MIN_FIT_WIDTH) {
+                // Size goes with pixel count, so the width with its square root
+                maxWidth = Math.max(MIN_FIT_WIDTH, Math.floor((maxWidth * Math.sqrt(ratio)) / 10) * 10);
+            } else {
+                break;
+            }
+            estimate = await this.estimateSize(scene, camera, { ...options, gif: settings, maxWidth });
+        }
+
+        return { gif: settings, maxWidth, estimate, fits: estimate.bytes <= targetBytes };
+    }
+
+    async encode(scene, camera, options, settings, plan, onProgress) {
+        const size = this.getOutputSize(options);
+        const gif = new GIF({
+            workers: Math.min(4, Math.max(1, (navigator.hardwareConcurrency || 2) - 1)),
+            quality: settings.quality,
+            dither: settings.dither === 'none' ? false : settings.dither,
+            globalPalette: settings.globalPalette,
+            // gif.js counts repeats after the first play; -1 plays once
+            repeat: settings.plays === 0 ? 0 : settings.plays === 1 ? -1 : settings.plays - 1,
+            width: size.outputWidth,
+            height: size.outputHeight,
+            workerScript: 'js/gif.worker.js'
+        });
 
+        try {
+            // Capture frames along the camera path, keeping them for the
+            // return leg when the GIF plays them back in reverse
+            const frames = [];
+            await this.capturePath(scene, camera, options, plan.captured, size, (frame, i) => {
+                const image = frame.getContext('2d').getImageData(0, 0, size.outputWidth, size.outputHeight);
+                gif.addFrame(image, { delay: plan.delay });
+                if (plan.mirrored) frames.push(image);
                 if (onProgress) {
-                    onProgress((i + 1) / frameCount * 0.5); // First 50% is frame capture
+                    onProgress((i + 1) / plan.captured * 0.5); // First 50% is frame capture
                 }
+            });
+            for (let i = frames.length - 2; i > 0; i--) {
+                gif.addFrame(frames[i], { delay: plan.delay });
             }
 
-            // Reset camera to original position
-            camera.position.x = Math.sin(originalAzimuth) * distance;
-            camera.position.z = Math.cos(originalAzimuth) * distance;
-            camera.lookAt(0, 0, 0);
+            return await new Promise((resolve, reject) => {
+                const onAbort = () => reject(createAbortError());
+                if (options.signal && options.signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                if (options.signal) {
+                    options.signal.addEventListener('abort', onAbort, { once: true });
+                }
+
+                gif.on('progress', (p) => {
+                    if (onProgress) {
+                        onProgress(0.5 + p * 0.5); // Last 50% is encoding
+                    }
+                });
+
+                gif.on('finished', (blob) => {
+                    if (options.signal) {
+                        options.signal.removeEventListener('abort', onAbort);
+                    }
+                    resolve(blob);
+                });
+
+                gif.render();
+            });
+        } finally {
+            // gif.js keeps its workers for another render; each export makes
+            // a fresh encoder, so stop them all (abort covers busy ones)
+            gif.abort();
+            gif.freeWorkers.forEach((worker) => worker.terminate());
+            gif.freeWorkers = [];
+        }
+    }
+}
+
+// Records the camera path as video. Where WebCodecs can encode the format,
+// each frame is stamped with its own time on the path, so the video matches
+// the path exactly however long frames take to render. Otherwise
+// MediaRecorder stamps frames as they arrive: frames are pushed at the target
+// fps, so export runs in real time, and frames that render slower than that
+// are held longer (and reported) rather than bunching up the ones after.
+// export() resolves to { warning } when the result isn't frame-accurate.
+export class VideoExporter extends FrameExporter {
+    static mimeTypes = [];
+    // [{ codec (WebCodecs), codecId (in the file) }], for formats we can write
+    static encoderCodecs = [];
+
+    static isSupported() {
+        return (typeof VideoEncoder !== 'undefined' && this.encoderCodecs.length > 0) ||
+            (typeof MediaRecorder !== 'undefined' && this.mimeTypes.some((type) => MediaRecorder.isTypeSupported(type)));
+    }
+
+    static getMimeType() {
+        return this.mimeTypes.find((type) => MediaRecorder.isTypeSupported(type));
+    }
+
+    // The first codec the browser's encoder takes at this size, or null
+    static async findEncoderConfig(config) {
+        if (typeof VideoEncoder === 'undefined') return null;
+        for (const { codec, codecId } of this.encoderCodecs) {
+            const { supported } = await VideoEncoder.isConfigSupported({ ...config, codec });
+            if (supported) return { config: { ...config, codec }, codecId };
+        }
+        return null;
+    }
+
+    async export(scene, camera, options, onProgress) {
+        const size = this.getOutputSize(options);
+
+        // Most encoders need even dimensions
+        size.outputWidth -= size.outputWidth % 2;
+        size.outputHeight -= size.outputHeight % 2;
+
+        const fps = options.fps || 30;
+        const frameCount = Math.max(2, Math.round(getPathDuration(options.path) * fps));
+        const encoding = await this.constructor.findEncoderConfig({
+            width: size.outputWidth,
+            height: size.outputHeight,
+            bitrate: (options.bitrate || 8) * 1e6,
+            framerate: fps
+        });
+
+        if (encoding) {
+            await this.encode(scene, camera, options, { ...size, fps, frameCount, encoding }, onProgress);
+            return {};
+        }
+        return this.record(scene, camera, options, { ...size, fps, frameCount }, onProgress);
+    }
+
+    async encode(scene, camera, options, { fps, frameCount, encoding, ...size }, onProgress) {
+        const frames = [];
+        let failure = null;
+        const encoder = new VideoEncoder({
+            output: (chunk) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                frames.push({ data, time: Math.round(chunk.timestamp / 1000), key: chunk.type === 'key' });
+            },
+            error: (e) => {
+                failure = e;
+            }
+        });
+        encoder.configure(encoding.config);
+
+        try {
+            await this.capturePath(scene, camera, options, frameCount, size, async (frame, i) => {
+                if (failure) throw failure;
+                const videoFrame = new VideoFrame(frame, {
+                    timestamp: Math.round((i * 1e6) / fps),
+                    duration: Math.round(1e6 / fps)
+                });
+                // A keyframe every two seconds keeps the video seekable
+                encoder.encode(videoFrame, { keyFrame: i % (fps * 2) === 0 });
+                videoFrame.close();
 
-            gif.on('progress', (p) => {
                 if (onProgress) {
-                    onProgress(0.5 + p * 0.5); // Last 50% is encoding
+                    onProgress((i + 1) / frameCount);
                 }
-            });
 
-            gif.on('finished', (blob) => {
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `${filename}.gif`;
-                a.click();
-                URL.revokeObjectURL(url);
-                resolve();
+                // Let the encoder keep up rather than queueing every frame
+                while (encoder.encodeQueueSize > 2 && !failure) {
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                }
             });
+            await encoder.flush();
+        } finally {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+        if (failure) throw failure;
 
-            gif.render();
+        const blob = createWebM({
+            codecId: encoding.codecId,
+            width: size.outputWidth,
+            height: size.outputHeight,
+            fps,
+            duration: (frameCount * 1000) / fps,
+            frames
         });
+        downloadBlob(blob, `${options.filename}.${this.constructor.extension}`);
     }
+
+    async record(scene, camera, options, { fps, frameCount, ...size }, onProgress) {
+        const frameInterval = 1000 / fps;
+        const mimeType = this.constructor.getMimeType();
+        if (!mimeType) {
+            throw new Error(`This browser can't record ${this.constructor.label}`);
+        }
+
+        // Record from a canvas that only updates when a frame is ready
+        const recordCanvas = document.createElement('canvas');
+        recordCanvas.width = size.outputWidth;
+        recordCanvas.height = size.outputHeight;
+        const recordCtx = recordCanvas.getContext('2d');
+        const stream = recordCanvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+
+        const recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: (options.bitrate || 8) * 1e6
+        });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size) chunks.push(e.data);
+        };
+        const stopped = new Promise((resolve, reject) => {
+            recorder.onstop = resolve;
+            recorder.onerror = (e) => reject(e.error);
+        });
+
+        recorder.start();
+        let nextFrameTime = performance.now();
+        let lateFrames = 0;
+
+        try {
+            await this.capturePath(scene, camera, options, frameCount, size, async (frame, i) => {
+                // A frame that took too long has already held the last one
+                // past its time. Start its own hold from now, so the frames
+                // after it don't go out back to back to catch up.
+                const now = performance.now();
+                if (i > 0 && now > nextFrameTime + frameInterval / 2) {
+                    lateFrames++;
+                    nextFrameTime = now;
+                }
+
+                recordCtx.drawImage(frame, 0, 0);
+                track.requestFrame();
+
+                if (onProgress) {
+                    onProgress((i + 1) / frameCount);
+                }
+
+                // Hold each frame for its share of the path
+                nextFrameTime += frameInterval;
+                await new Promise((resolve) => setTimeout(resolve, Math.max(0, nextFrameTime - performance.now())));
+            });
+        } finally {
+            recorder.stop();
+            track.stop();
+        }
+        await stopped;
+
+        const blob = new Blob(chunks, { type: mimeType.split(';')[0] });
+        downloadBlob(blob, `${options.filename}.${this.constructor.extension}`);
+
+        return lateFrames > 0
+            ? { warning: `${lateFrames} of ${frameCount} frames took longer than 1/${fps}s to render and were held late, so the video runs slower there than the path` }
+            : {};
+    }
+}
+
+export class WebMExporter extends VideoExporter {
+    static label = 'WebM video';
+    static extension = 'webm';
+    static mimeTypes = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    static encoderCodecs = [
+        { codec: 'vp09.00.10.08', codecId: 'V_VP9' },
+        { codec: 'vp8', codecId: 'V_VP8' }
+    ];
 }
+
+export class Mp4Exporter extends VideoExporter {
+    static label = 'MP4 video';
+    static extension = 'mp4';
+    static mimeTypes = ['video/mp4;codecs=avc1.640028', 'video/mp4;codecs=avc1', 'video/mp4'];
+}
+
+// Export formats offered next to the Export button, in menu order
+export const EXPORT_FORMATS = {
+    gif: GifExporter,
+    webm: WebMExporter,
+    mp4: Mp4Exporter
+};
@@ -0,0 +1,277 @@
+// Minimal animated GIF decoding. Browsers only ever show their own playback
+// of a GIF, so to step one to an exact time we decode the frames ourselves.
+// A full picture per frame would run to gigabytes for long GIFs, so each
+// frame keeps just the area that changed since the one before, composited
+// and ready to put on a canvas. Putting the frames up in order from the first
+// (which is the whole picture) builds up any frame.
+
+// Browsers treat tiny delays (0 or 0.01s) as 0.1s, and so do we
+const MIN_DELAY = 0.02;
+const DEFAULT_DELAY = 0.1;
+
+// Returns { width, height, frames: [{ imageData, left, top, delay }] } with
+// delays in seconds. imageData is null for frames that change nothing.
+export function decodeGif(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let pos = 0;
+
+    const readByte = () => {
+        if (pos >= bytes.length) throw new Error('GIF file is truncated');
+        return bytes[pos++];
+    };
+    const readUint16 = () => readByte() | (readByte() << 8);
+    const readColorTable = (size) => {
+        const table = bytes.subarray(pos, pos + size * 3);
+        pos += size * 3;
+        return table;
+    };
+    // Data sub-blocks: length-prefixed runs ending with a zero length. A
+    // truncated file just ends the data early, as browsers allow.
+    const readSubBlocks = () => {
+        const chunks = [];
+        let total = 0;
+        while (pos < bytes.length) {
+            const size = bytes[pos++];
+            if (size === 0) break;
+            const chunk = bytes.subarray(pos, pos + size);
+            chunks.push(chunk);
+            total += chunk.length;
+            pos += size;
+        }
+        const data = new Uint8Array(total);
+        let offset = 0;
+        chunks.forEach((chunk) => {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return data;
+    };
+
+    const signature = String.fromCharCode(...bytes.subarray(0, 6));
+    if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+        throw new Error('Not a GIF file');
+    }
+    pos = 6;
+
+    const width = readUint16();
+    const height = readUint16();
+    const screenFlags = readByte();
+    pos += 2; // background colour index, pixel aspect ratio
+    const globalTable = screenFlags & 0x80 ? readColorTable(2 << (screenFlags & 7)) : null;
+
+    // The picture built up frame by frame, starting transparent
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+    let control = { delay: 0, transparentIndex: -1, disposal: 0 };
+    // What the last frame's disposal cleared or restored, which also changes
+    // in the next frame
+    let disposed = null;
+
+    while (pos < bytes.length) {
+        const block = readByte();
+
+        if (block === 0x3b) break; // trailer
+
+        if (block === 0x21) {
+            const label = readByte();
+            if (label === 0xf9) {
+                // Graphic control extension: timing and transparency for the next image
+                const data = readSubBlocks();
+                control = {
+                    disposal: (data[0] >> 2) & 7,
+                    delay: (data[1] | (data[2] << 8)) / 100,
+                    transparentIndex: data[0] & 1 ? data[3] : -1
+                };
+            } else {
+                readSubBlocks();
+            }
+            continue;
+        }
+
+        if (block !== 0x2c) {
+            throw new Error('GIF file is corrupt');
+        }
+
+        const left = readUint16();
+        const top = readUint16();
+        const frameWidth = readUint16();
+        const frameHeight = readUint16();
+        const imageFlags = readByte();
+        const table = imageFlags & 0x80 ? readColorTable(2 << (imageFlags & 7)) : globalTable;
+        const minCodeSize = readByte();
+        const indices = decodeLzw(minCodeSize, readSubBlocks(), frameWidth * frameHeight);
+        if (!table) {
+            throw new Error('GIF frame has no colour table');
+        }
+
+        // "Restore to previous" needs the picture as it was before this frame
+        const previous = control.disposal === 3 ? pixels.slice() : null;
+        const rows = imageFlags & 0x40 ? getInterlacedRows(frameHeight) : null;
+
+        for (let row = 0; row < frameHeight; row++) {
+            const y = top + (rows ? rows[row] : row);
+            if (y >= height) continue;
+            for (let column = 0; column < frameWidth; column++) {
+                const x = left + column;
+                const index = indices[row * frameWidth + column];
+                if (x >= width || index === control.transparentIndex) continue;
+                const out = (y * width + x) * 4;
+                pixels[out] = table[index * 3];
+                pixels[out + 1] = table[index * 3 + 1];
+                pixels[out + 2] = table[index * 3 + 2];
+                pixels[out + 3] = 255;
+            }
+        }
+
+        const area = {
+            left: Math.min(left, width),
+            top: Math.min(top, height),
+            right: Math.min(width, left + frameWidth),
+            bottom: Math.min(height, top + frameHeight)
+        };
+        frames.push({
+            ...getPatch(pixels, width, frames.length === 0
+                ? { left: 0, top: 0, right: width, bottom: height }
+                : joinAreas(area, disposed)),
+            delay: control.delay >= MIN_DELAY ? control.delay : DEFAULT_DELAY
+        });
+        disposed = control.disposal === 2 || previous ? area : null;
+
+        // Disposal applies before the next frame is drawn
+        if (control.disposal === 2) {
+            for (let y = top; y < Math.min(height, top + frameHeight); y++) {
+                const start = (y * width + left) * 4;
+                pixels.fill(0, start, start + Math.min(frameWidth, width - left) * 4);
+            }
+        } else if (previous) {
+            pixels.set(previous);
+        }
+        control = { delay: 0, transparentIndex: -1, disposal: 0 };
+    }
+
+    if (frames.length === 0) {
+        throw new Error('GIF file has no frames');
+    }
+    return { width, height, frames };
+}
+
+function isEmptyArea(area) {
+    return !area || area.right <= area.left || area.bottom <= area.top;
+}
+
+// The smallest area covering both (either may be empty or null)
+function joinAreas(a, b) {
+    if (isEmptyArea(a)) return b;
+    if (isEmptyArea(b)) return a;
+    return {
+        left: Math.min(a.left, b.left),
+        top: Math.min(a.top, b.top),
+        right: Math.max(a.right, b.right),
+        bottom: Math.max(a.bottom, b.bottom)
+    };
+}
+
+// A copy of `area` of the picture, to put back at { left, top }
+function getPatch(pixels, width, area) {
+    if (isEmptyArea(area)) return { imageData: null, left: 0, top: 0 };
+
+    const patchWidth = area.right - area.left;
+    const patchHeight = area.bottom - area.top;
+    const data = new Uint8ClampedArray(patchWidth * patchHeight * 4);
+    for (let y = 0; y < patchHeight; y++) {
+        const start = ((area.top + y) * width + area.left) * 4;
+        data.set(pixels.subarray(start, start + patchWidth * 4), y * patchWidth * 4);
+    }
+    return { imageData: new ImageData(data, patchWidth, patchHeight), left: area.left, top: area.top };
+}
+
+// Interlaced images store rows in four passes: every 8th row from 0, every
+// 8th from 4, every 4th from 2, then every 2nd from 1
+function getInterlacedRows(height) {
+    const rows = [];
+    for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+        for (let y = start; y < height; y += step) {
+            rows.push(y);
+        }
+    }
+    return rows;
+}
+
+// Variable-width LZW, as GIF uses it. Codes are built as (prefix code,
+// suffix byte) pairs and unwound through a stack.
+function decodeLzw(minCodeSize, data, pixelCount) {
+    const output = new Uint8Array(pixelCount);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const prefix = new Uint16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const stack = new Uint8Array(4097);
+    for (let i = 0; i < clearCode; i++) {
+        suffix[i] = i;
+    }
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let previous = -1;
+    let first = 0;
+    let bits = 0;
+    let datum = 0;
+    let bytePos = 0;
+    let out = 0;
+
+    while (out < pixelCount) {
+        while (bits < codeSize) {
+            // Short data just leaves the rest of the frame at index 0
+            if (bytePos >= data.length) return output;
+            datum |= data[bytePos++] << bits;
+            bits += 8;
+        }
+        const code = datum & ((1 << codeSize) - 1);
+        datum >>= codeSize;
+        bits -= codeSize;
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+            previous = -1;
+            continue;
+        }
+        if (code === endCode) break;
+
+        if (previous === -1) {
+            first = suffix[code];
+            output[out++] = first;
+            previous = code;
+            continue;
+        }
+
+        // A code not yet in the table is the previous string plus its own first byte
+        let top = 0;
+        let current = code;
+        if (code >= nextCode) {
+            stack[top++] = first;
+            current = previous;
+        }
+        while (current > endCode) {
+            stack[top++] = suffix[current];
+            current = prefix[current];
+        }
+        first = suffix[current];
+        stack[top++] = first;
+
+        if (nextCode < 4096) {
+            prefix[nextCode] = previous;
+            suffix[nextCode] = first;
+            nextCode++;
+            if (nextCode === 1 << codeSize && codeSize < 12) {
+                codeSize++;
+            }
+        }
+        previous = code;
+
+        while (top > 0 && out < pixelCount) {
+            output[out++] = stack[--top];
+        }
+    }
+    return output;
+}
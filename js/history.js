@@ -0,0 +1,177 @@
+// Undo/redo for viewer edits. Each entry is a whole snapshot of the editable
+// state, so any entry can be restored directly and the history panel can
+// jump straight to it. Snapshots are { state, images, boardImages }: state is
+// the plain JSON settings, images the per-face { file, source } and
+// boardImages the same per campaign board (files compared by identity).
+
+const MAX_ENTRIES = 100;
+
+// Edits to the same fields this close together are one step, so a slider
+// drag or typing a number undoes in one go
+const MERGE_WINDOW = 1000; // ms
+
+// Top-level state keys as they read in the history panel
+const GROUP_LABELS = {
+    settings: 'Board',
+    construction: 'Construction',
+    surface: 'Base surface',
+    imageCrops: 'Crop',
+    animationSpeed: 'Animation speed',
+    sweepAngle: 'Sweep angle',
+    cameraPath: 'Camera path',
+    cameraBookmarks: 'Camera bookmarks',
+    lighting: 'Lighting',
+    analysis: 'Analysis',
+    proof: 'Artwork proof',
+    softProof: 'Soft proof',
+    compare: 'Compare',
+    walkBy: 'Walk-by',
+    campaign: 'Campaign',
+    exportSettings: 'Export',
+    gifSettings: 'GIF',
+    printSettings: 'Print',
+    modelSettings: 'Model',
+    currentPreset: 'Preset',
+    images: 'Image',
+    boardImages: 'Campaign image'
+};
+
+export class EditHistory {
+    constructor() {
+        this.entries = [];
+        this.index = -1;
+    }
+
+    get canUndo() {
+        return this.index > 0;
+    }
+
+    get canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    // Start over with a single entry
+    reset(snapshot, label) {
+        this.entries = [createEntry(snapshot, label, [], 0)];
+        this.index = 0;
+    }
+
+    // Adds a step for `snapshot` unless nothing changed, dropping any undone
+    // steps. Unlabelled edits are described from the fields they change and
+    // merge into the previous step as above. Returns whether anything changed.
+    record(snapshot, label = null, now = Date.now()) {
+        const entry = createEntry(snapshot, label, [], now);
+        const fields = getChangedFields(this.entries[this.index], entry);
+        if (fields.length === 0) return false;
+
+        this.entries.length = this.index + 1;
+        const last = this.entries[this.index];
+        if (!label && !last.explicit && this.index > 0 && now - last.time < MERGE_WINDOW) {
+            const base = this.entries[this.index - 1];
+            const merged = getChangedFields(base, entry);
+            if (merged.join() === last.fields.join()) {
+                this.entries[this.index] = createEntry(snapshot, describeFields(merged, base, entry), merged, now);
+                return true;
+            }
+        }
+
+        this.entries.push(createEntry(snapshot, label || describeFields(fields, last, entry), fields, now, Boolean(label)));
+        if (this.entries.length > MAX_ENTRIES) {
+            this.entries.shift();
+        }
+        this.index = this.entries.length - 1;
+        return true;
+    }
+
+    // Each returns the snapshot to restore, or null when there's nowhere to go
+    undo() {
+        return this.canUndo ? this.jumpTo(this.index - 1) : null;
+    }
+
+    redo() {
+        return this.canRedo ? this.jumpTo(this.index + 1) : null;
+    }
+
+    jumpTo(index) {
+        if (index < 0 || index >= this.entries.length) return null;
+        this.index = index;
+        return this.entries[index].snapshot;
+    }
+}
+
+function createEntry(snapshot, label, fields, time, explicit = false) {
+    const images = {};
+    Object.entries(snapshot.images).forEach(([key, image]) => {
+        images[`images.${key}`] = image.file;
+    });
+    const boardImages = snapshot.boardImages || [];
+    boardImages.forEach((faces, board) => {
+        (faces || []).forEach((image, face) => {
+            images[`boardImages.${board}.${face}`] = image && image.file;
+        });
+    });
+    return {
+        snapshot: { state: JSON.parse(JSON.stringify(snapshot.state)), images: snapshot.images, boardImages },
+        values: { ...flatten(snapshot.state), ...images },
+        label,
+        fields,
+        time,
+        explicit
+    };
+}
+
+// { a: { b: [1, 2] } } -> { 'a.b.0': 1, 'a.b.1': 2 }
+function flatten(value, path = '', out = {}) {
+    if (value !== null && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => flatten(item, path ? `${path}.${key}` : key, out));
+    } else {
+        out[path] = value;
+    }
+    return out;
+}
+
+function getChangedFields(before, after) {
+    const keys = new Set([...Object.keys(before.values), ...Object.keys(after.values)]);
+    return [...keys].filter((key) => before.values[key] !== after.values[key]).sort();
+}
+
+// "Slats: 40 → 60" for one field, otherwise the groups touched
+function describeFields(fields, before, after) {
+    const groups = [...new Set(fields.map((field) => field.split('.')[0]))];
+
+    if (fields.length === 1) {
+        const [field] = fields;
+        const name = describeField(field);
+        const from = before.values[field];
+        const to = after.values[field];
+        return isShown(from) && isShown(to) ? `${name}: ${formatValue(from)} → ${formatValue(to)}` : name;
+    }
+
+    return capitalize(groups.map((group) => GROUP_LABELS[group] ?? humanize(group)).join(', '));
+}
+
+// 'construction.peakFlat' -> 'Construction peak flat'; board settings go
+// without the group, e.g. 'settings.slats' -> 'Slats'
+function describeField(field) {
+    const [group, ...rest] = field.split('.');
+    const words = group === 'settings' ? rest : [GROUP_LABELS[group] ?? humanize(group), ...rest];
+    return capitalize(words.map(humanize).join(' '));
+}
+
+function humanize(key) {
+    return key.replace(/([a-z])([A-Z])/g, (match, last, next) => `${last} ${next.toLowerCase()}`);
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function isShown(value) {
+    return ['number', 'string', 'boolean'].includes(typeof value) && String(value).length <= 24;
+}
+
+function formatValue(value) {
+    if (typeof value === 'number') return String(+value.toFixed(3));
+    if (typeof value === 'boolean') return value ? 'on' : 'off';
+    return value;
+}
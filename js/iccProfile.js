@@ -0,0 +1,278 @@
+import { D50, labToXyz, xyzToLab } from './softProof.js';
+
+// Minimal ICC profile reading, enough to soft-proof through a CMYK output
+// profile: its colour tables both ways (lut8, lut16 and the v4 lutAtoB and
+// lutBtoA types), media white point and description. The result works like
+// the bundled print conditions in softProof.js.
+
+// Relative colorimetric where the profile has it, else perceptual
+const TO_PCS_TAGS = ['A2B1', 'A2B0'];
+const FROM_PCS_TAGS = ['B2A1', 'B2A0'];
+
+// Parameters each parametric curve type takes
+const PARAMETRIC_COUNTS = [1, 3, 4, 5, 7];
+
+// Returns { description, whitePoint, separate(xyz) -> cmyk,
+// print(cmyk) -> xyz } with XYZ relative to the media white, as D50
+export function parseIccProfile(buffer) {
+    try {
+        return readProfile(new DataView(buffer));
+    } catch (e) {
+        if (e instanceof RangeError) throw new Error('ICC profile is truncated');
+        throw e;
+    }
+}
+
+function readProfile(view) {
+    if (view.byteLength < 132 || readSignature(view, 36) !== 'acsp') {
+        throw new Error('Not an ICC profile');
+    }
+    const colorSpace = readSignature(view, 16).trim();
+    const pcs = readSignature(view, 20).trim();
+    if (colorSpace !== 'CMYK') {
+        throw new Error(`Only CMYK print profiles can be used for proofing (this one is ${colorSpace})`);
+    }
+    if (pcs !== 'Lab' && pcs !== 'XYZ') {
+        throw new Error(`ICC profile has an unknown connection space (${pcs})`);
+    }
+
+    const tags = new Map();
+    const count = view.getUint32(128);
+    for (let i = 0; i < count; i++) {
+        const at = 132 + i * 12;
+        tags.set(readSignature(view, at), view.getUint32(at + 4));
+    }
+    const findTag = (names) => names.map((name) => tags.get(name)).find((offset) => offset !== undefined);
+
+    const toPcsAt = findTag(TO_PCS_TAGS);
+    const fromPcsAt = findTag(FROM_PCS_TAGS);
+    if (toPcsAt === undefined || fromPcsAt === undefined) {
+        throw new Error('ICC profile has no colour tables both ways, so can\'t be used for proofing');
+    }
+    const toPcs = readLut(view, toPcsAt, false);
+    const fromPcs = readLut(view, fromPcsAt, pcs === 'XYZ');
+    if (toPcs.inputs !== 4 || toPcs.outputs !== 3 || fromPcs.inputs !== 3 || fromPcs.outputs !== 4) {
+        throw new Error('ICC profile\'s colour tables don\'t convert between CMYK and its connection space');
+    }
+
+    const whiteAt = tags.get('wtpt');
+    const descriptionAt = tags.get('desc');
+    return {
+        description: descriptionAt === undefined ? '' : readText(view, descriptionAt),
+        whitePoint: whiteAt === undefined ? D50 : [0, 1, 2].map((i) => readFixed(view, whiteAt + 8 + i * 4)),
+        separate: (xyz) => fromPcs.evaluate(encodePcs(xyz, pcs, fromPcs.legacy)),
+        print: (cmyk) => decodePcs(toPcs.evaluate(cmyk), pcs, toPcs.legacy)
+    };
+}
+
+function readSignature(view, at) {
+    return String.fromCharCode(...[0, 1, 2, 3].map((i) => view.getUint8(at + i)));
+}
+
+// s15Fixed16Number
+function readFixed(view, at) {
+    return view.getInt32(at) / 65536;
+}
+
+// Tables work in 0-1. Lab is coded as lut16 tables code it (ICC v2) or as
+// lut8 and the v4 types do; XYZ the same way in all of them.
+function encodePcs(xyz, pcs, legacy) {
+    if (pcs === 'XYZ') return xyz.map((value) => (value * 32768) / 65535);
+    const scale = legacy ? 65280 / 65535 : 1;
+    const [l, a, b] = xyzToLab(xyz);
+    return [(l / 100) * scale, ((a + 128) / 255) * scale, ((b + 128) / 255) * scale];
+}
+
+function decodePcs(values, pcs, legacy) {
+    if (pcs === 'XYZ') return values.map((value) => (value * 65535) / 32768);
+    const scale = legacy ? 65535 / 65280 : 1;
+    return labToXyz([values[0] * 100 * scale, values[1] * 255 * scale - 128, values[2] * 255 * scale - 128]);
+}
+
+// { inputs, outputs, legacy, evaluate(values) -> values }, all 0-1.
+// `xyzInput` applies lut8/lut16 matrices, which only act on XYZ.
+function readLut(view, at, xyzInput) {
+    const type = readSignature(view, at);
+    if (type === 'mft1' || type === 'mft2') return readLegacyLut(view, at, type === 'mft2', xyzInput);
+    if (type === 'mAB ' || type === 'mBA ') return readModularLut(view, at, type === 'mAB ');
+    throw new Error(`ICC profile uses a colour table type this viewer can't read (${type.trim()})`);
+}
+
+// lut8Type and lut16Type: matrix, input curves, grid, output curves
+function readLegacyLut(view, at, wide, xyzInput) {
+    const inputs = view.getUint8(at + 8);
+    const outputs = view.getUint8(at + 9);
+    const points = view.getUint8(at + 10);
+    const matrix = Array.from({ length: 9 }, (_, i) => readFixed(view, at + 12 + i * 4));
+
+    let pos = wide ? at + 52 : at + 48;
+    const inputEntries = wide ? view.getUint16(at + 48) : 256;
+    const outputEntries = wide ? view.getUint16(at + 50) : 256;
+    const readTable = (length) => {
+        const table = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            table[i] = wide ? view.getUint16(pos + i * 2) / 65535 : view.getUint8(pos + i) / 255;
+        }
+        pos += length * (wide ? 2 : 1);
+        return table;
+    };
+    const inputCurves = Array.from({ length: inputs }, () => readTable(inputEntries));
+    const grid = { points: new Array(inputs).fill(points), outputs, data: readTable(points ** inputs * outputs) };
+    const outputCurves = Array.from({ length: outputs }, () => readTable(outputEntries));
+    const useMatrix = xyzInput && inputs === 3;
+
+    return {
+        inputs,
+        outputs,
+        legacy: wide,
+        evaluate: (values) => {
+            const input = useMatrix
+                ? [0, 1, 2].map((row) => matrix[row * 3] * values[0] + matrix[row * 3 + 1] * values[1] + matrix[row * 3 + 2] * values[2])
+                : values;
+            const looked = interpolateGrid(grid, input.map((value, i) => lookupTable(inputCurves[i], value)));
+            return looked.map((value, i) => lookupTable(outputCurves[i], value));
+        }
+    };
+}
+
+// lutAtoBType and lutBtoAType. Device to PCS runs A curves, grid, M curves,
+// matrix, B curves; PCS to device runs the same stages backwards.
+function readModularLut(view, at, toPcs) {
+    const inputs = view.getUint8(at + 8);
+    const outputs = view.getUint8(at + 9);
+    const [bAt, matrixAt, mAt, gridAt, aAt] = [12, 16, 20, 24, 28].map((offset) => view.getUint32(at + offset));
+    const pcsChannels = toPcs ? outputs : inputs;
+    const deviceChannels = toPcs ? inputs : outputs;
+
+    const bCurves = readCurves(view, at + bAt, pcsChannels);
+    const mCurves = mAt ? readCurves(view, at + mAt, pcsChannels) : null;
+    const aCurves = aAt ? readCurves(view, at + aAt, deviceChannels) : null;
+    const matrix = matrixAt ? Array.from({ length: 12 }, (_, i) => readFixed(view, at + matrixAt + i * 4)) : null;
+    const grid = gridAt ? readGrid(view, at + gridAt, inputs, outputs) : null;
+
+    const applyCurves = (curves, values) => (curves ? values.map((value, i) => curves[i](value)) : values);
+    const applyMatrix = (values) => {
+        if (!matrix) return values;
+        return [0, 1, 2].map((row) => Math.min(1, Math.max(0,
+            matrix[row * 3] * values[0] + matrix[row * 3 + 1] * values[1] + matrix[row * 3 + 2] * values[2] + matrix[9 + row])));
+    };
+    const applyGrid = (values) => (grid ? interpolateGrid(grid, values) : values);
+
+    return {
+        inputs,
+        outputs,
+        legacy: false,
+        evaluate: toPcs
+            ? (values) => applyCurves(bCurves, applyMatrix(applyCurves(mCurves, applyGrid(applyCurves(aCurves, values)))))
+            : (values) => applyCurves(aCurves, applyGrid(applyCurves(mCurves, applyMatrix(applyCurves(bCurves, values)))))
+    };
+}
+
+// `count` curveType or parametricCurveType entries, each 4-byte aligned
+function readCurves(view, at, count) {
+    const curves = [];
+    let pos = at;
+    for (let i = 0; i < count; i++) {
+        const type = readSignature(view, pos);
+        let length;
+        if (type === 'curv') {
+            const entries = view.getUint32(pos + 8);
+            const table = Float32Array.from({ length: entries }, (_, j) => view.getUint16(pos + 12 + j * 2) / 65535);
+            const gamma = view.getUint16(pos + 12) / 256;
+            curves.push(entries === 0 ? (x) => x
+                : entries === 1 ? (x) => Math.max(0, x) ** gamma
+                : (x) => lookupTable(table, x));
+            length = 12 + entries * 2;
+        } else if (type === 'para') {
+            const kind = view.getUint16(pos + 8);
+            if (kind >= PARAMETRIC_COUNTS.length) throw new Error('ICC profile has an unknown curve type');
+            const params = Array.from({ length: PARAMETRIC_COUNTS[kind] }, (_, j) => readFixed(view, pos + 12 + j * 4));
+            curves.push((x) => Math.min(1, Math.max(0, parametricCurve(kind, params, x))));
+            length = 12 + params.length * 4;
+        } else {
+            throw new Error(`ICC profile uses a curve type this viewer can't read (${type.trim()})`);
+        }
+        pos += Math.ceil(length / 4) * 4;
+    }
+    return curves;
+}
+
+function parametricCurve(kind, [g, a = 1, b = 0, c = 0, d = 0, e = 0, f = 0], x) {
+    const power = (value) => Math.max(0, value) ** g;
+    if (kind === 0) return power(x);
+    if (kind === 1) return x >= -b / a ? power(a * x + b) : 0;
+    if (kind === 2) return x >= -b / a ? power(a * x + b) + c : c;
+    if (kind === 3) return x >= d ? power(a * x + b) : c * x;
+    return x >= d ? power(a * x + b) + e : c * x + f;
+}
+
+// v4 grids: points per input, then 1- or 2-byte entries
+function readGrid(view, at, inputs, outputs) {
+    const points = Array.from({ length: inputs }, (_, i) => view.getUint8(at + i));
+    const wide = view.getUint8(at + 16) === 2;
+    const length = points.reduce((product, count) => product * count, outputs);
+    const data = Float32Array.from({ length }, (_, i) =>
+        (wide ? view.getUint16(at + 20 + i * 2) / 65535 : view.getUint8(at + 20 + i) / 255));
+    return { points, outputs, data };
+}
+
+// Straight-line lookup in an evenly spaced 0-1 table
+function lookupTable(table, x) {
+    const position = Math.min(1, Math.max(0, x)) * (table.length - 1);
+    const i = Math.min(table.length - 2, Math.floor(position));
+    if (i < 0) return table[0];
+    return table[i] + (table[i + 1] - table[i]) * (position - i);
+}
+
+// Multilinear between the grid points around `values`. The first input
+// varies slowest through the data.
+function interpolateGrid({ points, outputs, data }, values) {
+    const strides = [];
+    let stride = outputs;
+    for (let i = points.length - 1; i >= 0; i--) {
+        strides[i] = stride;
+        stride *= points[i];
+    }
+
+    let base = 0;
+    const fractions = points.map((count, i) => {
+        const position = Math.min(1, Math.max(0, values[i])) * (count - 1);
+        const cell = Math.max(0, Math.min(count - 2, Math.floor(position)));
+        base += cell * strides[i];
+        return position - cell;
+    });
+
+    const out = new Array(outputs).fill(0);
+    for (let corner = 0; corner < 1 << points.length; corner++) {
+        let weight = 1;
+        let at = base;
+        fractions.forEach((fraction, i) => {
+            if (corner & (1 << i)) {
+                weight *= fraction;
+                at += strides[i];
+            } else {
+                weight *= 1 - fraction;
+            }
+        });
+        if (weight === 0) continue;
+        for (let i = 0; i < outputs; i++) out[i] += weight * data[at + i];
+    }
+    return out;
+}
+
+// textDescriptionType (v2) or multiLocalizedUnicodeType (v4), first record
+function readText(view, at) {
+    const type = readSignature(view, at);
+    if (type === 'desc') {
+        const length = view.getUint32(at + 8);
+        return String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(at + 12 + i)))
+            .replace(/\0.*$/s, '').trim();
+    }
+    if (type === 'mluc' && view.getUint32(at + 8) > 0) {
+        const length = view.getUint32(at + 20);
+        const offset = view.getUint32(at + 24);
+        return String.fromCharCode(...Array.from({ length: length / 2 }, (_, i) => view.getUint16(at + offset + i * 2)))
+            .replace(/\0.*$/s, '').trim();
+    }
+    return '';
+}
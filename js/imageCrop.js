@@ -0,0 +1,128 @@
+import { drawProofRegions } from './proofSheet.js';
+
+// How each image is fitted to the board: a fit mode plus pan and zoom.
+// Crops are { fit, zoom, offsetX, offsetY }, where the offsets move the crop
+// centre in image widths/heights from the middle of the image.
+
+export const FIT_MODES = {
+    cover: { label: 'Cover (crop to fill)' },
+    contain: { label: 'Contain (letterbox)' },
+    stretch: { label: 'Stretch' }
+};
+
+export const DEFAULT_CROP = {
+    fit: 'cover',
+    zoom: 1,
+    offsetX: 0,
+    offsetY: 0
+};
+
+export const MIN_ZOOM = 0.5;
+export const MAX_ZOOM = 4;
+
+// Part of the image that lands on the board, in normalised image coordinates
+// (0-1, y down). Extends past the image edges when letterboxed or zoomed out.
+export function getCropRect(crop, imageAspect, boardAspect) {
+    let width = 1;
+    let height = 1;
+
+    if (crop.fit === 'cover') {
+        if (imageAspect > boardAspect) {
+            width = boardAspect / imageAspect;
+        } else {
+            height = imageAspect / boardAspect;
+        }
+    } else if (crop.fit === 'contain') {
+        if (imageAspect > boardAspect) {
+            height = imageAspect / boardAspect;
+        } else {
+            width = boardAspect / imageAspect;
+        }
+    }
+
+    width /= crop.zoom;
+    height /= crop.zoom;
+    return {
+        x: 0.5 + crop.offsetX - width / 2,
+        y: 0.5 + crop.offsetY - height / 2,
+        width,
+        height
+    };
+}
+
+// Keep zoom in range and the crop centre over the image
+export function clampCrop(crop) {
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+    return {
+        fit: FIT_MODES[crop.fit] ? crop.fit : DEFAULT_CROP.fit,
+        zoom: clamp(crop.zoom || 1, MIN_ZOOM, MAX_ZOOM),
+        offsetX: clamp(crop.offsetX || 0, -0.5, 0.5),
+        offsetY: clamp(crop.offsetY || 0, -0.5, 0.5)
+    };
+}
+
+// Crop editor preview: the image behind a board-shaped frame, with the slat
+// seams (shares of the way across the board) drawn inside the frame (across
+// it for `horizontal` slats) and any artwork proof regions (board
+// coordinates) over it. Returns the frame in canvas pixels so drags can be
+// converted back into image units.
+export function drawCropPreview(canvas, image, rect, boardAspect, seams, { regions = [], horizontal = false } = {}) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, width, height);
+
+    // The frame stays put in the middle; the image moves and scales behind it
+    const padding = 16;
+    const frameWidth = Math.min(width - padding * 2, (height - padding * 2) * boardAspect);
+    const frameHeight = frameWidth / boardAspect;
+    const frame = {
+        x: (width - frameWidth) / 2,
+        y: (height - frameHeight) / 2,
+        width: frameWidth,
+        height: frameHeight
+    };
+
+    const imageWidth = frame.width / rect.width;
+    const imageHeight = frame.height / rect.height;
+    ctx.drawImage(image, frame.x - rect.x * imageWidth, frame.y - rect.y * imageHeight, imageWidth, imageHeight);
+
+    // Dim everything outside the frame
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.beginPath();
+    ctx.rect(0, 0, width, height);
+    ctx.rect(frame.x, frame.y, frame.width, frame.height);
+    ctx.fill('evenodd');
+
+    // Slat seams, fading out when they'd be too dense to read
+    const across = horizontal ? frame.height : frame.width;
+    const spacing = across * (seams.length > 1 ? seams[1] - seams[0] : 1);
+    ctx.strokeStyle = `rgba(255, 255, 255, ${Math.min(0.5, spacing / 12)})`;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (const seam of seams) {
+        if (horizontal) {
+            const y = Math.round(frame.y + seam * across) + 0.5;
+            ctx.moveTo(frame.x, y);
+            ctx.lineTo(frame.x + frame.width, y);
+        } else {
+            const x = Math.round(frame.x + seam * across) + 0.5;
+            ctx.moveTo(x, frame.y);
+            ctx.lineTo(x, frame.y + frame.height);
+        }
+    }
+    ctx.stroke();
+    drawProofRegions(ctx, regions, frame.x, frame.y, frame.width, frame.height);
+
+    ctx.strokeStyle = '#4a90d9';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(frame.x, frame.y, frame.width, frame.height);
+
+    return frame;
+}
@@ -0,0 +1,286 @@
+// Artwork proofing: finds the parts of an image that the slats will break up.
+// The board shows each image in strips one slat wide, so fine detail (text,
+// logos, thin rules) that straddles a slat seam gets chopped, and strokes
+// thinner than the eye resolves at the viewing distance are lost anyway.
+// Works from luminance edges alone, with no text recognition, and has no
+// three.js or DOM dependencies.
+
+export const PROOF_RISKS = {
+    seam: { label: 'Detail across a slat seam' },
+    stroke: { label: 'Strokes too thin for the viewing distance' }
+};
+
+// Sobel magnitude (luminance 0-1, scaled to at most ~1.4) that counts as an edge
+const EDGE_THRESHOLD = 0.2;
+
+// Share of edge pixels that makes a cell "detailed", and that makes a seam
+// band count as cutting through detail
+const DETAIL_DENSITY = 0.1;
+const SEAM_DENSITY = 0.15;
+
+// Light/dark difference a cell needs before its runs are read as strokes,
+// which keeps soft photographic texture out of the stroke check
+const MIN_STROKE_CONTRAST = 0.25;
+
+// Comfortable reading needs strokes about three times the eye's one
+// arc-minute limit
+const MIN_STROKE_ARCMIN = 3;
+
+// Analysis cells are about this many across the board
+const CELLS_ACROSS = 64;
+
+// Thinnest stroke (inches) that reads at `distance` feet
+export function getMinStroke(distance) {
+    return distance * 12 * Math.tan((MIN_STROKE_ARCMIN / 60) * (Math.PI / 180));
+}
+
+// `image` is ImageData-like ({ data, width, height }) showing one face's
+// artwork exactly as it spans the board: x across the whole board (frame
+// included), y down. `board` is getSlatSegments output plus the board's
+// width and slats; options give the board `height` (feet), the viewing
+// `distance` (feet) and which `face` the image is on.
+//
+// Returns { regions, pixelSize, minStroke, slatWidth }: regions are
+// { kind, x, y, width, height, cells, seams, stroke } with the rectangle in
+// board coordinates (0-1, y down), stroke the thinnest stroke measured
+// (inches) and seams how many seams the region crosses. Sizes are inches.
+export function analyzeArtwork(image, board, { height, distance, face }) {
+    const { width, data } = image;
+    const rows = image.height;
+    const luminance = getLuminance(data, width, rows);
+    const edges = getEdges(luminance, width, rows);
+
+    const cellSize = Math.max(4, Math.round(width / CELLS_ACROSS));
+    const columns = Math.ceil(width / cellSize);
+    const cellRows = Math.ceil(rows / cellSize);
+    const cellBounds = (column, row) => ({
+        x0: column * cellSize,
+        y0: row * cellSize,
+        x1: Math.min(width, (column + 1) * cellSize),
+        y1: Math.min(rows, (row + 1) * cellSize)
+    });
+
+    // Cells the frame covers can't be seen, so aren't flagged
+    const frameX = Math.ceil((board.frameWidth / board.width) * width / cellSize);
+    const frameY = Math.ceil((board.frameWidth / height) * rows / cellSize);
+    const isVisible = (column, row) => column >= frameX && column < columns - frameX &&
+        row >= frameY && row < cellRows - frameY;
+
+    const density = new Float32Array(columns * cellRows);
+    for (let row = 0; row < cellRows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const bounds = cellBounds(column, row);
+            density[row * columns + column] = countEdges(edges, width, bounds) /
+                ((bounds.x1 - bounds.x0) * (bounds.y1 - bounds.y0));
+        }
+    }
+    const isDetailed = (column, row) => density[row * columns + column] >= DETAIL_DENSITY;
+
+    // Each seam loses the artwork under the lands and gap either side of it
+    const feetToPixels = width / board.width;
+    const faceSegment = board.segments.find((segment) => segment.face === face);
+    const lostBefore = faceSegment ? (1 - faceSegment.u1) * board.slatWidth : 0;
+    const lostAfter = faceSegment ? faceSegment.u0 * board.slatWidth : 0;
+
+    const seamFlags = new Array(columns * cellRows).fill(null);
+    for (let i = 1; i < board.slats; i++) {
+        const seam = (board.frameWidth + i * board.slatWidth) * feetToPixels;
+        const x0 = Math.max(0, Math.floor(seam - lostBefore * feetToPixels) - 1);
+        const x1 = Math.min(width, Math.ceil(seam + lostAfter * feetToPixels) + 1);
+        const column = Math.min(columns - 1, Math.floor(seam / cellSize));
+
+        for (let row = 0; row < cellRows; row++) {
+            if (!isVisible(column, row)) continue;
+            const { y0, y1 } = cellBounds(column, row);
+            const bandDensity = countEdges(edges, width, { x0, y0, x1, y1 }) / ((x1 - x0) * (y1 - y0));
+            // Detail on both sides, not just an edge that happens to line up
+            const sideDensity = (from, to) => {
+                const bounds = { x0: Math.max(0, from), y0, x1: Math.min(width, to), y1 };
+                const area = (bounds.x1 - bounds.x0) * (y1 - y0);
+                return area > 0 ? countEdges(edges, width, bounds) / area : 0;
+            };
+            if (bandDensity >= SEAM_DENSITY &&
+                sideDensity(x0 - cellSize, x0) >= DETAIL_DENSITY &&
+                sideDensity(x1, x1 + cellSize) >= DETAIL_DENSITY) {
+                const index = row * columns + column;
+                seamFlags[index] = (seamFlags[index] || 0) + 1;
+            }
+        }
+    }
+
+    // Stroke widths in the detailed cells
+    const pixelSize = (board.width * 12) / width;
+    const minStroke = getMinStroke(distance);
+    const strokeFlags = new Array(columns * cellRows).fill(null);
+    for (let row = 0; row < cellRows; row++) {
+        for (let column = 0; column < columns; column++) {
+            if (!isVisible(column, row) || !isDetailed(column, row)) continue;
+            // Measured over the cell and its neighbours, so a few whole
+            // strokes fit even in small cells
+            const stroke = measureStroke(luminance, width, {
+                x0: Math.max(0, column - 1) * cellSize,
+                y0: Math.max(0, row - 1) * cellSize,
+                x1: Math.min(width, (column + 2) * cellSize),
+                y1: Math.min(rows, (row + 2) * cellSize)
+            });
+            if (stroke !== null && stroke * pixelSize < minStroke) {
+                strokeFlags[row * columns + column] = stroke * pixelSize;
+            }
+        }
+    }
+
+    // Neighbouring seams through one block of detail make one region, even
+    // with a column of cells between them
+    const seamReach = Math.min(2, Math.ceil((board.slatWidth * feetToPixels) / cellSize));
+    const toRegions = (kind, flags, reach, describe) => groupCells(flags, columns, cellRows, reach).map((cells) => {
+        const xs = cells.map((index) => index % columns);
+        const ys = cells.map((index) => Math.floor(index / columns));
+        const x = Math.min(...xs) * cellSize;
+        const y = Math.min(...ys) * cellSize;
+        return {
+            kind,
+            x: x / width,
+            y: y / rows,
+            width: (Math.min(width, (Math.max(...xs) + 1) * cellSize) - x) / width,
+            height: (Math.min(rows, (Math.max(...ys) + 1) * cellSize) - y) / rows,
+            cells: cells.length,
+            ...describe(cells)
+        };
+    });
+
+    const regions = [
+        ...toRegions('seam', seamFlags, seamReach, (cells) => {
+            // Seams per column of cells, counted once however tall the region
+            const perColumn = new Map();
+            cells.forEach((index) => {
+                perColumn.set(index % columns, Math.max(perColumn.get(index % columns) || 0, seamFlags[index]));
+            });
+            return { seams: [...perColumn.values()].reduce((sum, seams) => sum + seams, 0), stroke: null };
+        }),
+        ...toRegions('stroke', strokeFlags, 1, (cells) => ({
+            seams: 0,
+            stroke: Math.min(...cells.map((index) => strokeFlags[index]))
+        }))
+    ].sort((a, b) => b.cells - a.cells);
+
+    return { regions, pixelSize, minStroke, slatWidth: board.slatWidth * 12 };
+}
+
+function getLuminance(data, width, height) {
+    const luminance = new Float32Array(width * height);
+    for (let i = 0; i < luminance.length; i++) {
+        // Transparent pixels read as the black the board shows there
+        const alpha = data[i * 4 + 3] / 255;
+        luminance[i] = ((0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255) * alpha;
+    }
+    return luminance;
+}
+
+// 1 where the Sobel gradient is strong enough to be an edge
+function getEdges(luminance, width, height) {
+    const edges = new Uint8Array(width * height);
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const gx = luminance[i - width + 1] + 2 * luminance[i + 1] + luminance[i + width + 1] -
+                luminance[i - width - 1] - 2 * luminance[i - 1] - luminance[i + width - 1];
+            const gy = luminance[i + width - 1] + 2 * luminance[i + width] + luminance[i + width + 1] -
+                luminance[i - width - 1] - 2 * luminance[i - width] - luminance[i - width + 1];
+            edges[i] = Math.hypot(gx, gy) / 4 >= EDGE_THRESHOLD ? 1 : 0;
+        }
+    }
+    return edges;
+}
+
+function countEdges(edges, width, { x0, y0, x1, y1 }) {
+    let count = 0;
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            count += edges[y * width + x];
+        }
+    }
+    return count;
+}
+
+// Typical stroke width in pixels: split the cell into light and dark, take
+// the rarer one as ink and find the median length of ink runs across and
+// down that don't touch the cell's edges. Null for low-contrast cells or
+// cells with no whole strokes.
+function measureStroke(luminance, width, { x0, y0, x1, y1 }) {
+    let sum = 0;
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) sum += luminance[y * width + x];
+    }
+    const count = (x1 - x0) * (y1 - y0);
+    const mean = sum / count;
+
+    let dark = 0;
+    let darkSum = 0;
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const value = luminance[y * width + x];
+            if (value < mean) {
+                dark++;
+                darkSum += value;
+            }
+        }
+    }
+    if (dark === 0 || dark === count) return null;
+    const contrast = (sum - darkSum) / (count - dark) - darkSum / dark;
+    if (contrast < MIN_STROKE_CONTRAST) return null;
+
+    const inkIsDark = dark <= count / 2;
+    const isInk = (x, y) => (luminance[y * width + x] < mean) === inkIsDark;
+
+    const runs = [];
+    const scan = (length, lines, at) => {
+        for (let line = 0; line < lines; line++) {
+            let start = -1;
+            for (let i = 0; i <= length; i++) {
+                const ink = i < length && at(i, line);
+                if (ink && start < 0) {
+                    start = i;
+                } else if (!ink && start >= 0) {
+                    if (start > 0 && i < length) runs.push(i - start);
+                    start = -1;
+                }
+            }
+        }
+    };
+    scan(x1 - x0, y1 - y0, (i, line) => isInk(x0 + i, y0 + line));
+    scan(y1 - y0, x1 - x0, (i, line) => isInk(x0 + line, y0 + i));
+
+    if (runs.length === 0) return null;
+    runs.sort((a, b) => a - b);
+    return runs[Math.floor(runs.length / 2)];
+}
+
+// Flagged cells (non-null) joined into groups: cells touch when they're in
+// the same or next row and at most `reach` columns apart
+function groupCells(flags, columns, rows, reach) {
+    const seen = new Uint8Array(flags.length);
+    const groups = [];
+    for (let start = 0; start < flags.length; start++) {
+        if (flags[start] === null || seen[start]) continue;
+        const group = [];
+        const stack = [start];
+        seen[start] = 1;
+        while (stack.length) {
+            const index = stack.pop();
+            group.push(index);
+            const column = index % columns;
+            const row = Math.floor(index / columns);
+            for (let y = Math.max(0, row - 1); y <= Math.min(rows - 1, row + 1); y++) {
+                for (let x = Math.max(0, column - reach); x <= Math.min(columns - 1, column + reach); x++) {
+                    const next = y * columns + x;
+                    if (flags[next] !== null && !seen[next]) {
+                        seen[next] = 1;
+                        stack.push(next);
+                    }
+                }
+            }
+        }
+        groups.push(group);
+    }
+    return groups;
+}
@@ -0,0 +1,139 @@
+import * as THREE from 'three';
+import { getFaceVisibility } from './visibility.js';
+
+// Lighting simulation: even studio light, the sun for a place and time, or
+// flood lights at night. Bearings are degrees clockwise from north; the
+// board's front faces the `facing` bearing, along its +z axis.
+
+export const LIGHTING_MODES = {
+    studio: { label: 'Studio (even light)' },
+    sun: { label: 'Sun at date and time' },
+    night: { label: 'Night with flood lights' }
+};
+
+export const FLOOD_PLACEMENTS = {
+    above: { label: 'Above the board' },
+    below: { label: 'Below the board' }
+};
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const wrap360 = (degrees) => ((degrees % 360) + 360) % 360;
+
+// Nearest of the eight compass points, e.g. 200 -> "S"
+export function formatBearing(bearing) {
+    return COMPASS_POINTS[Math.round(wrap360(bearing) / 45) % 8];
+}
+
+// The instant a local date ("2026-06-21") and time ("14:30") name at a site
+// whose clocks are `utcOffset` hours ahead of UTC
+export function getSiteDate(date, time, utcOffset) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes) - utcOffset * 3600000);
+}
+
+// Sun azimuth (bearing) and elevation in degrees, from the low-precision
+// almanac formulas (good to about a degree, plenty for shading)
+export function getSunPosition(date, latitude, longitude) {
+    const days = date.getTime() / 86400000 + 2440587.5 - 2451545;
+
+    const meanLongitude = wrap360(280.46 + 0.9856474 * days);
+    const meanAnomaly = toRadians(wrap360(357.528 + 0.9856003 * days));
+    const eclipticLongitude = toRadians(meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly));
+    const obliquity = toRadians(23.439 - 0.0000004 * days);
+
+    const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+    const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+
+    const siderealTime = wrap360(280.46061837 + 360.98564736629 * days + longitude);
+    const hourAngle = toRadians(siderealTime) - rightAscension;
+    const lat = toRadians(latitude);
+
+    const elevation = Math.asin(
+        Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle)
+    );
+    // Measured from south, westward; shift to a bearing from north
+    const azimuth = Math.atan2(
+        Math.sin(hourAngle),
+        Math.cos(hourAngle) * Math.sin(lat) - Math.tan(declination) * Math.cos(lat)
+    );
+
+    return { azimuth: wrap360(toDegrees(azimuth) + 180), elevation: toDegrees(elevation) };
+}
+
+// Unit vector toward the sun in board space (x to the viewer's right, y up,
+// z out of the board's face)
+export function getSunDirection(sun, facing) {
+    const relative = toRadians(sun.azimuth - facing);
+    const elevation = toRadians(sun.elevation);
+    return new THREE.Vector3(
+        -Math.sin(relative) * Math.cos(elevation),
+        Math.sin(elevation),
+        Math.cos(relative) * Math.cos(elevation)
+    );
+}
+
+// Sunlight falling on each face set, as a share of full perpendicular sun
+// (a flat board facing the sun scores 1). Uses the visibility maths with the
+// sun as the viewer, so faces shaded by neighbouring peaks lose their share.
+// Horizontal slats (see getSlatLengths) are lit across them by the sun's height.
+export function getFaceSunlight(board, direction, orientation = 'vertical') {
+    const { segments, slatWidth, faceCount } = board;
+    if (direction.y <= 0 || direction.z <= 0) {
+        return new Array(faceCount).fill(0);
+    }
+
+    const across = orientation === 'horizontal' ? direction.y : direction.x;
+    const fractions = getFaceVisibility(segments, slatWidth, faceCount, Math.atan2(across, direction.z));
+    const faceLength = new Array(faceCount).fill(0);
+    segments.forEach((segment) => {
+        if (segment.face >= 0) faceLength[segment.face] += segment.length;
+    });
+
+    // Light landing on a slat's width, spread over each face's own surface
+    return fractions.map((fraction, face) => (direction.z * fraction * slatWidth) / faceLength[face]);
+}
+
+// Flood light fixtures spread evenly along the top or bottom edge, each on an
+// arm reaching `armLength` feet out from the face and aimed back at the board.
+// `brightness` is the light reaching the board's centre line, relative to
+// the studio lights, so it reads the same whatever the arm length.
+export function createFloodLights({ placement, count, brightness, armLength, color }, width, height) {
+    const group = new THREE.Group();
+    const side = placement === 'below' ? -1 : 1;
+    const reach = Math.hypot(armLength, height / 2);
+
+    for (let i = 0; i < count; i++) {
+        const x = ((i + 0.5) / count - 0.5) * width;
+        const light = new THREE.SpotLight(color, brightness * reach * reach);
+        light.position.set(x, side * (height / 2 + 0.5), armLength);
+        light.target.position.set(x, 0, 0);
+        light.angle = Math.min(Math.PI / 2.5, Math.atan2(Math.max(width / count, height), armLength));
+        light.penumbra = 0.6;
+        light.decay = 2;
+        light.castShadow = true;
+        light.shadow.mapSize.set(1024, 1024);
+        light.shadow.bias = -0.0005;
+        group.add(light, light.target);
+    }
+    return group;
+}
+
+// Fit a directional light's shadow camera around a board `size` feet across,
+// with the light `direction` (board space) pointing from the board to the light
+export function aimShadowLight(light, direction, size) {
+    light.position.copy(direction).multiplyScalar(size * 2);
+    light.target.position.set(0, 0, 0);
+
+    const camera = light.shadow.camera;
+    camera.left = -size / 2;
+    camera.right = size / 2;
+    camera.top = size / 2;
+    camera.bottom = -size / 2;
+    camera.near = size;
+    camera.far = size * 3;
+    camera.updateProjectionMatrix();
+}
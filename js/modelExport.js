@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { createZigzagGeometry } from './billboard.js';
+import { drawBoardArtwork } from './proofSheet.js';
+import { DEFAULT_CONSTRUCTION, getSlatLengths, getSlatSegments } from './slatProfile.js';
+import { DEFAULT_SURFACE, getSurfaceArc, getSurfaceCuts, placeOnSurface } from './surface.js';
+import { downloadBlob } from './exporter.js';
+import { createZip } from './zip.js';
+
+// 3D model export of the current board at true scale, for site
+// visualisation, AR review and fabrication.
+
+export const MODEL_FORMATS = {
+    glb: { label: 'glTF binary (.glb)' },
+    obj: { label: 'OBJ + MTL with images (.zip)' },
+    stl: { label: 'STL slat profile solid (.stl)' }
+};
+
+export const MODEL_UNITS = {
+    metres: { label: 'Metres', scale: 0.3048 },
+    feet: { label: 'Feet', scale: 1 }
+};
+
+const FACE_LABELS = ['A', 'B', 'C'];
+
+const SLAT_EDGE_GREY = 0x8a8a8a;
+
+// Backing behind the valleys, so the STL profile is one closed solid
+const STL_BACKING = 1 / 12;   // feet
+
+// Widest a face's baked image gets, in pixels
+const MAX_IMAGE_WIDTH = 8192;
+
+export class ModelExporter {
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    // textures and cropRects are per face, as used by the billboard
+    async export(textures, cropRects, { format, units, filename }) {
+        const scale = (MODEL_UNITS[units] || MODEL_UNITS.metres).scale;
+
+        if (format === 'stl') {
+            const data = new STLExporter().parse(this.createProfileSolid(scale), { binary: true });
+            downloadBlob(new Blob([data], { type: 'model/stl' }), `${filename}.stl`);
+            return;
+        }
+
+        // Model formats can't clip a texture, so each crop is baked into its
+        // image, with the parts past the image's edges black as in the viewer
+        const images = textures.map((texture, face) => texture && this.createFaceImage(texture.image, cropRects[face]));
+        const model = this.createTexturedModel(images, scale);
+        try {
+            if (format === 'obj') {
+                downloadBlob(await this.createObjArchive(model, images, filename), `${filename}-obj.zip`);
+            } else {
+                const glb = await new GLTFExporter().parseAsync(model, { binary: true });
+                downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), `${filename}.glb`);
+            }
+        } finally {
+            model.userData.meshes.forEach((mesh) => mesh.geometry.dispose());
+            model.userData.materials.forEach((material) => material.dispose());
+            images.forEach((image) => image && image.dispose());
+        }
+    }
+
+    // The part of `image` inside its crop rect, spanning the whole board, at
+    // about the image's own resolution
+    createFaceImage(image, rect) {
+        const sourceWidth = image.naturalWidth || image.videoWidth || image.width;
+        const width = Math.min(MAX_IMAGE_WIDTH, Math.round(sourceWidth / rect.width));
+        const texture = new THREE.CanvasTexture(
+            drawBoardArtwork(image, rect, this.settings.width / this.settings.height, width)
+        );
+        texture.colorSpace = THREE.SRGBColorSpace;
+        return texture;
+    }
+
+    // Same faces as the viewer, one named mesh and material per image. Faces
+    // without an image get a flat colour rather than the checkerboard. Built
+    // in feet like the viewer's and then scaled, so every size the geometry
+    // works out for itself (corner rounding, frame relief) scales too.
+    createTexturedModel(textures, scale) {
+        const { width, height, slats, angle, rightAngle, profile, orientation } = this.settings;
+        const construction = { ...DEFAULT_CONSTRUCTION, ...this.settings.construction };
+        const surface = { ...DEFAULT_SURFACE, ...this.settings.surface };
+        const { geometries, structure, frame } = createZigzagGeometry(width, height, slats, angle, {
+            profile,
+            orientation,
+            rightAngle,
+            construction,
+            surface,
+            uvRects: null
+        });
+        [...geometries, structure, frame].forEach((geometry) => geometry && geometry.scale(scale, scale, scale));
+
+        const model = new THREE.Group();
+        model.name = 'Lenticular board';
+
+        const materials = geometries.map((geometry, face) => new THREE.MeshStandardMaterial({
+            name: `Image_${FACE_LABELS[face]}`,
+            color: textures[face] ? 0xffffff : 0x808080,
+            map: textures[face] || null,
+            roughness: 0.8
+        }));
+        const meshes = geometries.map((geometry, face) => {
+            const mesh = new THREE.Mesh(geometry, materials[face]);
+            mesh.name = `Faces ${FACE_LABELS[face]}`;
+            model.add(mesh);
+            return mesh;
+        });
+
+        // Lands and gaps, and the frame, as plain grey and frame-coloured parts
+        const parts = [
+            [structure, 'Slat edges', new THREE.MeshStandardMaterial({ name: 'Slat_edges', vertexColors: true, roughness: 0.8 })],
+            [frame, 'Frame', new THREE.MeshStandardMaterial({ name: 'Frame', color: construction.frameColor, roughness: 0.6 })]
+        ];
+        for (const [geometry, name, material] of parts) {
+            if (!geometry) {
+                material.dispose();
+                continue;
+            }
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.name = name;
+            model.add(mesh);
+            meshes.push(mesh);
+            materials.push(material);
+        }
+
+        model.userData = { meshes, materials };
+        return model;
+    }
+
+    async createObjArchive(model, textures, filename) {
+        const lines = [];
+        const files = [];
+
+        for (const [face, material] of model.userData.materials.entries()) {
+            lines.push(`newmtl ${material.name}`, 'Ka 0 0 0', 'Ks 0 0 0');
+            if (material.map) {
+                const imageName = `image-${FACE_LABELS[face]}.png`;
+                lines.push('Kd 1 1 1', `map_Kd ${imageName}`);
+                files.push({ name: imageName, data: await encodePng(textures[face].image) });
+            } else {
+                // OBJ has no vertex colours; slat edges come out grey
+                const color = material.vertexColors ? new THREE.Color(SLAT_EDGE_GREY) : material.color;
+                const { r, g, b } = color.getRGB({ r: 0, g: 0, b: 0 }, THREE.SRGBColorSpace);
+                lines.push(`Kd ${r.toFixed(3)} ${g.toFixed(3)} ${b.toFixed(3)}`);
+            }
+            lines.push('');
+        }
+
+        const obj = `mtllib ${filename}.mtl\n${new OBJExporter().parse(model)}`;
+        files.unshift(
+            { name: `${filename}.obj`, data: obj },
+            { name: `${filename}.mtl`, data: lines.join('\n') }
+        );
+        return createZip(files);
+    }
+
+    // The board's cross-section (peaks in front, flat backing behind) extruded
+    // to full height. Z-up with the front facing -y, as CAD tools expect.
+    // Just the slats: the frame is usually a separate part. Horizontal slats
+    // are extruded across the board's width instead, then stood up. Curved
+    // boards are built flat and bent onto their surface like the viewer's.
+    createProfileSolid(scale) {
+        const { slats, angle, rightAngle, profile, construction } = this.settings;
+        const { across, along } = getSlatLengths(this.settings);
+        const { slatWidth, segments, frameWidth } = getSlatSegments(across, slats, angle, {
+            profile,
+            rightAngle,
+            height: along,
+            construction
+        });
+        const innerWidth = across - 2 * frameWidth;
+        const innerLength = along - 2 * frameWidth;
+        const backing = STL_BACKING + Math.max(0, ...segments.map((segment) => -segment.z1));
+        const horizontal = this.settings.orientation === 'horizontal';
+        const arc = getSurfaceArc(this.settings.surface, this.settings.width, backing);
+
+        // Shape x = across the board, shape y = -depth, so extruding along z
+        // stands the board on z = 0 with its peaks toward -y
+        const shape = new THREE.Shape();
+        shape.moveTo(-innerWidth / 2, backing);
+        shape.lineTo(-innerWidth / 2, -segments[0].z0);
+        for (let i = 0; i < slats; i++) {
+            const xStart = i * slatWidth - innerWidth / 2;
+            for (const segment of segments) {
+                shape.lineTo(xStart + segment.x1, -segment.z1);
+            }
+        }
+        shape.lineTo(innerWidth / 2, backing);
+        // The backing needs points to bend at; the front has one per segment
+        if (!horizontal) {
+            getSurfaceCuts(arc, -innerWidth / 2, innerWidth / 2).slice(1, -1).reverse()
+                .forEach((x) => shape.lineTo(x, backing));
+        }
+        shape.closePath();
+
+        // Horizontal slats bend along the extrusion, so it's stepped once per
+        // piece of the curve and the steps moved onto the cuts
+        const cuts = horizontal ? getSurfaceCuts(arc, -innerLength / 2, innerLength / 2) : [];
+        const steps = Math.max(1, cuts.length - 1);
+        const geometry = new THREE.ExtrudeGeometry(shape, { depth: innerLength, steps, bevelEnabled: false });
+        if (horizontal) {
+            // Shape x becomes z (up the board) and the extrusion runs along x
+            geometry.rotateY(-Math.PI / 2);
+            geometry.translate(innerLength / 2, 0, innerWidth / 2);
+        }
+
+        // x is across the board and -y out of its face either way
+        if (arc) {
+            const position = geometry.attributes.position;
+            for (let i = 0; i < position.count; i++) {
+                let x = position.getX(i);
+                if (horizontal) {
+                    x = cuts[Math.round(((x + innerLength / 2) / innerLength) * steps)];
+                }
+                const place = placeOnSurface(arc, x, -position.getY(i));
+                position.setXYZ(i, place.x, -place.z, position.getZ(i));
+            }
+            geometry.computeVertexNormals();
+        }
+        geometry.scale(scale, scale, scale);
+
+        const mesh = new THREE.Mesh(geometry);
+        mesh.name = 'Slat profile';
+        return mesh;
+    }
+}
+
+function encodePng(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth || image.width;
+    canvas.height = image.naturalHeight || image.height;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+}
@@ -0,0 +1,234 @@
+import * as THREE from 'three';
+import { createAbortError } from './exporter.js';
+import { decodeGif } from './gifDecoder.js';
+
+// Moving images for a face: video files and animated GIFs. Each source keeps
+// a texture that plays, pauses and loops in the viewer, and can be stepped to
+// an exact time so exported frames don't depend on playback timing.
+
+// Longest a video gets to reach a frame before an export gives up on it
+const SEEK_TIMEOUT = 10000; // ms
+
+export function isMotionFile(file) {
+    return file.type.startsWith('video/') || file.type === 'image/gif';
+}
+
+// Resolves to a source, or null for a GIF with a single frame (which is
+// just an image)
+export async function loadMotionSource(file) {
+    if (file.type === 'image/gif') {
+        const gif = decodeGif(await file.arrayBuffer());
+        return gif.frames.length > 1 ? new GifSource(gif) : null;
+    }
+    return VideoSource.load(file);
+}
+
+// e.g. 75.4 -> "1:15"
+export function formatMotionTime(seconds) {
+    const whole = Math.round(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+class MotionSource {
+    // Where `time` seconds from the start lands: wrapped when looping,
+    // otherwise held on the last frame
+    resolveTime(time) {
+        if (this.loop) {
+            return ((time % this.duration) + this.duration) % this.duration;
+        }
+        return Math.min(Math.max(time, 0), this.duration);
+    }
+
+    // The current frame on a plain canvas, for exporters that need pixels
+    // rather than a texture
+    snapshot() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        canvas.getContext('2d').drawImage(this.texture.image, 0, 0, this.width, this.height);
+        return canvas;
+    }
+}
+
+class VideoSource extends MotionSource {
+    static load(file) {
+        const video = document.createElement('video');
+        const url = URL.createObjectURL(file);
+        video.muted = true;
+        video.playsInline = true;
+        video.loop = true;
+        video.preload = 'auto';
+        video.src = url;
+
+        return new Promise((resolve, reject) => {
+            video.addEventListener('loadeddata', () => resolve(new VideoSource(video, url)), { once: true });
+            video.addEventListener('error', () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('This browser cannot play that video'));
+            }, { once: true });
+        });
+    }
+
+    constructor(video, url) {
+        super();
+        this.kind = 'video';
+        this.video = video;
+        this.url = url;
+        this.width = video.videoWidth;
+        this.height = video.videoHeight;
+        this.duration = video.duration;
+        this.texture = new THREE.VideoTexture(video);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+    }
+
+    get playing() {
+        return !this.video.paused && !this.video.ended;
+    }
+
+    get loop() {
+        return this.video.loop;
+    }
+
+    set loop(value) {
+        this.video.loop = value;
+    }
+
+    play() {
+        if (this.video.ended) this.video.currentTime = 0;
+        // Autoplay rules can refuse even muted video; it just stays paused
+        this.video.play().catch(() => {});
+    }
+
+    pause() {
+        this.video.pause();
+    }
+
+    // The video element keeps its own clock
+    update() {}
+
+    // Settles when the frame is ready, or rejects if the video can't get
+    // there, takes too long or `signal` aborts
+    seek(time, signal = null) {
+        const target = Math.min(this.resolveTime(time), this.duration - 0.001);
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError());
+                return;
+            }
+
+            const settle = (error) => {
+                clearTimeout(timeout);
+                this.video.removeEventListener('seeked', onSeeked);
+                this.video.removeEventListener('error', onError);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                if (error) {
+                    reject(error);
+                } else {
+                    // Paused video won't raise a new frame callback, so upload it now
+                    this.texture.needsUpdate = true;
+                    resolve();
+                }
+            };
+            const onSeeked = () => settle(null);
+            const onError = () => settle(new Error(`The video failed to seek to ${target.toFixed(2)}s`));
+            const onAbort = () => settle(createAbortError());
+            const timeout = setTimeout(
+                () => settle(new Error(`The video took too long to seek to ${target.toFixed(2)}s`)),
+                SEEK_TIMEOUT
+            );
+
+            this.video.addEventListener('seeked', onSeeked);
+            this.video.addEventListener('error', onError);
+            if (signal) signal.addEventListener('abort', onAbort);
+            this.video.currentTime = target;
+        });
+    }
+
+    dispose() {
+        this.video.pause();
+        this.texture.dispose();
+        this.video.removeAttribute('src');
+        this.video.load();
+        URL.revokeObjectURL(this.url);
+    }
+}
+
+class GifSource extends MotionSource {
+    constructor({ width, height, frames }) {
+        super();
+        this.kind = 'gif';
+        this.width = width;
+        this.height = height;
+        this.frames = frames;
+
+        // Start time of each frame, so a time maps straight to a frame
+        this.frameStarts = [];
+        this.duration = frames.reduce((start, frame) => {
+            this.frameStarts.push(start);
+            return start + frame.delay;
+        }, 0);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        this.context = canvas.getContext('2d');
+        this.texture = new THREE.CanvasTexture(canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+
+        this.time = 0;
+        this.loop = true;
+        this.playing = false;
+        this.lastTick = 0;
+        this.frameIndex = -1;
+        this.showTime(0);
+    }
+
+    play() {
+        if (!this.loop && this.time >= this.duration) this.time = 0;
+        this.playing = true;
+        this.lastTick = performance.now();
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    // Advance by wall-clock time; called once per animation frame
+    update(now = performance.now()) {
+        if (!this.playing) return;
+        this.time += (now - this.lastTick) / 1000;
+        this.lastTick = now;
+        if (!this.loop && this.time >= this.duration) {
+            this.time = this.duration;
+            this.playing = false;
+        }
+        this.showTime(this.resolveTime(this.time));
+    }
+
+    seek(time) {
+        this.time = time;
+        this.showTime(this.resolveTime(time));
+        return Promise.resolve();
+    }
+
+    showTime(time) {
+        let index = this.frames.length - 1;
+        while (index > 0 && this.frameStarts[index] > time) index--;
+        if (index === this.frameIndex) return;
+
+        // Frames hold only what changed since the one before (see
+        // gifDecoder.js), so carry on from the frame shown, or start over
+        // from the first when going back
+        for (let i = index > this.frameIndex ? this.frameIndex + 1 : 0; i <= index; i++) {
+            const { imageData, left, top } = this.frames[i];
+            if (imageData) this.context.putImageData(imageData, left, top);
+        }
+        this.frameIndex = index;
+        this.texture.needsUpdate = true;
+    }
+
+    dispose() {
+        this.playing = false;
+        this.texture.dispose();
+    }
+}
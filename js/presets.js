@@ -0,0 +1,219 @@
+// Board presets from spec sheets, used until the user edits the library
+export const DEFAULT_PRESETS = {
+    '20136': {
+        name: '20136 - Sunset Blvd',
+        width: 36,      // 36 feet
+        height: 6,      // 6 feet
+        slats: 27,      // 54 triangles / 2 faces per slat
+        angle: 45,      // Default, can be refined
+        profile: 'zigzag',
+        location: 'LA - 6409 Sunset Blvd',
+        latitude: 34.098,
+        longitude: -118.329,
+        notes: ''
+    },
+    'M-74': {
+        name: 'M-74 - Grand St',
+        width: 13.17,   // 13'2" = 13.17 feet
+        height: 5.5,    // 5'6" = 5.5 feet
+        slats: 40,      // Estimate for hand-painted
+        angle: 45,
+        profile: 'zigzag',
+        location: 'NYC - Grand St & Thompson St, SoHo',
+        latitude: 40.722,
+        longitude: -74.003,
+        notes: ''
+    }
+};
+
+const STORAGE_KEY = 'lenticularViewerPresets';
+const CATALOGUE_VERSION = 1;
+
+// Fill in optional fields and reject presets the viewer can't build
+export function normalizePreset(preset) {
+    const normalized = {
+        name: String(preset.name || '').trim(),
+        width: parseFloat(preset.width),
+        height: parseFloat(preset.height),
+        slats: parseInt(preset.slats),
+        angle: parseFloat(preset.angle),
+        profile: preset.profile || 'zigzag',
+        orientation: preset.orientation === 'horizontal' ? 'horizontal' : 'vertical',
+        location: preset.location || '',
+        notes: preset.notes || ''
+    };
+
+    // Optional angle of the last face, for asymmetric boards
+    const rightAngle = parseFloat(preset.rightAngle);
+    if (Number.isFinite(rightAngle)) {
+        normalized.rightAngle = rightAngle;
+    }
+
+    // Optional coordinates and facing bearing (degrees clockwise from north),
+    // for the sun simulation
+    for (const key of ['latitude', 'longitude', 'facing']) {
+        const value = parseFloat(preset[key]);
+        if (Number.isFinite(value)) {
+            normalized[key] = value;
+        }
+    }
+
+    // Optional site photo (data URL) with the board corners pinned on it
+    if (preset.site && preset.site.image) {
+        normalized.site = { image: preset.site.image, corners: preset.site.corners };
+        if (!Array.isArray(normalized.site.corners) || normalized.site.corners.length !== 4) {
+            throw new Error(`Preset "${normalized.name}" site photo needs four pinned corners`);
+        }
+    }
+
+    if (!normalized.name) {
+        throw new Error('Preset needs a name');
+    }
+    if (!(normalized.width > 0) || !(normalized.height > 0)) {
+        throw new Error(`Preset "${normalized.name}" needs a positive width and height`);
+    }
+    if (!(normalized.slats >= 1)) {
+        throw new Error(`Preset "${normalized.name}" needs at least one slat`);
+    }
+    if (!(normalized.angle > 0 && normalized.angle < 90)) {
+        throw new Error(`Preset "${normalized.name}" needs a slat angle between 0° and 90°`);
+    }
+    if (normalized.rightAngle !== undefined && !(normalized.rightAngle > 0 && normalized.rightAngle < 90)) {
+        throw new Error(`Preset "${normalized.name}" needs a last face angle between 0° and 90°`);
+    }
+    if (Math.abs(normalized.latitude) > 90 || Math.abs(normalized.longitude) > 180) {
+        throw new Error(`Preset "${normalized.name}" has a latitude or longitude out of range`);
+    }
+    if (normalized.facing < 0 || normalized.facing >= 360) {
+        throw new Error(`Preset "${normalized.name}" needs a facing bearing from 0° to 359°`);
+    }
+
+    return normalized;
+}
+
+// Dropdown label, e.g. "20136 - Sunset Blvd (6' x 36')"
+export function formatPresetLabel(preset) {
+    const feet = (value) => +value.toFixed(1);
+    return `${preset.name} (${feet(preset.height)}' x ${feet(preset.width)}')`;
+}
+
+export class PresetLibrary {
+    constructor() {
+        this.presets = {};
+        this.load();
+    }
+
+    load() {
+        this.presets = structuredClone(DEFAULT_PRESETS);
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                this.presets = JSON.parse(saved);
+            }
+        } catch (e) {
+            console.warn('Failed to load presets from localStorage:', e);
+        }
+
+        // Libraries saved before fields like profile or orientation existed
+        // get their defaults. A preset that no longer passes is kept as saved
+        // rather than lost.
+        for (const [id, preset] of Object.entries(this.presets)) {
+            try {
+                this.presets[id] = normalizePreset(preset);
+            } catch (e) {
+                console.warn(`Failed to check stored preset "${id}":`, e);
+            }
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.presets));
+            return true;
+        } catch (e) {
+            console.warn('Failed to save presets to localStorage:', e);
+            return false;
+        }
+    }
+
+    get(id) {
+        return this.presets[id] || null;
+    }
+
+    entries() {
+        return Object.entries(this.presets)
+            .sort(([, a], [, b]) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    }
+
+    // Create or replace a preset; returns its id
+    put(id, preset) {
+        const presetId = id || this.createId(preset.name);
+        this.presets[presetId] = normalizePreset(preset);
+        this.save();
+        return presetId;
+    }
+
+    // Attach a site photo and its pinned corners to a preset (null removes it).
+    // Photos are large, so unlike other edits a failed save is reported.
+    setSite(id, site) {
+        const preset = this.get(id);
+        if (!preset) return;
+
+        this.presets[id] = normalizePreset({ ...preset, site });
+        if (!this.save()) {
+            this.presets[id] = preset;
+            throw new Error('Not enough browser storage to keep this site photo with the preset');
+        }
+    }
+
+    duplicate(id) {
+        const preset = this.get(id);
+        if (!preset) return null;
+        return this.put(null, { ...preset, name: `${preset.name} (copy)` });
+    }
+
+    remove(id) {
+        delete this.presets[id];
+        this.save();
+    }
+
+    // Ids are short slugs of the name, e.g. "M-74 - Grand St" -> "m-74-grand-st"
+    createId(name) {
+        const base = String(name || 'preset').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+        let id = base;
+        for (let n = 2; this.presets[id]; n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+
+    toCatalogue() {
+        return {
+            version: CATALOGUE_VERSION,
+            exportedAt: new Date().toISOString(),
+            presets: this.entries().map(([id, preset]) => ({ id, ...preset }))
+        };
+    }
+
+    // Merge a catalogue in, replacing presets that share an id. Validates
+    // everything first so a bad file doesn't leave the library half-imported.
+    importCatalogue(catalogue) {
+        const list = Array.isArray(catalogue) ? catalogue : catalogue && catalogue.presets;
+        if (!Array.isArray(list)) {
+            throw new Error('Not a preset catalogue (expected a "presets" list)');
+        }
+
+        const imported = list.map(({ id, ...preset }) => [id, normalizePreset(preset)]);
+        const previous = this.presets;
+        this.presets = { ...previous };
+        for (const [id, preset] of imported) {
+            this.presets[id || this.createId(preset.name)] = preset;
+        }
+        // Site photos can take more room than the browser gives us
+        if (!this.save()) {
+            this.presets = previous;
+            throw new Error('Not enough browser storage to keep these presets');
+        }
+        return imported.length;
+    }
+}
@@ -0,0 +1,344 @@
+import { getSegmentUVRange, getSlatLengths, getSlatSegments } from './slatProfile.js';
+import { downloadBlob } from './exporter.js';
+import { createZip } from './zip.js';
+
+const FACE_LABELS = ['A', 'B', 'C'];
+
+// Browser canvas limits (Chrome/Firefox); Safari is lower but fails loudly
+const MAX_CANVAS_SIDE = 32767;
+const MAX_CANVAS_AREA = 268435456;
+
+// Acrobat caps pages at 200" unless the page declares a larger UserUnit
+const MAX_PDF_PAGE_POINTS = 14400;
+
+// Physical strip sizes for each face set. Every slat carries one strip per face,
+// and a face's printed width is its slanted length, not its footprint. Strips
+// only cover the printable faces: lands, gaps and the frame are left out, and
+// so is the artwork behind them (`u0`/`u1` are the part of each slice kept).
+// Sizes are laid out as for vertical slats, with the strip's height running
+// along the slat; horizontal slats' strips are turned on their side at export.
+export function getPrintLayout(settings, { dpi, bleed, marks }) {
+    const { across, along } = getSlatLengths(settings);
+    const board = getSlatSegments(
+        across,
+        settings.slats,
+        settings.angle,
+        { profile: settings.profile, rightAngle: settings.rightAngle, height: along, construction: settings.construction }
+    );
+    const { segments, faceCount, frameWidth } = board;
+
+    // Marks sit in a slug outside the bleed
+    const slug = marks ? 0.5 : 0;
+
+    const faces = [];
+    for (let face = 0; face < faceCount; face++) {
+        const faceSegments = segments.filter((segment) => segment.face === face);
+        const faceWidthFeet = faceSegments.reduce((sum, segment) => sum + segment.length, 0);
+        const trimWidth = faceWidthFeet * 12;
+        const trimHeight = (along - 2 * frameWidth) * 12;
+
+        faces.push({
+            face,
+            label: FACE_LABELS[face],
+            u0: faceSegments[0].u0,
+            u1: faceSegments[faceSegments.length - 1].u1,
+            trimWidth,
+            trimHeight,
+            pixelWidth: Math.round((trimWidth + 2 * (bleed + slug)) * dpi),
+            pixelHeight: Math.round((trimHeight + 2 * (bleed + slug)) * dpi)
+        });
+    }
+
+    return {
+        faces,
+        strips: settings.slats,
+        slug,
+        board,
+        vInset: frameWidth / along,
+        horizontal: settings.orientation === 'horizontal'
+    };
+}
+
+export class PrintExporter {
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    async export(images, options, onProgress) {
+        const { dpi, bleed, marks, format, filename } = options;
+        const layout = getPrintLayout(this.settings, options);
+
+        for (const face of layout.faces) {
+            if (!images[face.face]) {
+                throw new Error(`Load Image ${face.label} before exporting print slices`);
+            }
+            if (face.pixelWidth > MAX_CANVAS_SIDE || face.pixelHeight > MAX_CANVAS_SIDE ||
+                face.pixelWidth * face.pixelHeight > MAX_CANVAS_AREA) {
+                throw new Error(
+                    `Image ${face.label} strips would be ${face.pixelWidth} × ${face.pixelHeight}px ` +
+                    `at ${dpi} dpi, too large for the browser to render. Lower the DPI.`
+                );
+            }
+        }
+
+        // Horizontal slats are sliced as vertical ones from the artwork turned
+        // a quarter turn clockwise (as the board is built), and each strip is
+        // turned back to lie the way it runs on the board
+        const sources = layout.horizontal ? images.map((image) => image && turnImage(image, 1)) : images;
+        const crops = layout.horizontal ? (options.crops || []).map((rect) => rect && turnCropRect(rect)) : options.crops;
+
+        const total = layout.faces.length * layout.strips;
+        const zipFiles = [];
+        let done = 0;
+
+        for (const face of layout.faces) {
+            const pdfPages = [];
+
+            for (let i = 0; i < layout.strips; i++) {
+                const strip = this.renderStrip(sources[face.face], face, i, layout, { ...options, crops });
+                const canvas = layout.horizontal ? turnImage(strip, -1) : strip;
+                const number = String(i + 1).padStart(String(layout.strips).length, '0');
+
+                if (format === 'pdf') {
+                    pdfPages.push(await encodePdfPage(canvas, dpi));
+                } else {
+                    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+                    zipFiles.push({ name: `${filename}-${face.label}/${filename}-${face.label}-${number}.png`, data: blob });
+                }
+
+                done++;
+                if (onProgress) {
+                    onProgress(done / total);
+                }
+            }
+
+            if (format === 'pdf') {
+                downloadBlob(buildPdf(pdfPages), `${filename}-${face.label}.pdf`);
+            }
+        }
+
+        if (format !== 'pdf') {
+            downloadBlob(await createZip(zipFiles), `${filename}-print.zip`);
+        }
+
+        return { ...layout, dpi, bleed, marks };
+    }
+
+    renderStrip(image, face, index, layout, { dpi, bleed, marks, crops = [] }) {
+        const canvas = document.createElement('canvas');
+        canvas.width = face.pixelWidth;
+        canvas.height = face.pixelHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const slugPx = layout.slug * dpi;
+        const bleedPx = bleed * dpi;
+        const trimWidthPx = face.trimWidth * dpi;
+        const trimHeightPx = face.trimHeight * dpi;
+        const trimLeft = slugPx + bleedPx;
+        const trimTop = slugPx + bleedPx;
+
+        // Same slice of the artwork the face shows in the viewer, widened for bleed
+        const [uStart, uEnd] = getSegmentUVRange(layout.board, index, face);
+        const uPerPx = (uEnd - uStart) / trimWidthPx;
+        const toX = (u) => trimLeft + (u - uStart) / uPerPx;
+        const u0 = Math.max(0, uStart - bleedPx * uPerPx);
+        const u1 = Math.min(1, uEnd + bleedPx * uPerPx);
+        const sourceWidth = image.naturalWidth || image.width;
+        const sourceHeight = image.naturalHeight || image.height;
+
+        // Through the face's crop rect, as on the billboard, less what the
+        // frame covers. Parts of the rect past the image edges print black,
+        // as the viewer shows them.
+        const rect = crops[face.face] || { x: 0, y: 0, width: 1, height: 1 };
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(toX(u0), trimTop, toX(u1) - toX(u0), trimHeightPx);
+        const { vInset } = layout;
+        ctx.drawImage(
+            image,
+            (rect.x + u0 * rect.width) * sourceWidth, (rect.y + vInset * rect.height) * sourceHeight,
+            (u1 - u0) * rect.width * sourceWidth, (1 - 2 * vInset) * rect.height * sourceHeight,
+            toX(u0), trimTop, toX(u1) - toX(u0), trimHeightPx
+        );
+
+        // Bleed beyond the artwork edges repeats the outermost pixels
+        const bleedLeft = slugPx;
+        const bleedRight = trimLeft + trimWidthPx + bleedPx;
+        if (toX(u0) > bleedLeft) {
+            ctx.drawImage(canvas, toX(u0), trimTop, 1, trimHeightPx, bleedLeft, trimTop, toX(u0) - bleedLeft, trimHeightPx);
+        }
+        if (toX(u1) < bleedRight) {
+            ctx.drawImage(canvas, toX(u1) - 1, trimTop, 1, trimHeightPx, toX(u1), trimTop, bleedRight - toX(u1), trimHeightPx);
+        }
+        if (bleedPx > 0) {
+            const bleedWidth = bleedRight - bleedLeft;
+            ctx.drawImage(canvas, bleedLeft, trimTop, bleedWidth, 1, bleedLeft, slugPx, bleedWidth, bleedPx);
+            ctx.drawImage(canvas, bleedLeft, trimTop + trimHeightPx - 1, bleedWidth, 1,
+                bleedLeft, trimTop + trimHeightPx, bleedWidth, bleedPx);
+        }
+
+        if (marks) {
+            this.drawMarks(ctx, face, index, layout, { dpi, trimLeft, trimTop, trimWidthPx, trimHeightPx, slugPx, bleedPx });
+        }
+
+        return canvas;
+    }
+
+    drawMarks(ctx, face, index, layout, { dpi, trimLeft, trimTop, trimWidthPx, trimHeightPx, slugPx, bleedPx }) {
+        const trimRight = trimLeft + trimWidthPx;
+        const trimBottom = trimTop + trimHeightPx;
+        const gap = bleedPx + dpi / 16;
+        const markLength = Math.max(0, slugPx + bleedPx - gap);
+
+        ctx.strokeStyle = '#000000';
+        ctx.fillStyle = '#000000';
+        ctx.lineWidth = Math.max(1, dpi / 288); // 0.25pt
+
+        // Crop marks on the trim lines, kept clear of the bleed
+        ctx.beginPath();
+        for (const x of [trimLeft, trimRight]) {
+            ctx.moveTo(x, trimTop - gap);
+            ctx.lineTo(x, trimTop - gap - markLength);
+            ctx.moveTo(x, trimBottom + gap);
+            ctx.lineTo(x, trimBottom + gap + markLength);
+        }
+        for (const y of [trimTop, trimBottom]) {
+            ctx.moveTo(trimLeft - gap, y);
+            ctx.lineTo(trimLeft - gap - markLength, y);
+            ctx.moveTo(trimRight + gap, y);
+            ctx.lineTo(trimRight + gap + markLength, y);
+        }
+        ctx.stroke();
+
+        // Registration targets centred in the top and bottom slug
+        const radius = slugPx * 0.2;
+        const centerX = trimLeft + trimWidthPx / 2;
+        for (const centerY of [slugPx / 2, trimBottom + bleedPx + slugPx / 2]) {
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+            ctx.moveTo(centerX - radius * 1.5, centerY);
+            ctx.lineTo(centerX + radius * 1.5, centerY);
+            ctx.moveTo(centerX, centerY - radius * 1.5);
+            ctx.lineTo(centerX, centerY + radius * 1.5);
+            ctx.stroke();
+        }
+
+        // Strip label for assembly order, running up the left slug
+        ctx.save();
+        ctx.translate(slugPx / 2, trimTop + trimHeightPx / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.font = `${Math.round(slugPx * 0.3)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(
+            `${face.label} ${index + 1}/${layout.strips}  ${face.trimWidth.toFixed(2)}" × ${face.trimHeight.toFixed(2)}"  ${dpi} dpi`,
+            0,
+            0
+        );
+        ctx.restore();
+    }
+}
+
+// A quarter turn of an image or canvas: clockwise for direction 1,
+// anticlockwise for -1
+function turnImage(image, direction) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const canvas = document.createElement('canvas');
+    canvas.width = height;
+    canvas.height = width;
+    const ctx = canvas.getContext('2d');
+    if (direction > 0) {
+        ctx.translate(height, 0);
+    } else {
+        ctx.translate(0, width);
+    }
+    ctx.rotate((direction * Math.PI) / 2);
+    ctx.drawImage(image, 0, 0, width, height);
+    return canvas;
+}
+
+// A crop rect (normalised, see imageCrop.js) on the image turned clockwise
+function turnCropRect(rect) {
+    return { x: 1 - rect.y - rect.height, y: rect.x, width: rect.height, height: rect.width };
+}
+
+// Compress one strip into a lossless RGB image for the PDF
+async function encodePdfPage(canvas, dpi) {
+    const { width, height } = canvas;
+    const rgba = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const rgb = new Uint8Array(width * height * 3);
+    for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+        rgb[j] = rgba[i];
+        rgb[j + 1] = rgba[i + 1];
+        rgb[j + 2] = rgba[i + 2];
+    }
+
+    // CompressionStream('deflate') emits the zlib stream FlateDecode expects
+    const stream = new Blob([rgb]).stream().pipeThrough(new CompressionStream('deflate'));
+    const data = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    return { width, height, widthPt: (width / dpi) * 72, heightPt: (height / dpi) * 72, data };
+}
+
+// Assemble a PDF with one full-bleed image per page
+function buildPdf(pages) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (chunk) => {
+        const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+        parts.push(bytes);
+        length += bytes.length;
+    };
+    const object = (id, body, stream) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${body}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
+
+    write('%PDF-1.6\n%\xE2\xE3\xCF\xD3\n');
+
+    // Objects: 1 catalog, 2 page tree, then page / content / image triples
+    const pageIds = pages.map((page, i) => 3 + i * 3);
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+
+    pages.forEach((page, i) => {
+        const pageId = pageIds[i];
+        const userUnit = Math.max(1, Math.ceil(Math.max(page.widthPt, page.heightPt) / MAX_PDF_PAGE_POINTS));
+        const w = (page.widthPt / userUnit).toFixed(3);
+        const h = (page.heightPt / userUnit).toFixed(3);
+        const content = encoder.encode(`q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`);
+
+        object(pageId,
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}]` +
+            (userUnit > 1 ? ` /UserUnit ${userUnit}` : '') +
+            ` /Resources << /XObject << /Im0 ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>`);
+        object(pageId + 1, `<< /Length ${content.length} >>`, content);
+        object(pageId + 2,
+            `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height}` +
+            ` /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode /Length ${page.data.length} >>`,
+            page.data);
+    });
+
+    const objectCount = 3 + pages.length * 3;
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let id = 1; id < objectCount; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(parts, { type: 'application/pdf' });
+}
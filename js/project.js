@@ -0,0 +1,121 @@
+import { createZip, readZip } from './zip.js';
+
+// Project files are a zip holding project.json plus the original image (or
+// video) files: the board's, then any other campaign boards'
+const PROJECT_VERSION = 1;
+const IMAGE_KEYS = ['A', 'B', 'C'];
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'video/quicktime': 'mov'
+};
+
+// `boardImages` are per campaign board, like `images` (null for none)
+export async function createProjectFile(state, images, boardImages = []) {
+    const files = [];
+    const addImages = (faces, prefix) => {
+        const entries = {};
+        IMAGE_KEYS.forEach((key, i) => {
+            const image = faces && faces[i];
+            if (!image) return;
+            const path = `images/${prefix}${key}.${EXTENSIONS[image.type] || 'bin'}`;
+            entries[key] = { path, type: image.type };
+            files.push({ name: path, data: image });
+        });
+        return entries;
+    };
+
+    const project = {
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        ...state,
+        images: addImages(images, ''),
+        boardImages: boardImages.map((faces, board) => addImages(faces, `board-${board + 1}-`))
+    };
+    files.unshift({ name: 'project.json', data: JSON.stringify(project, null, 2) });
+
+    return createZip(files);
+}
+
+// Returns { state, images, boardImages } with images as Blobs (null where a
+// face has none)
+export async function readProjectFile(blob) {
+    const entries = await readZip(blob);
+    const json = entries.get('project.json');
+    if (!json) {
+        throw new Error('Not a Lenticular Viewer project (missing project.json)');
+    }
+
+    const { images: imageEntries = {}, boardImages = [], ...state } = JSON.parse(new TextDecoder().decode(json));
+    if (state.version > PROJECT_VERSION) {
+        throw new Error('This project was saved by a newer version of Lenticular Viewer');
+    }
+
+    const readImages = (faces) => IMAGE_KEYS.map((key) => {
+        const entry = faces[key];
+        const bytes = entry && entries.get(entry.path);
+        return bytes ? new Blob([bytes], { type: entry.type }) : null;
+    });
+
+    return { state, images: readImages(imageEntries), boardImages: boardImages.map(readImages) };
+}
+
+// Recent projects live in IndexedDB so the image data survives reloads
+const DB_NAME = 'lenticularViewer';
+const STORE_NAME = 'recentProjects';
+const MAX_RECENT_PROJECTS = 10;
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'name' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function runTransaction(mode, callback) {
+    return openDatabase().then((db) => new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const result = callback(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(result && 'result' in result ? result.result : undefined);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+}
+
+// Newest first, without the project blobs
+export async function listRecentProjects() {
+    const records = await runTransaction('readonly', (store) => store.getAll());
+    return records
+        .map(({ name, savedAt }) => ({ name, savedAt }))
+        .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export async function saveRecentProject(name, blob) {
+    await runTransaction('readwrite', (store) => store.put({ name, savedAt: Date.now(), blob }));
+
+    // Drop the oldest entries beyond the limit
+    const recent = await listRecentProjects();
+    const stale = recent.slice(MAX_RECENT_PROJECTS);
+    if (stale.length) {
+        await runTransaction('readwrite', (store) => stale.forEach(({ name }) => store.delete(name)));
+    }
+}
+
+export async function loadRecentProject(name) {
+    const record = await runTransaction('readonly', (store) => store.get(name));
+    return record ? record.blob : null;
+}
@@ -0,0 +1,203 @@
+import { PROOF_RISKS } from './legibility.js';
+
+// Drawing for the artwork proof: each image laid out as it spans the board,
+// the flagged regions over it, and a one-page sheet to hand round.
+
+// Seam risks orange, thin strokes red
+export const PROOF_COLORS = {
+    seam: '#ff9f1a',
+    stroke: '#e5484d'
+};
+
+// Widest the artwork is analysed at, in pixels across the board
+export const PROOF_WIDTH = 1024;
+
+const SHEET_WIDTH = 1600;
+const SHEET_PADDING = 40;
+const FONT = 'sans-serif';
+
+// Regions listed per face; the rest are summed up in one line
+const MAX_LISTED = 30;
+
+// The part of `image` inside the crop `rect` (normalised, see imageCrop.js),
+// on a canvas with the board's proportions. Letterboxed areas stay black,
+// as on the board.
+export function drawBoardArtwork(image, rect, boardAspect, width = PROOF_WIDTH) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = Math.max(1, Math.round(width / boardAspect));
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const imageWidth = canvas.width / rect.width;
+    const imageHeight = canvas.height / rect.height;
+    ctx.drawImage(image, -rect.x * imageWidth, -rect.y * imageHeight, imageWidth, imageHeight);
+    return canvas;
+}
+
+// Horizontal slats are proofed as vertical ones: the artwork turned a
+// quarter turn clockwise, so the board's bottom edge runs down the left
+export function turnArtwork(artwork) {
+    const canvas = document.createElement('canvas');
+    canvas.width = artwork.height;
+    canvas.height = artwork.width;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.translate(canvas.width, 0);
+    ctx.rotate(Math.PI / 2);
+    ctx.drawImage(artwork, 0, 0);
+    return canvas;
+}
+
+// A region found on turned artwork, back in board coordinates
+export function turnRegionBack(region) {
+    return {
+        ...region,
+        x: region.y,
+        y: 1 - region.x - region.width,
+        width: region.height,
+        height: region.width
+    };
+}
+
+// Outlines and a light fill for each region (board coordinates, 0-1) inside
+// the given rectangle. With `numbered`, each gets its number in the list.
+export function drawProofRegions(ctx, regions, x, y, width, height, { numbered = false, fill = 0.2 } = {}) {
+    const lineWidth = Math.max(1.5, width / 400);
+    const fontSize = Math.round(Math.max(11, width / 60));
+    ctx.save();
+    ctx.lineWidth = lineWidth;
+    ctx.font = `bold ${fontSize}px ${FONT}`;
+    ctx.textBaseline = 'top';
+
+    regions.forEach((region, i) => {
+        const left = x + region.x * width;
+        const top = y + region.y * height;
+        const regionWidth = region.width * width;
+        const regionHeight = region.height * height;
+        ctx.fillStyle = PROOF_COLORS[region.kind];
+        ctx.strokeStyle = PROOF_COLORS[region.kind];
+
+        ctx.globalAlpha = fill;
+        ctx.fillRect(left, top, regionWidth, regionHeight);
+        ctx.globalAlpha = 1;
+        ctx.strokeRect(left, top, regionWidth, regionHeight);
+
+        if (numbered) {
+            const label = String(i + 1);
+            const padding = lineWidth * 2;
+            ctx.fillRect(left, top, ctx.measureText(label).width + padding * 2, fontSize + padding * 2);
+            ctx.fillStyle = '#000';
+            ctx.fillText(label, left + padding, top + padding);
+        }
+    });
+    ctx.restore();
+}
+
+// Transparent canvas of one face's regions, for the overlay on the 3D board
+export function createProofOverlayCanvas(regions, width = PROOF_WIDTH, boardAspect = 2) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = Math.max(1, Math.round(width / boardAspect));
+    drawProofRegions(canvas.getContext('2d'), regions, 0, 0, canvas.width, canvas.height, { fill: 0.35 });
+    return canvas;
+}
+
+// One sheet with a title, summary lines and each face's artwork with its
+// slat seams and numbered regions, listed underneath. faces are
+// { label, artwork (canvas), regions, seams (positions across the slats,
+// 0-1) }; seams run across the artwork when the slats are `horizontal`.
+export function createProofSheet({ title, summary, faces, horizontal = false }) {
+    const contentWidth = SHEET_WIDTH - SHEET_PADDING * 2;
+    const lineHeight = 26;
+    const listLines = (face) => Math.max(1, Math.min(face.regions.length, MAX_LISTED + 1));
+    const panelHeights = faces.map((face) =>
+        lineHeight * 1.5 + (contentWidth * face.artwork.height) / face.artwork.width + 12 + listLines(face) * lineHeight);
+    const headerHeight = 48 + summary.length * lineHeight + 16;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = SHEET_WIDTH;
+    canvas.height = Math.round(SHEET_PADDING * 2 + headerHeight +
+        panelHeights.reduce((sum, height) => sum + height + SHEET_PADDING, 0));
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#111';
+    ctx.textBaseline = 'top';
+
+    let y = SHEET_PADDING;
+    ctx.font = `bold 32px ${FONT}`;
+    ctx.fillText(title, SHEET_PADDING, y);
+    y += 48;
+    ctx.font = `18px ${FONT}`;
+    summary.forEach((line) => {
+        ctx.fillText(line, SHEET_PADDING, y);
+        y += lineHeight;
+    });
+    y += 16;
+
+    faces.forEach((face) => {
+        ctx.font = `bold 22px ${FONT}`;
+        ctx.fillStyle = '#111';
+        ctx.fillText(face.label, SHEET_PADDING, y);
+        y += lineHeight * 1.5;
+
+        const height = (contentWidth * face.artwork.height) / face.artwork.width;
+        ctx.drawImage(face.artwork, SHEET_PADDING, y, contentWidth, height);
+
+        // Slat seams, faint enough to read the artwork through
+        ctx.strokeStyle = `rgba(255, 255, 255, ${Math.min(0.6, contentWidth / face.seams.length / 20)})`;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        face.seams.forEach((seam) => {
+            if (horizontal) {
+                const seamY = Math.round(y + seam * height) + 0.5;
+                ctx.moveTo(SHEET_PADDING, seamY);
+                ctx.lineTo(SHEET_PADDING + contentWidth, seamY);
+            } else {
+                const x = Math.round(SHEET_PADDING + seam * contentWidth) + 0.5;
+                ctx.moveTo(x, y);
+                ctx.lineTo(x, y + height);
+            }
+        });
+        ctx.stroke();
+        drawProofRegions(ctx, face.regions, SHEET_PADDING, y, contentWidth, height, { numbered: true });
+        ctx.strokeStyle = '#111';
+        ctx.strokeRect(SHEET_PADDING, y, contentWidth, height);
+        y += height + 12;
+
+        ctx.font = `18px ${FONT}`;
+        if (face.regions.length === 0) {
+            ctx.fillStyle = '#111';
+            ctx.fillText('No risks found', SHEET_PADDING, y);
+            y += lineHeight;
+        }
+        face.regions.slice(0, MAX_LISTED).forEach((region, i) => {
+            ctx.fillStyle = PROOF_COLORS[region.kind];
+            ctx.fillRect(SHEET_PADDING, y + 3, 14, 14);
+            ctx.fillStyle = '#111';
+            ctx.fillText(`${i + 1}. ${describeProofRegion(region)}`, SHEET_PADDING + 24, y);
+            y += lineHeight;
+        });
+        if (face.regions.length > MAX_LISTED) {
+            ctx.fillStyle = '#111';
+            ctx.fillText(`…and ${face.regions.length - MAX_LISTED} smaller areas`, SHEET_PADDING + 24, y);
+            y += lineHeight;
+        }
+        y += SHEET_PADDING;
+    });
+
+    return canvas;
+}
+
+// e.g. "Detail across a slat seam: 4 seams, 30–45% across, 20–35% down"
+export function describeProofRegion(region) {
+    const percent = (value) => Math.round(value * 100);
+    const where = `${percent(region.x)}–${percent(region.x + region.width)}% across, ` +
+        `${percent(region.y)}–${percent(region.y + region.height)}% down`;
+    const detail = region.kind === 'seam'
+        ? `${region.seams} seam${region.seams === 1 ? '' : 's'}`
+        : `strokes from ${region.stroke.toFixed(1)} in`;
+    return `${PROOF_RISKS[region.kind].label}: ${detail}, ${where}`;
+}
@@ -0,0 +1,126 @@
+// Viewer state in the page URL, for links that open the same board.
+// Images can't travel in a URL, so links name image URLs (a, b, c) or a
+// project file (project) to fetch instead. `embed` gives the read-only
+// viewport-only view for iframes.
+
+import { DEFAULT_CONSTRUCTION } from './slatProfile.js';
+import { SURFACES } from './surface.js';
+
+const FACE_PARAMS = ['a', 'b', 'c'];
+
+// Construction sizes (inches) travel together, in this order
+const BUILD_PARAMS = ['peakFlat', 'valleyFlat', 'gap', 'thickness', 'frameWidth'];
+
+const round = (value, places = 2) => +Number(value).toFixed(places);
+
+// state: { settings, construction, surface, preset, sweepAngle,
+// animationSpeed, camera: { azimuth, elevation, distance } (degrees),
+// images: [url|null], project, embed }
+export function encodeShareState(state) {
+    const params = new URLSearchParams();
+    if (state.project) params.set('project', state.project);
+    if (state.preset) params.set('preset', state.preset);
+
+    const { settings } = state;
+    params.set('w', round(settings.width, 3));
+    params.set('h', round(settings.height, 3));
+    params.set('slats', settings.slats);
+    params.set('angle', settings.angle);
+    if (settings.rightAngle != null) params.set('angle2', settings.rightAngle);
+    params.set('profile', settings.profile);
+    // Vertical is the default, so most links don't need it
+    if (settings.orientation === 'horizontal') params.set('orientation', 'horizontal');
+
+    // The knife-edge build on a flat wall is the default, so most links
+    // don't need these either
+    const construction = { ...DEFAULT_CONSTRUCTION, ...state.construction };
+    if (BUILD_PARAMS.some((key) => construction[key])) {
+        params.set('build', BUILD_PARAMS.map((key) => round(construction[key], 3)).join(','));
+    }
+    if (construction.frameColor !== DEFAULT_CONSTRUCTION.frameColor) {
+        params.set('frameColor', construction.frameColor.replace(/^#/, ''));
+    }
+    if (construction.finish !== DEFAULT_CONSTRUCTION.finish) params.set('finish', construction.finish);
+
+    const { surface } = state;
+    if (surface && surface.type !== 'flat') {
+        params.set('surface', surface.type);
+        if (surface.type === 'cylinder') params.set('radius', round(surface.radius, 3));
+        if (surface.type === 'corner') params.set('bend', round(surface.bend, 3));
+    }
+
+    params.set('sweep', state.sweepAngle);
+    params.set('speed', state.animationSpeed);
+
+    if (state.camera) {
+        const { azimuth, elevation, distance } = state.camera;
+        params.set('cam', [round(azimuth, 1), round(elevation, 1), round(distance)].join(','));
+    }
+
+    (state.images || []).forEach((url, i) => {
+        if (url) params.set(FACE_PARAMS[i], url);
+    });
+
+    // A bare flag reads better than "embed=" in a link
+    const query = params.toString();
+    return state.embed ? [query, 'embed'].filter(Boolean).join('&') : query;
+}
+
+// Only what the URL actually names is returned, so it can be laid over
+// whatever the viewer loaded from storage or a project
+export function decodeShareState(search) {
+    const params = new URLSearchParams(search);
+    const number = (key) => {
+        const value = parseFloat(params.get(key));
+        return Number.isFinite(value) ? value : undefined;
+    };
+
+    const settings = {};
+    if (number('w') > 0) settings.width = number('w');
+    if (number('h') > 0) settings.height = number('h');
+    if (number('slats') >= 1) settings.slats = Math.round(number('slats'));
+    if (number('angle') > 0 && number('angle') < 90) settings.angle = number('angle');
+    if (number('angle2') > 0 && number('angle2') < 90) settings.rightAngle = number('angle2');
+    if (params.get('profile')) settings.profile = params.get('profile');
+    if (params.has('orientation')) settings.orientation = params.get('orientation') === 'horizontal' ? 'horizontal' : 'vertical';
+
+    const construction = {};
+    const build = (params.get('build') || '').split(',').map(parseFloat);
+    if (build.length === BUILD_PARAMS.length && build.every((value) => value >= 0)) {
+        BUILD_PARAMS.forEach((key, i) => {
+            construction[key] = build[i];
+        });
+    }
+    if (/^[0-9a-f]{6}$/i.test(params.get('frameColor'))) construction.frameColor = `#${params.get('frameColor')}`;
+    if (params.get('finish')) construction.finish = params.get('finish');
+
+    const surface = {};
+    if (SURFACES[params.get('surface')]) surface.type = params.get('surface');
+    if (number('radius') > 0) surface.radius = number('radius');
+    if (number('bend') >= 0 && number('bend') <= 1) surface.bend = number('bend');
+
+    const state = {
+        settings,
+        construction,
+        surface,
+        preset: params.get('preset') || null,
+        sweepAngle: number('sweep'),
+        animationSpeed: number('speed'),
+        camera: null,
+        images: FACE_PARAMS.map((key) => params.get(key) || null),
+        project: params.get('project') || null,
+        embed: params.has('embed')
+    };
+
+    const camera = (params.get('cam') || '').split(',').map(parseFloat);
+    if (camera.length === 3 && camera.every(Number.isFinite) && camera[2] > 0) {
+        const [azimuth, elevation, distance] = camera;
+        state.camera = { azimuth, elevation, distance };
+    }
+
+    state.isEmpty = !state.project && !state.preset && !state.camera &&
+        Object.keys(settings).length === 0 && Object.keys(construction).length === 0 &&
+        Object.keys(surface).length === 0 && !state.images.some(Boolean) &&
+        state.sweepAngle === undefined && state.animationSpeed === undefined;
+    return state;
+}
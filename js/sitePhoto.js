@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+
+// Site context mockups: a photo of the board's location as the backdrop, with
+// the board's four corners pinned onto the photo to recover the camera pose.
+// Corners are [x, y] in normalised photo coordinates (0-1, y down), in the
+// order top-left, top-right, bottom-right, bottom-left.
+
+export const CORNER_LABELS = ['Top left', 'Top right', 'Bottom right', 'Bottom left'];
+
+// Used when the pinned corners can't pin down the focal length, e.g. a
+// straight-on shot where the board edges stay parallel
+const FALLBACK_FOV = 50;
+
+// Longest edge kept when a photo is stored with a preset (localStorage is small)
+const MAX_STORED_SIZE = 2048;
+
+// Starting corners: a board-shaped rectangle in the middle of the photo
+export function getDefaultCorners(photoAspect, boardAspect) {
+    const width = Math.min(0.6, (0.6 * boardAspect) / photoAspect);
+    const height = (width * photoAspect) / boardAspect;
+    const left = (1 - width) / 2;
+    const top = (1 - height) / 2;
+    return [
+        [left, top],
+        [left + width, top],
+        [left + width, top + height],
+        [left, top + height]
+    ];
+}
+
+// Solve the linear system `a x = b` in place (Gaussian elimination, partial pivoting)
+function solveLinear(a, b) {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-12) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k < n; k++) a[row][k] -= factor * a[col][k];
+            b[row] -= factor * b[col];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+        x[row] = sum / a[row][row];
+    }
+    return x;
+}
+
+// 3x3 homography (row-major, h33 = 1) mapping each `from` point to `to`
+export function solveHomography(from, to) {
+    const a = [];
+    const b = [];
+    from.forEach(([x, y], i) => {
+        const [u, v] = to[i];
+        a.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+        b.push(u);
+        a.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+        b.push(v);
+    });
+
+    const h = solveLinear(a, b);
+    return h && [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]];
+}
+
+// Camera pose that puts the board's corners on the pinned photo points.
+// Assumes square pixels and a centred principal point, so only the focal
+// length is unknown. Returns the vertical field of view (degrees), the camera
+// position and its right/up/back axes in board space, or null if the corners
+// don't describe a board in front of the camera.
+export function solveCameraPose(corners, photoWidth, photoHeight, boardWidth, boardHeight) {
+    // Board plane corners (feet, z = 0) and photo points in pixels from the centre
+    const board = [
+        [-boardWidth / 2, boardHeight / 2],
+        [boardWidth / 2, boardHeight / 2],
+        [boardWidth / 2, -boardHeight / 2],
+        [-boardWidth / 2, -boardHeight / 2]
+    ];
+    const image = corners.map(([x, y]) => [(x - 0.5) * photoWidth, (y - 0.5) * photoHeight]);
+
+    const H = solveHomography(board, image);
+    if (!H) return null;
+    const [[h11, h12, h13], [h21, h22, h23], [h31, h32, h33]] = H;
+
+    // The board's x and y axes must come out perpendicular and equally long
+    let focalSquared = -(h11 * h12 + h21 * h22) / (h31 * h32);
+    if (!(focalSquared > 0) || !isFinite(focalSquared)) {
+        focalSquared = (h12 * h12 + h22 * h22 - h11 * h11 - h21 * h21) / (h31 * h31 - h32 * h32);
+    }
+    const focal = focalSquared > 0 && isFinite(focalSquared)
+        ? Math.sqrt(focalSquared)
+        : photoHeight / 2 / Math.tan((FALLBACK_FOV * Math.PI) / 360);
+
+    // Columns of K⁻¹H are the board axes and origin in camera space (x right,
+    // y down, z forward), up to a common scale
+    const column = (i) => new THREE.Vector3(H[0][i] / focal, H[1][i] / focal, H[2][i]);
+    const c1 = column(0);
+    const c2 = column(1);
+    const c3 = new THREE.Vector3(h13 / focal, h23 / focal, h33);
+
+    let scale = 2 / (c1.length() + c2.length());
+    if (c3.z * scale < 0) scale = -scale;
+
+    const r1 = c1.multiplyScalar(scale).normalize();
+    const r2 = c2.multiplyScalar(scale);
+    r2.sub(r1.clone().multiplyScalar(r1.dot(r2))).normalize();
+    const r3 = new THREE.Vector3().crossVectors(r1, r2);
+    const t = c3.multiplyScalar(scale);
+
+    // World-to-camera rotation has r1, r2, r3 as columns
+    const rotation = new THREE.Matrix3().set(
+        r1.x, r2.x, r3.x,
+        r1.y, r2.y, r3.y,
+        r1.z, r2.z, r3.z
+    );
+    const inverse = rotation.clone().transpose();
+    const position = t.clone().applyMatrix3(inverse).negate();
+
+    // The board's front faces +z, so the camera has to be in front of it
+    if (position.z <= 0) return null;
+
+    // Rows of the rotation (columns of its inverse) are the camera axes,
+    // flipped into three.js conventions (y up, looking down -z)
+    const e = inverse.elements;
+    return {
+        fov: (2 * Math.atan(photoHeight / 2 / focal) * 180) / Math.PI,
+        position: position.toArray(),
+        xAxis: [e[0], e[1], e[2]],
+        yAxis: [-e[3], -e[4], -e[5]],
+        zAxis: [-e[6], -e[7], -e[8]]
+    };
+}
+
+// Place the camera at the solved pose, orbited around the board centre by the
+// camera path's azimuth and elevation. Azimuth 0 is the photo's own viewpoint;
+// the photo is a still, so views away from it drift against the backdrop.
+export function applySiteCameraState(camera, pose, { azimuth = 0, elevation = 0 } = {}) {
+    const basis = new THREE.Matrix4().makeBasis(
+        new THREE.Vector3(...pose.xAxis),
+        new THREE.Vector3(...pose.yAxis),
+        new THREE.Vector3(...pose.zAxis)
+    );
+    const orbit = new THREE.Matrix4()
+        .makeRotationY(azimuth)
+        .multiply(new THREE.Matrix4().makeRotationX(-elevation));
+
+    camera.position.fromArray(pose.position).applyMatrix4(orbit);
+    camera.quaternion.setFromRotationMatrix(orbit.multiply(basis));
+    if (camera.fov !== pose.fov) {
+        camera.fov = pose.fov;
+        camera.updateProjectionMatrix();
+    }
+}
+
+// Show the part of the photo that covers the viewport, with the camera's
+// frustum cropped to match so the board stays registered to the backdrop
+export function applySiteView(camera, texture, viewportWidth, viewportHeight) {
+    const { width: photoWidth, height: photoHeight } = texture.image;
+    const viewAspect = viewportWidth / viewportHeight;
+    const photoAspect = photoWidth / photoHeight;
+
+    let cropWidth = photoWidth;
+    let cropHeight = photoHeight;
+    if (viewAspect > photoAspect) {
+        cropHeight = photoWidth / viewAspect;
+    } else {
+        cropWidth = photoHeight * viewAspect;
+    }
+    const cropX = (photoWidth - cropWidth) / 2;
+    const cropY = (photoHeight - cropHeight) / 2;
+
+    camera.aspect = photoAspect;
+    camera.setViewOffset(photoWidth, photoHeight, cropX, cropY, cropWidth, cropHeight);
+
+    texture.repeat.set(cropWidth / photoWidth, cropHeight / photoHeight);
+    texture.offset.set(cropX / photoWidth, 1 - (cropY + cropHeight) / photoHeight);
+
+    return { cropX, cropY, cropWidth, cropHeight, scale: viewportWidth / cropWidth };
+}
+
+// Downscale a photo file to a JPEG data URL small enough to keep in a preset
+export function encodeSitePhoto(file) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        const url = URL.createObjectURL(file);
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            const scale = Math.min(1, MAX_STORED_SIZE / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.width * scale);
+            canvas.height = Math.round(img.height * scale);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/jpeg', 0.85));
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Could not read ${file.name} as an image`));
+        };
+        img.src = url;
+    });
+}
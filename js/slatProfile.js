@@ -0,0 +1,216 @@
+// Slat cross-section maths, kept free of three.js and the DOM so the geometry,
+// print export and visibility analysis can all share it.
+
+// Slat profiles, as points across one slat from valley (x = 0) to valley (x = 1).
+// Depth is in units of the run to the first peak, so it scales with tan(angle).
+// Each segment between two points is one face, assigned to the image index in `faces`.
+export const SLAT_PROFILES = {
+    // Two-face sawtooth: left face shows A, right face shows B
+    zigzag: {
+        label: 'Zigzag (2 images)',
+        points: [[0, 0], [0.5, 1], [1, 0]],
+        faces: [0, 1],
+        run: 0.5
+    },
+    // Tri-vision prism: left face A, front face B, right face C
+    prism: {
+        label: 'Tri-vision prism (3 images)',
+        points: [[0, 0], [1 / 3, 1], [2 / 3, 1], [1, 0]],
+        faces: [0, 1, 2],
+        run: 1 / 3
+    }
+};
+
+// Which way the slats run. Vertical slats (the default) flip the images as
+// viewers move sideways; horizontal slats flip them as viewers rise or fall
+// past the board, e.g. approaching an overpass. A horizontal board is a
+// vertical one on its side, so the slat maths only needs the board's length
+// across the slats and along them: { across, along } for a board's
+// { width, height, orientation }.
+export function getSlatLengths({ width, height, orientation }) {
+    return orientation === 'horizontal' ? { across: height, along: width } : { across: width, along: height };
+}
+
+// Slat angle for display: "45°", or "30° / 60°" when the last face has its
+// own angle
+export function formatSlatAngle({ angle, rightAngle }) {
+    return rightAngle == null || rightAngle === angle ? `${angle}°` : `${angle}° / ${rightAngle}°`;
+}
+
+export function getFaceCount(profile = 'zigzag') {
+    const { faces } = SLAT_PROFILES[profile] || SLAT_PROFILES.zigzag;
+    return Math.max(...faces) + 1;
+}
+
+// Physical construction, in inches: flat lands at the peaks and valleys, a
+// gap between neighbouring slats, the slat stock's thickness (seen as walls
+// down into the gaps) and a frame covering the board's edges. The frame colour
+// and surface finish only change materials. All zero is the ideal knife-edge
+// board.
+export const DEFAULT_CONSTRUCTION = {
+    peakFlat: 0,
+    valleyFlat: 0,
+    gap: 0,
+    thickness: 0,
+    frameWidth: 0,
+    frameColor: '#2a2a2a',
+    finish: 'matte'
+};
+
+// Faces keep at least this share of their ideal width; lands and gaps too
+// wide for the slat pitch are scaled back to fit
+const MIN_FACE_SHARE = 0.2;
+
+// Lay out one slat's faces in feet, relative to the slat's left edge.
+// Shared by the geometry and the print exporter so previews and print strips
+// always slice the artwork the same way.
+//
+// Image faces carry `u0`/`u1`: the part of the slat's slice of artwork they
+// still show. An ideal face shows the whole slice; lands and the gap take
+// over the ends of the faces next to them, and the artwork there is lost.
+// Lands, gap floors and slat edges are segments with face -1 and a `kind`.
+// Pass the board's `height` in options so the frame fits both ways.
+//
+// `angle` is the first face's slope. Asymmetric boards give the last face its
+// own slope with options.rightAngle (the same as `angle` when unset), which
+// moves the peak toward the steeper side: a wide shallow face toward oncoming
+// traffic and a narrow steep one for the reveal.
+export function getSlatSegments(width, slats, angle, options = {}) {
+    const profile = SLAT_PROFILES[options.profile] || SLAT_PROFILES.zigzag;
+    const construction = { ...DEFAULT_CONSTRUCTION, ...options.construction };
+
+    // Convert angle from degrees to radians
+    const angleRad = (angle * Math.PI) / 180;
+    const tanLeft = Math.tan(angleRad);
+    const tanRight = Math.tan(((options.rightAngle ?? angle) * Math.PI) / 180);
+
+    // The frame covers the board's edges; the slats fill what's left
+    const frameWidth = Math.min(Math.max(0, construction.frameWidth) / 12, width / 4, (options.height ?? width) / 4);
+    const innerWidth = width - 2 * frameWidth;
+    const slatWidth = innerWidth / slats;
+
+    // A knife-edge peak: a point at full depth between two sloped faces
+    const points = tiltProfile(profile.points, tanLeft, tanRight);
+    const isKnifePeak = (i) => i > 0 && i < points.length - 1 &&
+        points[i][1] === 1 && points[i - 1][1] !== 1 && points[i + 1][1] !== 1;
+
+    // Width each face gives up at its start and end, before scaling back
+    let gap = Math.max(0, construction.gap) / 12;
+    let valleyFlat = Math.max(0, construction.valleyFlat) / 12;
+    let peakFlat = Math.max(0, construction.peakFlat) / 12;
+    const faces = profile.faces.map((face, f) => ({
+        face,
+        span: (points[f + 1][0] - points[f][0]) * slatWidth,
+        before: (f === 0 ? (gap + valleyFlat) / 2 : 0) + (isKnifePeak(f) ? peakFlat / 2 : 0),
+        after: (f === profile.faces.length - 1 ? (gap + valleyFlat) / 2 : 0) + (isKnifePeak(f + 1) ? peakFlat / 2 : 0)
+    }));
+
+    const scale = Math.min(1, ...faces
+        .filter(({ before, after }) => before + after > 0)
+        .map(({ span, before, after }) => ((1 - MIN_FACE_SHARE) * span) / (before + after)));
+    gap *= scale;
+    valleyFlat *= scale;
+    peakFlat *= scale;
+    faces.forEach((entry) => {
+        entry.before *= scale;
+        entry.after *= scale;
+    });
+
+    // What the lands and gap leave of the first and last faces should still
+    // reach the same depth at their own slopes, so share the run again
+    if (tanLeft !== tanRight) {
+        const first = faces[0];
+        const last = faces[faces.length - 1];
+        const run = first.span + last.span;
+        const trimmed = run - first.before - first.after - last.before - last.after;
+        first.span = first.before + first.after + (trimmed * tanRight) / (tanLeft + tanRight);
+        last.span = run - first.span;
+    }
+
+    // Sloped faces keep the slat angle, so narrower faces mean shallower peaks
+    const firstFace = faces[0];
+    const peakDepth = (firstFace.span - firstFace.before - firstFace.after) * tanLeft;
+    const thickness = gap > 0 ? Math.max(0, construction.thickness) / 12 : 0;
+
+    const segments = [];
+    let x = 0;
+    let z = 0;
+    const lineTo = (x1, z1, extra) => {
+        if (x1 === x && z1 === z) return;
+        segments.push({ x0: x, z0: z, x1, z1, length: Math.hypot(x1 - x, z1 - z), ...extra });
+        x = x1;
+        z = z1;
+    };
+
+    // Gap floor and slat edge, then the valley land, on each side
+    if (gap > 0) {
+        z = -thickness;
+        lineTo(gap / 2, -thickness, { face: -1, kind: 'gap' });
+        lineTo(gap / 2, 0, { face: -1, kind: 'edge' });
+    }
+    lineTo(x + valleyFlat / 2, 0, { face: -1, kind: 'land' });
+
+    faces.forEach(({ face, span, before, after }, f) => {
+        lineTo(x + span - before - after, points[f + 1][1] * peakDepth, {
+            face,
+            kind: 'face',
+            u0: before / span,
+            u1: 1 - after / span
+        });
+        if (isKnifePeak(f + 1)) {
+            lineTo(x + peakFlat, z, { face: -1, kind: 'land' });
+        }
+    });
+
+    lineTo(x + valleyFlat / 2, 0, { face: -1, kind: 'land' });
+    if (gap > 0) {
+        lineTo(x, -thickness, { face: -1, kind: 'edge' });
+        lineTo(slatWidth, -thickness, { face: -1, kind: 'gap' });
+    }
+
+    return {
+        slatWidth,
+        peakDepth,
+        segments,
+        faceCount: Math.max(...profile.faces) + 1,
+        width,
+        frameWidth,
+        // What was actually built, after scaling back oversized lands and gaps
+        construction: {
+            ...construction,
+            gap: gap * 12,
+            valleyFlat: valleyFlat * 12,
+            peakFlat: peakFlat * 12,
+            frameWidth: frameWidth * 12
+        }
+    };
+}
+
+// Profile points with the rise to the first peak and the fall from the last
+// resized so both reach full depth at their own slopes (tangents). Flat tops
+// between them, like the prism's front face, keep their width.
+function tiltProfile(points, tanLeft, tanRight) {
+    if (tanLeft === tanRight) return points;
+
+    const firstPeak = points.findIndex(([, depth]) => depth === 1);
+    const lastPeak = points.map(([, depth]) => depth).lastIndexOf(1);
+    const rise = points[firstPeak][0];
+    const fall = 1 - points[lastPeak][0];
+    const left = ((rise + fall) * tanRight) / (tanLeft + tanRight);
+    const right = rise + fall - left;
+
+    return points.map(([x, depth], i) => {
+        if (i <= firstPeak) return [(x * left) / rise, depth];
+        if (i >= lastPeak) return [1 - ((1 - x) * right) / fall, depth];
+        return [x - rise + left, depth];
+    });
+}
+
+// Image u range (0-1 across the whole board, frame included) that one face
+// segment of slat `index` shows
+export function getSegmentUVRange(board, index, segment) {
+    const { slatWidth, frameWidth, width } = board;
+    const start = (frameWidth + index * slatWidth) / width;
+    const span = slatWidth / width;
+    return [start + segment.u0 * span, start + segment.u1 * span];
+}
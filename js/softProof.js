@@ -0,0 +1,298 @@
+// Print soft-proofing: how the artwork's screen colours come out in ink. A
+// print profile separates each colour into CMYK and prints it back, so
+// colours the inks can't reach come back changed (and are flagged), the
+// substrate's white tints the whole print and extra dot gain darkens the
+// midtones. Profiles are either the bundled print conditions below, modelled
+// from their paper and solid ink colours, or ICC profiles (iccProfile.js).
+// The whole conversion is baked into a lookup table over sRGB, which the
+// face shader and the previews both read. No three.js or DOM dependencies.
+
+// Paper and solid inks as CIELAB (D50), roughly as measured for each
+// condition. Ink limits are total coverage (3 = 300%).
+export const PRINT_PROFILES = {
+    vinyl: {
+        label: 'Solvent inkjet on white vinyl',
+        paper: [94, 1, -4],
+        inks: { cyan: [57, -33, -50], magenta: [50, 75, -6], yellow: [88, -4, 95], black: [14, 0, 1] },
+        inkLimit: 2.8
+    },
+    coated: {
+        label: 'Offset on coated paper (FOGRA39-like)',
+        paper: [95, 0, -2],
+        inks: { cyan: [55, -37, -50], magenta: [48, 74, -3], yellow: [89, -5, 93], black: [16, 0, 0] },
+        inkLimit: 3.3
+    },
+    uncoated: {
+        label: 'Offset on uncoated paper (FOGRA29-like)',
+        paper: [95, 0, -2],
+        inks: { cyan: [60, -26, -44], magenta: [56, 61, -1], yellow: [89, -4, 78], black: [31, 1, 1] },
+        inkLimit: 3
+    },
+    newsprint: {
+        label: 'Newsprint',
+        paper: [85, 0, 5],
+        inks: { cyan: [56, -23, -28], magenta: [52, 46, 0], yellow: [78, -3, 58], black: [36, 1, 2] },
+        inkLimit: 2.4
+    }
+};
+
+// Profile key for the user's own ICC file
+export const ICC_PROFILE = 'icc';
+
+// `dotGain` is extra gain at 50% on top of what the profile expects, for
+// presses running heavier than they were profiled (0-0.3)
+export const DEFAULT_SOFT_PROOF = {
+    enabled: false,
+    profile: 'vinyl',
+    paperWhite: true,
+    dotGain: 0,
+    gamutWarning: true
+};
+
+// Stripes over out-of-gamut colours, every other run of this many pixels
+export const GAMUT_WARNING_COLOR = [255, 0, 255];
+export const GAMUT_STRIPE = 4;
+
+// D50, the white that profiles work to
+export const D50 = [0.9642, 1, 0.8249];
+
+// Lookup table points along each of R, G and B. Building a table solves
+// for the inks at every point, so it's kept to the usual profile grid.
+const LUT_SIZE = 17;
+
+// Colour difference (CIE76) a colour can come back from the inks with
+// before it counts as out of gamut. Round trips through real profiles
+// drift by a couple of units even inside the gamut.
+const GAMUT_DELTA_E = 5;
+
+// Black comes in once the grey component passes this (medium GCR)
+const BLACK_START = 0.3;
+
+// Light scattering in the paper, which makes halftones print darker than
+// their coverage
+const YULE_NIELSEN = 2;
+
+// Darkest a channel can go, which keeps the logs finite
+const MIN_REFLECTANCE = 0.002;
+
+const SOLVE_STEPS = 12;
+
+// sRGB primaries adapted to D50, as ICC profiles use them
+const LINEAR_TO_XYZ = [
+    [0.4360747, 0.3850649, 0.1430804],
+    [0.2225045, 0.7168786, 0.0606169],
+    [0.0139322, 0.0971045, 0.7141733]
+];
+const XYZ_TO_LINEAR = [
+    [3.1338561, -1.6168667, -0.4906146],
+    [-0.9787684, 1.9161415, 0.033454],
+    [0.0719453, -0.2289914, 1.4052427]
+];
+
+export function decodeSrgb(value) {
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+}
+
+export function encodeSrgb(value) {
+    return value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055;
+}
+
+export function linearToXyz(rgb) {
+    return LINEAR_TO_XYZ.map((row) => row[0] * rgb[0] + row[1] * rgb[1] + row[2] * rgb[2]);
+}
+
+export function xyzToLinear(xyz) {
+    return XYZ_TO_LINEAR.map((row) => row[0] * xyz[0] + row[1] * xyz[1] + row[2] * xyz[2]);
+}
+
+export function xyzToLab(xyz) {
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const [fx, fy, fz] = xyz.map((value, i) => f(value / D50[i]));
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+export function labToXyz([l, a, b]) {
+    const fy = (l + 16) / 116;
+    const f = (t) => (t ** 3 > 216 / 24389 ? t ** 3 : (116 * t - 16) / (24389 / 27));
+    return [f(fy + a / 500), f(fy), f(fy - b / 200)].map((value, i) => value * D50[i]);
+}
+
+function deltaE(lab1, lab2) {
+    return Math.hypot(lab1[0] - lab2[0], lab1[1] - lab2[1], lab1[2] - lab2[2]);
+}
+
+function clamp(value, min = 0, max = 1) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// Coverage after `gain` extra dot gain at 50%, keeping solids and paper
+export function addDotGain(coverage, gain) {
+    if (gain <= 0) return coverage;
+    const power = Math.log(0.5 - Math.min(gain, 0.45)) / Math.log(0.5);
+    return 1 - (1 - coverage) ** power;
+}
+
+// One of PRINT_PROFILES as a profile: { whitePoint, separate(xyz) -> cmyk,
+// print(cmyk) -> xyz }, colours relative to the paper as ICC profiles work.
+// Prints mix the 16 overprints of the solid inks by their coverage
+// (Neugebauer), one linear RGB channel at a time, each ink filtering the
+// light that the paper reflects.
+export function createPrintModel(condition) {
+    const paper = labToXyz(condition.paper);
+    const paperRgb = xyzToLinear(paper);
+    const inks = ['cyan', 'magenta', 'yellow', 'black'].map((ink) =>
+        xyzToLinear(labToXyz(condition.inks[ink])).map((value, channel) =>
+            clamp(value / paperRgb[channel], MIN_REFLECTANCE)));
+    const primaries = Array.from({ length: 16 }, (_, overprint) => [0, 1, 2].map((channel) =>
+        inks.reduce((product, ink, i) => (overprint & (1 << i) ? product * ink[channel] : product), 1) ** (1 / YULE_NIELSEN)));
+
+    const mix = (cmyk) => {
+        const rgb = [0, 0, 0];
+        primaries.forEach((primary, overprint) => {
+            // Share of the area with exactly these inks on it
+            const area = cmyk.reduce((product, coverage, i) =>
+                product * (overprint & (1 << i) ? coverage : 1 - coverage), 1);
+            for (let channel = 0; channel < 3; channel++) rgb[channel] += area * primary[channel];
+        });
+        return rgb.map((value) => Math.max(MIN_REFLECTANCE, value ** YULE_NIELSEN));
+    };
+
+    const print = (cmyk) => linearToXyz(mix(cmyk));
+
+    const separate = (xyz) => {
+        const target = xyzToLinear(xyz).map((value) => clamp(value, MIN_REFLECTANCE));
+        const lab = xyzToLab(xyz);
+        const grey = 1 - Math.max(...target.map(encodeSrgb));
+        const black = Math.max(0, (grey - BLACK_START) / (1 - BLACK_START));
+
+        // Less black leaves more room for saturated dark colours, so fall
+        // back to it when the usual amount can't match
+        let best = null;
+        for (const k of [black, black / 2, 0]) {
+            const cmyk = limitInk([...solveInks(mix, target, k), k], condition.inkLimit);
+            const error = deltaE(lab, xyzToLab(print(cmyk)));
+            if (!best || error < best.error) best = { cmyk, error };
+            if (error < GAMUT_DELTA_E / 2 || k === 0) break;
+        }
+        return best.cmyk;
+    };
+
+    return { whitePoint: paper, separate, print };
+}
+
+// CMY that come closest to `target` (linear RGB) with black at `k`, by
+// Gauss-Newton steps on the log reflectance, kept within 0-1
+function solveInks(mix, target, k) {
+    const goal = target.map(Math.log);
+    const residual = (cmy) => mix([...cmy, k]).map((value, channel) => Math.log(value) - goal[channel]);
+    let cmy = target.map((value) => clamp(1 - encodeSrgb(value) - k));
+
+    for (let step = 0; step < SOLVE_STEPS; step++) {
+        const r = residual(cmy);
+        // Slopes by small steps inward from the bounds
+        const slopes = cmy.map((value, i) => {
+            const delta = value > 0.5 ? -1e-4 : 1e-4;
+            const moved = [...cmy];
+            moved[i] += delta;
+            return residual(moved).map((next, channel) => (next - r[channel]) / delta);
+        });
+        // (JᵀJ + λI) change = -Jᵀr
+        const normal = [0, 1, 2].map((i) => [0, 1, 2].map((j) =>
+            slopes[i].reduce((sum, slope, channel) => sum + slope * slopes[j][channel], 0) + (i === j ? 1e-6 : 0)));
+        const gradient = [0, 1, 2].map((i) => -slopes[i].reduce((sum, slope, channel) => sum + slope * r[channel], 0));
+        const change = solve3(normal, gradient);
+        if (!change) break;
+
+        cmy = cmy.map((value, i) => clamp(value + change[i]));
+        if (Math.hypot(...change) < 1e-5) break;
+    }
+    return cmy;
+}
+
+// Cramer's rule; null when singular
+function solve3(m, v) {
+    const det = (a) => a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+        a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+        a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+    const d = det(m);
+    if (Math.abs(d) < 1e-18) return null;
+    return [0, 1, 2].map((column) => det(m.map((row, i) => row.map((value, j) => (j === column ? v[i] : value)))) / d);
+}
+
+// Pulls CMY back so the total stays within `limit`, keeping the black
+function limitInk(cmyk, limit) {
+    const [c, m, y, k] = cmyk;
+    const colour = c + m + y;
+    if (colour + k <= limit || colour === 0) return cmyk;
+    const scale = Math.max(0, limit - k) / colour;
+    return [c * scale, m * scale, y * scale, k];
+}
+
+// The soft proof baked over sRGB: `size`³ RGBA texels, red fastest, with
+// the proofed colour in RGB (sRGB-encoded) and 255 in alpha for colours out
+// of gamut. `paperWhite` shows the print against the substrate's own white
+// rather than the screen's (ICC absolute colorimetric).
+export function createProofLut(profile, { paperWhite = true, dotGain = 0 } = {}, size = LUT_SIZE) {
+    const data = new Uint8Array(size ** 3 * 4);
+    const white = paperWhite ? profile.whitePoint.map((value, i) => value / D50[i]) : [1, 1, 1];
+    let texel = 0;
+
+    for (let b = 0; b < size; b++) {
+        for (let g = 0; g < size; g++) {
+            for (let r = 0; r < size; r++) {
+                const xyz = linearToXyz([r, g, b].map((value) => decodeSrgb(value / (size - 1))));
+                const cmyk = profile.separate(xyz);
+                const printed = profile.print(cmyk);
+                const outside = deltaE(xyzToLab(xyz), xyzToLab(printed)) > GAMUT_DELTA_E;
+                const shown = dotGain > 0 ? profile.print(cmyk.map((value) => addDotGain(value, dotGain))) : printed;
+
+                xyzToLinear(shown.map((value, i) => value * white[i])).forEach((value) => {
+                    data[texel++] = Math.round(encodeSrgb(clamp(value)) * 255);
+                });
+                data[texel++] = outside ? 255 : 0;
+            }
+        }
+    }
+    return { size, data };
+}
+
+// Soft-proofs RGBA pixels ({ data, width, height }) in place through a
+// table from createProofLut, striping out-of-gamut ones when
+// `gamutWarning`. Returns the share of visible pixels out of gamut.
+export function proofPixels(image, { size, data: lut }, { gamutWarning = true } = {}) {
+    const { data, width } = image;
+    const scale = (size - 1) / 255;
+    const out = [0, 0, 0, 0];
+    let visible = 0;
+    let outside = 0;
+
+    for (let i = 0; i < data.length; i += 4) {
+        // Trilinear between the eight surrounding table points
+        const position = [data[i] * scale, data[i + 1] * scale, data[i + 2] * scale];
+        const cell = position.map((value) => Math.min(size - 2, Math.floor(value)));
+        const [fr, fg, fb] = position.map((value, axis) => value - cell[axis]);
+        out.fill(0);
+        for (let corner = 0; corner < 8; corner++) {
+            const dr = corner & 1;
+            const dg = (corner >> 1) & 1;
+            const db = (corner >> 2) & 1;
+            const weight = (dr ? fr : 1 - fr) * (dg ? fg : 1 - fg) * (db ? fb : 1 - fb);
+            if (weight === 0) continue;
+            const at = (((cell[2] + db) * size + cell[1] + dg) * size + cell[0] + dr) * 4;
+            for (let channel = 0; channel < 4; channel++) out[channel] += weight * lut[at + channel];
+        }
+
+        const flagged = out[3] > 127;
+        if (data[i + 3] > 0) {
+            visible++;
+            if (flagged) outside++;
+        }
+        const pixel = i / 4;
+        const striped = gamutWarning && flagged &&
+            Math.floor(((pixel % width) + Math.floor(pixel / width)) / GAMUT_STRIPE) % 2 === 0;
+        for (let channel = 0; channel < 3; channel++) {
+            data[i + channel] = striped ? GAMUT_WARNING_COLOR[channel] : Math.round(out[channel]);
+        }
+    }
+    return visible ? outside / visible : 0;
+}
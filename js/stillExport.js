@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+import { applyCameraState } from './cameraPath.js';
+import { applySiteCameraState } from './sitePhoto.js';
+import { downloadBlob, getSafeZoneCrop } from './exporter.js';
+
+// Single high-resolution frames for decks and print. These render off-screen,
+// so the size isn't limited by the window: the frame is split into tiles,
+// each rendered through a slice of the camera's frustum (setViewOffset) and
+// stitched together on a 2D canvas.
+
+export const STILL_FORMATS = {
+    png: { label: 'PNG', mime: 'image/png', extension: 'png' },
+    jpeg: { label: 'JPEG', mime: 'image/jpeg', extension: 'jpg' }
+};
+
+// Browsers refuse canvases much wider than this
+export const MAX_STILL_WIDTH = 16384;
+
+const TILE_SIZE = 2048;
+
+export class StillExporter {
+    constructor(renderer) {
+        this.renderer = renderer;
+    }
+
+    // The safe-zone crop of the current viewport (or all of it with
+    // options.fullFrame), scaled up or down to options.width pixels
+    getOutputSize(options) {
+        const canvas = this.renderer.domElement;
+        const crop = options.fullFrame
+            ? { cropX: 0, cropY: 0, cropWidth: canvas.width, cropHeight: canvas.height }
+            : getSafeZoneCrop(canvas.width, canvas.height, options.billboardWidth, options.billboardHeight);
+
+        const outputWidth = Math.min(MAX_STILL_WIDTH, Math.max(1, Math.round(options.width)));
+        const scale = outputWidth / crop.cropWidth;
+        return {
+            ...crop,
+            scale,
+            outputWidth,
+            outputHeight: Math.max(1, Math.round(crop.cropHeight * scale))
+        };
+    }
+
+    // options: { azimuth, elevation, distance } (radians, feet) for the view,
+    // plus width, format, quality, filename and the same billboardWidth,
+    // billboardHeight, site and fullFrame options as the animation exporters
+    async export(scene, camera, options, onProgress) {
+        const canvas = await this.render(scene, camera, options, onProgress);
+        const format = STILL_FORMATS[options.format] || STILL_FORMATS.png;
+        const blob = await new Promise((resolve) => canvas.toBlob(resolve, format.mime, options.quality));
+        if (!blob) {
+            throw new Error('The browser could not encode an image that large');
+        }
+        downloadBlob(blob, `${options.filename}.${format.extension}`);
+    }
+
+    async render(scene, camera, options, onProgress) {
+        const { cropX, cropY, scale, outputWidth, outputHeight } = this.getOutputSize(options);
+        const canvas = this.renderer.domElement;
+
+        // A copy of the viewport camera, so the on-screen view is untouched.
+        // Compare panes narrow the viewport camera; stills use the whole canvas.
+        const still = camera.clone();
+        if (!still.view || !still.view.enabled) {
+            still.aspect = canvas.width / canvas.height;
+        }
+        if (options.site) {
+            applySiteCameraState(still, options.site, options);
+        } else {
+            applyCameraState(still, options);
+        }
+
+        // The site view already crops the frustum to the viewport; tiles are
+        // slices of that crop, in output pixels
+        const view = camera.view && camera.view.enabled
+            ? camera.view
+            : { fullWidth: canvas.width, fullHeight: canvas.height, offsetX: 0, offsetY: 0, width: canvas.width };
+        const unit = (scale * canvas.width) / view.width;
+
+        const output = document.createElement('canvas');
+        output.width = outputWidth;
+        output.height = outputHeight;
+        const ctx = output.getContext('2d');
+
+        // Shaders write linear colour into render targets; an sRGB target
+        // encodes it on the way in, so the pixels match the screen's
+        const target = new THREE.WebGLRenderTarget(TILE_SIZE, TILE_SIZE, {
+            colorSpace: THREE.SRGBColorSpace,
+            samples: 4
+        });
+        const pixels = new Uint8Array(TILE_SIZE * TILE_SIZE * 4);
+        const columns = Math.ceil(outputWidth / TILE_SIZE);
+        const rows = Math.ceil(outputHeight / TILE_SIZE);
+
+        try {
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    const x = column * TILE_SIZE;
+                    const y = row * TILE_SIZE;
+                    const width = Math.min(TILE_SIZE, outputWidth - x);
+                    const height = Math.min(TILE_SIZE, outputHeight - y);
+
+                    still.setViewOffset(
+                        view.fullWidth * unit,
+                        view.fullHeight * unit,
+                        view.offsetX * unit + cropX * scale + x,
+                        view.offsetY * unit + cropY * scale + y,
+                        width,
+                        height
+                    );
+                    target.setSize(width, height);
+
+                    // Hand the renderer back between tiles; the viewport
+                    // keeps drawing while we wait for the next frame
+                    const previousTarget = this.renderer.getRenderTarget();
+                    this.renderer.setRenderTarget(target);
+                    this.renderer.render(scene, still);
+                    this.renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+                    this.renderer.setRenderTarget(previousTarget);
+
+                    ctx.putImageData(toImageData(pixels, width, height), x, y);
+                    if (onProgress) {
+                        onProgress((row * columns + column + 1) / (rows * columns));
+                    }
+                    await new Promise((resolve) => requestAnimationFrame(resolve));
+                }
+            }
+        } finally {
+            target.dispose();
+        }
+        return output;
+    }
+}
+
+// WebGL reads pixels bottom row first; ImageData wants the top row first
+function toImageData(pixels, width, height) {
+    const image = new ImageData(width, height);
+    const rowLength = width * 4;
+    for (let y = 0; y < height; y++) {
+        const source = (height - 1 - y) * rowLength;
+        image.data.set(pixels.subarray(source, source + rowLength), y * rowLength);
+    }
+    return image;
+}
@@ -0,0 +1,97 @@
+// Base surfaces the slat array can follow: flat, a convex cylinder (columns,
+// kiosks) or a 90° building corner. Boards are laid out flat along their
+// width and then bent onto the surface, so width is measured along the
+// surface and the artwork runs on round the curve without a break.
+// Kept free of three.js and the DOM, like slatProfile.js.
+
+export const SURFACES = {
+    flat: { label: 'Flat' },
+    cylinder: { label: 'Cylinder (column or kiosk)' },
+    corner: { label: 'Corner wrap (90°)' }
+};
+
+// Cylinder radius in feet; corner bend as a share of the way across (0-1)
+export const DEFAULT_SURFACE = {
+    type: 'flat',
+    radius: 4,
+    bend: 0.5
+};
+
+// Corners are rounded this tightly (feet), or enough to clear the board's
+// depth behind the face
+const CORNER_RADIUS = 2 / 12;
+
+// Curves are cut into straight pieces turning at most this much (radians)
+const MAX_PIECE_TURN = Math.PI / 36;
+
+// The bent part of a board `width` feet wide: an arc of `radius` feet from
+// `start` to `end` (feet across the flat board, centred on 0), or null when
+// it's flat. `depthBehind` is how far the build reaches behind the face,
+// which the curve has to clear.
+export function getSurfaceArc(surface, width, depthBehind = 0) {
+    if (surface && surface.type === 'cylinder') {
+        // At most a full turn, where the ends meet
+        const radius = Math.max(surface.radius, width / (2 * Math.PI), depthBehind * 2);
+        return { start: -width / 2, end: width / 2, radius };
+    }
+    if (surface && surface.type === 'corner') {
+        const radius = Math.max(CORNER_RADIUS, depthBehind * 2);
+        const at = (Math.min(1, Math.max(0, surface.bend)) - 0.5) * width;
+        const half = (radius * Math.PI) / 4;
+        return { start: at - half, end: at + half, radius };
+    }
+    return null;
+}
+
+// Where a point `x` across the flat board and `z` out from its face ends up
+// on the bent board, and how far (radians about the vertical, positive
+// turning the face to the right) the surface there has turned. The middle of
+// the arc sits at the origin facing +z, so cylinders centre on their front
+// and corners on the corner.
+export function placeOnSurface(arc, x, z) {
+    if (!arc) return { x, z, angle: 0 };
+
+    const middle = (arc.start + arc.end) / 2;
+    const half = (arc.end - arc.start) / 2;
+    const along = x - middle;
+    const onArc = Math.min(half, Math.max(-half, along));
+    const angle = onArc / arc.radius;
+
+    // Past the arc the board carries straight on along the last tangent
+    const beyond = along - onArc;
+    const surfaceX = arc.radius * Math.sin(angle) + beyond * Math.cos(angle);
+    const surfaceZ = arc.radius * (Math.cos(angle) - 1) - beyond * Math.sin(angle);
+    return {
+        x: surfaceX + z * Math.sin(angle),
+        z: surfaceZ + z * Math.cos(angle),
+        angle
+    };
+}
+
+// Positions across the flat board (from `from` to `to`, both included) to cut
+// the geometry at so its straight pieces follow the curve
+export function getSurfaceCuts(arc, from, to) {
+    const cuts = [from, to];
+    if (arc) {
+        const pieces = Math.max(1, Math.ceil((arc.end - arc.start) / arc.radius / MAX_PIECE_TURN));
+        for (let i = 0; i <= pieces; i++) {
+            const x = arc.start + ((arc.end - arc.start) * i) / pieces;
+            if (x > from && x < to) cuts.push(x);
+        }
+    }
+    return cuts.sort((a, b) => a - b);
+}
+
+// Width (seen straight on) and depth of the bent board's face, in feet, for
+// the build reaching `depthBehind` behind it as in getSurfaceArc
+export function getSurfaceFootprint(surface, width, depthBehind = 0) {
+    const arc = getSurfaceArc(surface, width, depthBehind);
+    if (!arc) return { width, depth: 0 };
+    const points = getSurfaceCuts(arc, -width / 2, width / 2).map((x) => placeOnSurface(arc, x, 0));
+    const xs = points.map((point) => point.x);
+    const zs = points.map((point) => point.z);
+    return {
+        width: Math.max(...xs) - Math.min(...xs),
+        depth: Math.max(...zs) - Math.min(...zs)
+    };
+}
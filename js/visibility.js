@@ -0,0 +1,180 @@
+// Which face set a viewer sees, worked out from the slat cross-section rather
+// than read back from the renderer. Slats are extruded vertically, so only the
+// horizontal viewing angle matters: everything here is a 2D problem in x/z.
+// No three.js or DOM dependencies, so it can run anywhere.
+
+// Share of the visible surface a face needs before it counts as a clean read
+export const PURE_THRESHOLD = 0.9;
+
+const SAMPLES_PER_SLAT = 256;
+const MAX_ANGLE = (89.5 * Math.PI) / 180;
+
+// Fraction of one slat period's visible (screen-projected) surface showing each
+// face, for a distant viewer at horizontal angle `angle` (radians, 0 = straight
+// on, positive = viewer to the right). Includes occlusion by neighbouring peaks.
+// `segments` are one slat's faces as returned by getSlatSegments; segments with
+// face -1 (gaps, lands) count as neither image.
+export function getFaceVisibility(segments, slatWidth, faceCount, angle) {
+    const fractions = new Array(faceCount).fill(0);
+    if (Math.abs(angle) >= MAX_ANGLE) return fractions;
+
+    // Screen coordinate across the view, and depth toward the viewer
+    const dirX = Math.sin(angle);
+    const dirZ = Math.cos(angle);
+    const period = slatWidth * dirZ;
+
+    // Enough neighbouring slats to cover any peak that can shadow this one
+    const maxDepth = Math.max(...segments.flatMap((segment) => [segment.z0, segment.z1]));
+    const reach = Math.ceil((maxDepth * Math.abs(dirX / dirZ)) / slatWidth) + 1;
+
+    const projected = [];
+    for (let k = -reach; k <= reach; k++) {
+        for (const segment of segments) {
+            const x0 = segment.x0 + k * slatWidth;
+            const x1 = segment.x1 + k * slatWidth;
+            projected.push({
+                face: segment.face,
+                s0: x0 * dirZ - segment.z0 * dirX,
+                s1: x1 * dirZ - segment.z1 * dirX,
+                t0: x0 * dirX + segment.z0 * dirZ,
+                t1: x1 * dirX + segment.z1 * dirZ
+            });
+        }
+    }
+
+    // Nearest surface along each screen sample wins
+    for (let j = 0; j < SAMPLES_PER_SLAT; j++) {
+        const s = ((j + 0.5) / SAMPLES_PER_SLAT) * period;
+        let nearest = -Infinity;
+        let face = -1;
+
+        for (const p of projected) {
+            const lo = Math.min(p.s0, p.s1);
+            const hi = Math.max(p.s0, p.s1);
+            if (s < lo || s > hi || hi === lo) continue;
+            const t = p.t0 + ((s - p.s0) / (p.s1 - p.s0)) * (p.t1 - p.t0);
+            if (t > nearest) {
+                nearest = t;
+                face = p.face;
+            }
+        }
+
+        if (face >= 0) {
+            fractions[face] += 1 / SAMPLES_PER_SLAT;
+        }
+    }
+
+    return fractions;
+}
+
+// Precompute visibility at a fixed angular step for fast lookups
+export function createVisibilityTable(segments, slatWidth, faceCount, stepDegrees = 0.5) {
+    const steps = Math.round(90 / stepDegrees);
+    const table = [];
+    for (let i = -steps; i <= steps; i++) {
+        table.push(getFaceVisibility(segments, slatWidth, faceCount, (i * stepDegrees * Math.PI) / 180));
+    }
+
+    return (angle) => {
+        const index = Math.round((angle * 180) / Math.PI / stepDegrees) + steps;
+        return table[Math.min(table.length - 1, Math.max(0, index))];
+    };
+}
+
+// Index of the face that reads cleanly, or -1 for the transition (ghosting) band
+export function classifyVisibility(fractions, threshold = PURE_THRESHOLD) {
+    const total = fractions.reduce((sum, f) => sum + f, 0);
+    if (total <= 0) return -1;
+    const best = fractions.indexOf(Math.max(...fractions));
+    return fractions[best] / total >= threshold ? best : -1;
+}
+
+// Board-wide visibility for a viewer at a finite position (feet, board centred
+// at x = 0 in the z = 0 plane). Each slat sees the viewer from its own angle;
+// slats are weighted by how wide they appear from the viewer.
+export function getBoardVisibility(lookup, width, slats, faceCount, viewerX, viewerZ) {
+    const fractions = new Array(faceCount).fill(0);
+    if (viewerZ <= 0) return fractions;
+
+    let totalWeight = 0;
+    for (let i = 0; i < slats; i++) {
+        const slatX = ((i + 0.5) / slats) * width - width / 2;
+        const dx = viewerX - slatX;
+        const angle = Math.atan2(dx, viewerZ);
+        const weight = Math.cos(angle) / Math.hypot(dx, viewerZ);
+        const slatFractions = lookup(angle);
+        for (let f = 0; f < faceCount; f++) {
+            fractions[f] += slatFractions[f] * weight;
+        }
+        totalWeight += weight;
+    }
+
+    return fractions.map((f) => (totalWeight > 0 ? f / totalWeight : 0));
+}
+
+// Visibility at every horizontal viewing angle, for the analysis chart.
+// With distance 0 the viewer is far away and only the profile shape matters;
+// at a finite distance (feet from the board centre) slat count and width
+// come into play because each slat sees the viewer from a different angle.
+export function computeVisibilityCurve(board, { step = 1, distance = 0 } = {}) {
+    const { segments, slatWidth, faceCount, width, slats } = board;
+    const lookup = distance > 0 ? createVisibilityTable(segments, slatWidth, faceCount) : null;
+    const curve = [];
+
+    for (let degrees = -89; degrees <= 89; degrees += step) {
+        const angle = (degrees * Math.PI) / 180;
+        const fractions = lookup
+            ? getBoardVisibility(lookup, width, slats, faceCount, Math.sin(angle) * distance, Math.cos(angle) * distance)
+            : getFaceVisibility(segments, slatWidth, faceCount, angle);
+        curve.push({ angle: degrees, fractions });
+    }
+
+    return curve;
+}
+
+// Collapse a curve into contiguous zones: pure face reads and ghosting bands
+export function findVisibilityZones(curve, threshold = PURE_THRESHOLD) {
+    const zones = [];
+    for (const { angle, fractions } of curve) {
+        const state = classifyVisibility(fractions, threshold);
+        const last = zones[zones.length - 1];
+        if (last && last.state === state) {
+            last.to = angle;
+        } else {
+            zones.push({ state, from: angle, to: angle });
+        }
+    }
+    return zones;
+}
+
+// Viewing angle (degrees) that shows one face most cleanly, within ±limit.
+// Where a range of angles ties (a pure zone), takes the middle of that range.
+export function getBestViewAngle(curve, face, limit = 90) {
+    const share = ({ fractions }) => {
+        const total = fractions.reduce((sum, f) => sum + f, 0);
+        return total > 0 ? fractions[face] / total : 0;
+    };
+    const candidates = curve.filter(({ angle }) => Math.abs(angle) <= limit);
+    const best = Math.max(...candidates.map(share));
+    const tied = candidates.filter((point) => share(point) >= best - 1e-6);
+    return tied[Math.floor(tied.length / 2)].angle;
+}
+
+// Viewing angle (degrees) midway through the change from one face to
+// another: between their best angles, where both show equally
+export function getTransitionAngle(curve, fromFace, toFace, limit = 90) {
+    const start = getBestViewAngle(curve, fromFace, limit);
+    const end = getBestViewAngle(curve, toFace, limit);
+    const points = curve.filter(({ angle }) => angle >= Math.min(start, end) && angle <= Math.max(start, end));
+    const balance = ({ fractions }) => fractions[fromFace] - fractions[toFace];
+
+    for (let i = 1; i < points.length; i++) {
+        const a = balance(points[i - 1]);
+        const b = balance(points[i]);
+        if (a === 0) return points[i - 1].angle;
+        if (Math.sign(a) !== Math.sign(b)) {
+            return points[i - 1].angle + ((points[i].angle - points[i - 1].angle) * a) / (a - b);
+        }
+    }
+    return (start + end) / 2;
+}
@@ -0,0 +1,99 @@
+// Canvas chart of face visibility against horizontal viewing angle.
+// The first series is the current setting: its zones shade the plot and its
+// lines are solid. Any further series (comparison settings) are dashed, with
+// their zones shown as a strip along the bottom.
+
+// Same palette as the walk-by timeline
+const FACE_COLORS = ['#4a6a9a', '#9a4a4a', '#4a8a5a'];
+const TRANSITION_COLOR = '#666';
+
+const PADDING = { left: 28, right: 8, top: 8, bottom: 30 };
+const STRIP_HEIGHT = 5;
+
+export function drawVisibilityChart(canvas, series) {
+    // Match the backing store to the displayed size for crisp lines
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const plotBottom = PADDING.top + plotHeight;
+    const toX = (angle) => PADDING.left + ((angle + 90) / 180) * plotWidth;
+    const toY = (fraction) => plotBottom - fraction * plotHeight;
+    const zoneColor = (state) => (state >= 0 ? FACE_COLORS[state] : TRANSITION_COLOR);
+
+    // Zones of the current setting shade the plot area
+    const [current, ...comparisons] = series;
+    if (current) {
+        ctx.globalAlpha = 0.25;
+        for (const zone of current.zones) {
+            ctx.fillStyle = zoneColor(zone.state);
+            ctx.fillRect(toX(zone.from - 0.5), PADDING.top, toX(zone.to + 0.5) - toX(zone.from - 0.5), plotHeight);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // Axes, gridlines and labels
+    ctx.strokeStyle = '#444';
+    ctx.fillStyle = '#888';
+    ctx.font = '10px sans-serif';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let angle = -90; angle <= 90; angle += 30) {
+        const x = Math.round(toX(angle)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(x, PADDING.top);
+        ctx.lineTo(x, plotBottom);
+        ctx.stroke();
+        ctx.fillText(`${angle}°`, x, plotBottom + STRIP_HEIGHT * 2 + 4);
+    }
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (const fraction of [0, 0.5, 1]) {
+        const y = Math.round(toY(fraction)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(PADDING.left, y);
+        ctx.lineTo(PADDING.left + plotWidth, y);
+        ctx.stroke();
+        ctx.fillText(`${fraction * 100}%`, PADDING.left - 4, y);
+    }
+
+    // Comparison zones, one strip per setting under the axis
+    comparisons.forEach((comparison, i) => {
+        const y = plotBottom + 2 + i * STRIP_HEIGHT;
+        for (const zone of comparison.zones) {
+            ctx.fillStyle = zoneColor(zone.state);
+            ctx.fillRect(toX(zone.from - 0.5), y, toX(zone.to + 0.5) - toX(zone.from - 0.5), STRIP_HEIGHT - 1);
+        }
+    });
+
+    // One line per face, as a share of the visible surface
+    ctx.lineWidth = 2;
+    series.forEach((entry, i) => {
+        ctx.setLineDash(i === 0 ? [] : [4, 3]);
+        const faceCount = entry.curve.length ? entry.curve[0].fractions.length : 0;
+        for (let face = 0; face < faceCount; face++) {
+            ctx.strokeStyle = FACE_COLORS[face];
+            ctx.beginPath();
+            entry.curve.forEach(({ angle, fractions }, j) => {
+                const total = fractions.reduce((sum, f) => sum + f, 0);
+                const y = toY(total > 0 ? fractions[face] / total : 0);
+                if (j === 0) {
+                    ctx.moveTo(toX(angle), y);
+                } else {
+                    ctx.lineTo(toX(angle), y);
+                }
+            });
+            ctx.stroke();
+        }
+    });
+    ctx.setLineDash([]);
+}
@@ -0,0 +1,79 @@
+import { classifyVisibility, createVisibilityTable, getBoardVisibility } from './visibility.js';
+
+// Real-world walk-by / drive-by along a straight path parallel to the board.
+// Scene units are feet; the board is centred on the origin facing +z.
+
+export const MPH_TO_FEET_PER_SECOND = 5280 / 3600;
+
+export const TRAVEL_MODES = {
+    walking: { label: 'Walking', speed: 3, eyeHeight: 5.5 },
+    driving: { label: 'Driving', speed: 25, eyeHeight: 3.5 }
+};
+
+// Analysis samples per second of travel
+const SAMPLE_RATE = 20;
+
+export function getWalkByDuration(sim) {
+    return sim.pathLength / (sim.speed * MPH_TO_FEET_PER_SECOND);
+}
+
+// Viewer eye position at `time` seconds into the walk
+export function getWalkByPosition(sim, boardHeight, time) {
+    const progress = Math.min(1, Math.max(0, time / getWalkByDuration(sim)));
+    const direction = sim.direction === 'rightToLeft' ? -1 : 1;
+    const groundY = -boardHeight / 2 - sim.boardElevation;
+    return {
+        x: direction * (progress - 0.5) * sim.pathLength,
+        y: groundY + sim.eyeHeight,
+        z: sim.setback
+    };
+}
+
+// Time the viewer spends seeing each face cleanly and in transition.
+// Returns per-face seconds, transition seconds and contiguous spans for a timeline.
+// Horizontal slats (board.orientation) are read by the eye's height instead.
+export function analyzeWalkBy(sim, board) {
+    return analyzeViewerPath(board, getWalkByDuration(sim), (time) => getWalkByPosition(sim, board.height, time));
+}
+
+// The same for any path: `getPosition(time)` gives the eye in the board's
+// own frame (centred on it, z out of its face). Where the viewer is behind
+// the board the span's state is null and the time counts as hiddenTime.
+export function analyzeViewerPath(board, duration, getPosition) {
+    const { segments, slatWidth, faceCount, width, height, slats } = board;
+    const horizontal = board.orientation === 'horizontal';
+    const lookup = createVisibilityTable(segments, slatWidth, faceCount);
+    const sampleCount = Math.max(2, Math.ceil(duration * SAMPLE_RATE));
+    const step = duration / sampleCount;
+
+    const faceTimes = new Array(faceCount).fill(0);
+    let transitionTime = 0;
+    let hiddenTime = 0;
+    const spans = [];
+
+    for (let i = 0; i < sampleCount; i++) {
+        const time = (i + 0.5) * step;
+        const position = getPosition(time);
+        const fractions = horizontal
+            ? getBoardVisibility(lookup, height, slats, faceCount, position.y, position.z)
+            : getBoardVisibility(lookup, width, slats, faceCount, position.x, position.z);
+        const state = position.z > 0 ? classifyVisibility(fractions) : null;
+
+        if (state === null) {
+            hiddenTime += step;
+        } else if (state >= 0) {
+            faceTimes[state] += step;
+        } else {
+            transitionTime += step;
+        }
+
+        const last = spans[spans.length - 1];
+        if (last && last.state === state) {
+            last.end = (i + 1) * step;
+        } else {
+            spans.push({ state, start: i * step, end: (i + 1) * step });
+        }
+    }
+
+    return { duration, faceTimes, transitionTime, hiddenTime, spans };
+}
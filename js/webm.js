@@ -0,0 +1,108 @@
+// Minimal WebM writing, for video encoded frame by frame with WebCodecs. One
+// video track, one cluster per keyframe, no cues: enough for browsers and
+// players, which find the duration in the header and seek by scanning.
+
+const encoder = new TextEncoder();
+
+// Element sizes as EBML variable-length integers, as short as they'll go
+function encodeSize(size) {
+    let length = 1;
+    while (length < 8 && size >= 2 ** (7 * length) - 1) length++;
+    const bytes = new Uint8Array(length);
+    let rest = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = rest % 256;
+        rest = Math.floor(rest / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function uint(value) {
+    const bytes = [];
+    let rest = value;
+    do {
+        bytes.unshift(rest % 256);
+        rest = Math.floor(rest / 256);
+    } while (rest > 0);
+    return new Uint8Array(bytes);
+}
+
+function float(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+// Elements are lists of byte arrays, only joined in the final Blob, so the
+// frames aren't copied around. `content` is bytes or child elements.
+function element(id, ...content) {
+    const parts = content.flatMap((part) => (part instanceof Uint8Array ? [part] : part));
+    const size = parts.reduce((total, part) => total + part.length, 0);
+    return [new Uint8Array(id), encodeSize(size), ...parts];
+}
+
+// A frame in its cluster: track 1, time from the cluster's start (ms)
+function simpleBlock(frame, clusterTime) {
+    const time = frame.time - clusterTime;
+    const header = new Uint8Array([0x81, (time >> 8) & 0xff, time & 0xff, frame.key ? 0x80 : 0]);
+    return element([0xa3], header, frame.data);
+}
+
+// frames: [{ data (Uint8Array), time (ms), key }] in order, starting with a
+// keyframe. codecId is the Matroska name, e.g. 'V_VP9'; duration in ms.
+export function createWebM({ codecId, width, height, fps, duration, frames }) {
+    const header = element([0x1a, 0x45, 0xdf, 0xa3],
+        element([0x42, 0x86], uint(1)),                 // EBMLVersion
+        element([0x42, 0xf7], uint(1)),                 // EBMLReadVersion
+        element([0x42, 0xf2], uint(4)),                 // EBMLMaxIDLength
+        element([0x42, 0xf3], uint(8)),                 // EBMLMaxSizeLength
+        element([0x42, 0x82], encoder.encode('webm')),  // DocType
+        element([0x42, 0x87], uint(2)),                 // DocTypeVersion
+        element([0x42, 0x85], uint(2))                  // DocTypeReadVersion
+    );
+
+    const info = element([0x15, 0x49, 0xa9, 0x66],
+        element([0x2a, 0xd7, 0xb1], uint(1e6)),         // TimecodeScale: ms
+        element([0x44, 0x89], float(duration)),
+        element([0x4d, 0x80], encoder.encode('Lenticular Billboard Viewer')),
+        element([0x57, 0x41], encoder.encode('Lenticular Billboard Viewer'))
+    );
+
+    const tracks = element([0x16, 0x54, 0xae, 0x6b],
+        element([0xae],
+            element([0xd7], uint(1)),                   // TrackNumber
+            element([0x73, 0xc5], uint(1)),             // TrackUID
+            element([0x83], uint(1)),                   // TrackType: video
+            element([0x9c], uint(0)),                   // FlagLacing
+            element([0x86], encoder.encode(codecId)),
+            element([0x23, 0xe3, 0x83], uint(Math.round(1e9 / fps))), // DefaultDuration (ns)
+            element([0xe0],
+                element([0xb0], uint(width)),
+                element([0xba], uint(height))
+            )
+        )
+    );
+
+    // A new cluster at each keyframe, or before block times overflow 16 bits
+    const clusters = [];
+    let cluster = null;
+    for (const frame of frames) {
+        if (!cluster || frame.key || frame.time - cluster.time > 32767) {
+            cluster = { time: frame.time, blocks: [] };
+            clusters.push(cluster);
+        }
+        cluster.blocks.push(simpleBlock(frame, cluster.time));
+    }
+
+    const segment = element([0x18, 0x53, 0x80, 0x67],
+        info,
+        tracks,
+        ...clusters.map(({ time, blocks }) => element([0x1f, 0x43, 0xb6, 0x75],
+            element([0xe7], uint(time)),                // Cluster timecode
+            ...blocks
+        ))
+    );
+
+    return new Blob([...header, ...segment], { type: 'video/webm' });
+}
@@ -0,0 +1,141 @@
+// Minimal ZIP support. Writing is store-only (uncompressed): entries are mostly
+// PNGs and other already-compressed data, so deflating them isn't worth the code.
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new TextEncoder().encode(String(data));
+}
+
+// DOS date/time fields for the local and central headers
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// Build a ZIP blob from [{ name, data }] where data is a Blob, bytes or a string
+export async function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const bytes = await toBytes(file.data);
+        const crc = crc32(bytes);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);  // Local file header signature
+        local.setUint16(4, 20, true);           // Version needed
+        local.setUint16(6, 0x0800, true);       // UTF-8 names
+        local.setUint16(8, 0, true);            // Stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, bytes.length, true);
+        local.setUint32(22, bytes.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, name, bytes);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);  // Central directory signature
+        entry.setUint16(4, 20, true);           // Version made by
+        entry.setUint16(6, 20, true);           // Version needed
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, day, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, bytes.length, true);
+        entry.setUint32(24, bytes.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);      // Local header offset
+        central.push(entry, name);
+
+        offset += 30 + name.length + bytes.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// Read a ZIP blob back into a Map of name -> bytes. Handles stored entries and
+// deflated ones, so archives re-zipped by other tools still open.
+export async function readZip(blob) {
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // Find the end of central directory record (scanning back past any comment)
+    let endOffset = buffer.byteLength - 22;
+    while (endOffset >= 0 && view.getUint32(endOffset, true) !== 0x06054b50) {
+        endOffset--;
+    }
+    if (endOffset < 0) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const count = view.getUint16(endOffset + 10, true);
+    let pointer = view.getUint32(endOffset + 16, true);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        const method = view.getUint16(pointer + 10, true);
+        const compressedSize = view.getUint32(pointer + 20, true);
+        const nameLength = view.getUint16(pointer + 28, true);
+        const extraLength = view.getUint16(pointer + 30, true);
+        const commentLength = view.getUint16(pointer + 32, true);
+        const localOffset = view.getUint32(pointer + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+        if (method === 0) {
+            entries.set(name, data);
+        } else if (method === 8) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            entries.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+        }
+
+        pointer += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}